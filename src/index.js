@@ -26,7 +26,7 @@ const { authenticate } = require('./middleware/auth');
 const { errorHandler, notFoundHandler } = require('./middleware/validation');
 
 // Import database
-const { testConnection, runScheduledTasks } = require('./models/database');
+const { testConnection, ensureSchema, backfillScheduledJobs, runScheduledTasks } = require('./models/database');
 
 
 
@@ -160,6 +160,13 @@ async function startServer() {
     await testConnection();
     logger.info('Database connection successful!');
 
+    // Apply schema updates
+    await ensureSchema();
+
+    // Catch up on scheduled runs missed while the add-on was down
+    logger.info('Backfilling missed scheduled tasks...');
+    await backfillScheduledJobs();
+
     // Start scheduled tasks (for recurring task assignments)
     logger.info('Starting scheduled tasks...');
     runScheduledTasks();
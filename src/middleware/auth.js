@@ -133,6 +133,7 @@ async function requireHouseholdAccess(req, res, next) {
         hm.can_create_tasks,
         hm.can_assign_tasks,
         hm.can_create_rewards,
+        hm.can_adjust_points,
         h.household_id,
         h.name as household_name
       FROM household_members hm
@@ -160,7 +161,8 @@ async function requireHouseholdAccess(req, res, next) {
       permissions: {
         can_create_tasks: membership.can_create_tasks,
         can_assign_tasks: membership.can_assign_tasks,
-        can_create_rewards: membership.can_create_rewards
+        can_create_rewards: membership.can_create_rewards,
+        can_adjust_points: membership.can_adjust_points
       }
     };
     
@@ -3,6 +3,23 @@
 // =============================================================================
 
 const Joi = require('joi');
+const { isValidTimezone } = require('../utils/dates');
+const { parseRecurrence } = require('../utils/recurrence');
+
+// iCalendar RRULE string or structured recurrence object (see utils/recurrence.js)
+const recurrenceSchema = Joi.alternatives().try(
+  Joi.string().max(255),
+  Joi.object()
+).allow(null).custom((value, helpers) => {
+  try {
+    parseRecurrence(value);
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid', { reason: error.message });
+  }
+}).messages({
+  'any.invalid': 'Pravilo ponavljanja ni veljavno: {{#reason}}'
+});
 
 /**
  * Validation middleware factory
@@ -89,6 +106,182 @@ const householdSchemas = {
     }),
     description: Joi.string().max(500).allow('').messages({
       'string.max': 'Opis je predolg'
+    }),
+    timezone: Joi.string().max(64).custom((value, helpers) => (
+      isValidTimezone(value) ? value : helpers.error('any.invalid')
+    )).messages({
+      'any.invalid': 'Časovni pas ni veljaven (npr. Europe/Ljubljana)'
+    }),
+    week_start: Joi.number().integer().min(1).max(7).messages({
+      'number.min': 'Začetek tedna mora biti med 1 (ponedeljek) in 7 (nedelja)',
+      'number.max': 'Začetek tedna mora biti med 1 (ponedeljek) in 7 (nedelja)'
+    }),
+    assignment_strategy: Joi.string().valid('fewest_assignments', 'balanced_workload').messages({
+      'any.only': 'Strategija mora biti fewest_assignments ali balanced_workload'
+    }),
+    workload_window_days: Joi.number().integer().min(1).max(31).messages({
+      'number.min': 'Obdobje obremenitve mora biti med 1 in 31 dni',
+      'number.max': 'Obdobje obremenitve mora biti med 1 in 31 dni'
+    }),
+    workload_age_weighting: Joi.boolean(),
+    points_multiplier: Joi.number().min(0).max(10).messages({
+      'number.min': 'Množitelj točk mora biti med 0 in 10',
+      'number.max': 'Množitelj točk mora biti med 0 in 10'
+    }),
+    points_early_bonus: Joi.number().integer().min(0).max(1000),
+    points_on_time_bonus: Joi.number().integer().min(0).max(1000),
+    points_late_penalty_per_day: Joi.number().integer().min(0).max(1000),
+    points_photo_bonus: Joi.number().integer().min(0).max(1000),
+    points_weekend_multiplier: Joi.number().min(0).max(10).messages({
+      'number.min': 'Vikend množitelj mora biti med 0 in 10',
+      'number.max': 'Vikend množitelj mora biti med 0 in 10'
+    }),
+    points_expiry_months: Joi.number().integer().min(0).max(60).messages({
+      'number.min': 'Rok veljavnosti točk mora biti med 0 (brez poteka) in 60 mesecev',
+      'number.max': 'Rok veljavnosti točk mora biti med 0 (brez poteka) in 60 mesecev'
+    }),
+    points_season_reset: Joi.string().valid('none', 'monthly', 'quarterly', 'yearly').messages({
+      'any.only': 'Sezonska ponastavitev mora biti none, monthly, quarterly ali yearly'
+    }),
+    points_season_start_month: Joi.number().integer().min(1).max(12).messages({
+      'number.min': 'Začetni mesec sezone mora biti med 1 in 12',
+      'number.max': 'Začetni mesec sezone mora biti med 1 in 12'
+    }),
+    points_carry_over_cap: Joi.number().integer().min(0).max(100000).messages({
+      'number.min': 'Največji prenos točk ne sme biti negativen'
+    }),
+    transfers_require_approval: Joi.boolean(),
+    transfer_daily_limit: Joi.number().integer().min(0).max(100000).messages({
+      'number.min': 'Dnevna omejitev prenosov ne sme biti negativna'
+    }),
+    allowance_rate: Joi.number().min(0).max(100).precision(4).messages({
+      'number.min': 'Menjalni tečaj točk ne sme biti negativen',
+      'number.max': 'Menjalni tečaj točk je previsok'
+    }),
+    allowance_currency: Joi.string().pattern(/^[A-Z]{3}$/).messages({
+      'string.pattern.base': 'Valuta mora biti trimestna oznaka, npr. EUR'
+    }),
+    claim_daily_points_cap: Joi.number().integer().min(0).max(100000).messages({
+      'number.min': 'Dnevna omejitev porabe ne sme biti negativna'
+    })
+  }),
+
+  skipDay: Joi.object({
+    start_date: Joi.date().iso().required().messages({
+      'date.format': 'Začetni datum mora biti v obliki YYYY-MM-DD',
+      'any.required': 'Začetni datum je obvezen'
+    }),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).allow(null).messages({
+      'date.format': 'Končni datum mora biti v obliki YYYY-MM-DD',
+      'date.min': 'Končni datum ne sme biti pred začetnim'
+    }),
+    task_id: Joi.number().integer().positive().allow(null),
+    action: Joi.string().valid('skip', 'keep').default('skip').messages({
+      'any.only': 'Dejanje mora biti skip ali keep'
+    }),
+    reason: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Razlog je predolg'
+    })
+  }).custom((value, helpers) => (
+    value.action === 'keep' && !value.task_id ? helpers.error('any.invalid') : value
+  )).messages({
+    'any.invalid': 'Izjema (keep) mora biti vezana na nalogo'
+  }),
+
+  awayPeriod: Joi.object({
+    user_id: Joi.number().integer().positive(),
+    start_date: Joi.date().iso().required().messages({
+      'date.format': 'Začetni datum mora biti v obliki YYYY-MM-DD',
+      'any.required': 'Začetni datum je obvezen'
+    }),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).required().messages({
+      'date.format': 'Končni datum mora biti v obliki YYYY-MM-DD',
+      'date.min': 'Končni datum ne sme biti pred začetnim',
+      'any.required': 'Končni datum je obvezen'
+    }),
+    reason: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Razlog je predolg'
+    })
+  }),
+
+  pointAdjustment: Joi.object({
+    user_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'Član je obvezen'
+    }),
+    points: Joi.number().integer().min(-10000).max(10000).invalid(0).required().messages({
+      'any.invalid': 'Število točk ne sme biti 0',
+      'number.min': 'Odbitek je prevelik',
+      'number.max': 'Dodatek je prevelik',
+      'any.required': 'Število točk je obvezno'
+    }),
+    reason: Joi.string().trim().min(2).max(255).required().messages({
+      'string.min': 'Razlog mora imeti vsaj 2 znaka',
+      'string.max': 'Razlog je predolg',
+      'string.empty': 'Razlog je obvezen',
+      'any.required': 'Razlog je obvezen'
+    })
+  }),
+
+  pointTransfer: Joi.object({
+    to_user_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'Prejemnik je obvezen'
+    }),
+    points: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.min': 'Prenesete lahko vsaj 1 točko',
+      'number.max': 'Prenos je prevelik',
+      'any.required': 'Število točk je obvezno'
+    }),
+    message: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Sporočilo je predolgo'
+    })
+  }),
+
+  reviewPointTransfer: Joi.object({
+    review_note: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Opomba je predolga'
+    })
+  }),
+
+  payoutRequest: Joi.object({
+    points: Joi.number().integer().min(1).max(100000).required().messages({
+      'number.min': 'Izplačate lahko vsaj 1 točko',
+      'number.max': 'Izplačilo je preveliko',
+      'any.required': 'Število točk je obvezno'
+    }),
+    note: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Opomba je predolga'
+    })
+  }),
+
+  reviewPayout: Joi.object({
+    review_note: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Opomba je predolga'
+    })
+  }),
+
+  revertPointAdjustment: Joi.object({
+    reason: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Razlog je predolg'
+    })
+  }),
+
+  reassignAway: Joi.object({
+    assignments: Joi.array().items(Joi.object({
+      assignment_id: Joi.number().integer().positive().required(),
+      user_id: Joi.number().integer().positive()
+    })).min(1).messages({
+      'array.min': 'Izbrati morate vsaj eno dodelitev'
+    })
+  }),
+
+  updateMemberWorkload: Joi.object({
+    workload_capacity: Joi.number().min(0.1).max(5).allow(null).messages({
+      'number.min': 'Zmogljivost mora biti med 0.1 in 5',
+      'number.max': 'Zmogljivost mora biti med 0.1 in 5'
+    }),
+    birth_date: Joi.date().iso().max('now').allow(null).messages({
+      'date.format': 'Datum rojstva mora biti v obliki YYYY-MM-DD',
+      'date.max': 'Datum rojstva ne more biti v prihodnosti'
     })
   }),
 
@@ -106,7 +299,8 @@ const householdSchemas = {
     }),
     can_create_tasks: Joi.boolean(),
     can_assign_tasks: Joi.boolean(),
-    can_create_rewards: Joi.boolean()
+    can_create_rewards: Joi.boolean(),
+    can_adjust_points: Joi.boolean()
   }),
 
   updatePermissions: Joi.object({
@@ -115,7 +309,8 @@ const householdSchemas = {
     }),
     can_create_tasks: Joi.boolean(),
     can_assign_tasks: Joi.boolean(),
-    can_create_rewards: Joi.boolean()
+    can_create_rewards: Joi.boolean(),
+    can_adjust_points: Joi.boolean()
   })
 };
 
@@ -156,7 +351,16 @@ const taskSchemas = {
     }),
     requires_proof: Joi.boolean().default(false),
     auto_assign: Joi.boolean().default(false),
-    cycle_users: Joi.array().items(Joi.number().integer().positive())
+    cycle_users: Joi.array().items(Joi.number().integer().positive()),
+    recurrence: recurrenceSchema,
+    point_value: Joi.number().integer().min(0).max(10000).allow(null).messages({
+      'number.min': 'Vrednost točk ne sme biti negativna',
+      'number.max': 'Vrednost točk je prevelika'
+    }),
+    point_multiplier: Joi.number().min(0).max(10).allow(null).messages({
+      'number.min': 'Množitelj točk mora biti med 0 in 10',
+      'number.max': 'Množitelj točk mora biti med 0 in 10'
+    })
   }),
 
   update: Joi.object({
@@ -172,7 +376,16 @@ const taskSchemas = {
     specific_date: Joi.date().allow(null),
     requires_proof: Joi.boolean(),
     auto_assign: Joi.boolean(),
-    cycle_users: Joi.array().items(Joi.number().integer().positive())
+    cycle_users: Joi.array().items(Joi.number().integer().positive()),
+    recurrence: recurrenceSchema,
+    point_value: Joi.number().integer().min(0).max(10000).allow(null).messages({
+      'number.min': 'Vrednost točk ne sme biti negativna',
+      'number.max': 'Vrednost točk je prevelika'
+    }),
+    point_multiplier: Joi.number().min(0).max(10).allow(null).messages({
+      'number.min': 'Množitelj točk mora biti med 0 in 10',
+      'number.max': 'Množitelj točk mora biti med 0 in 10'
+    })
   }),
 
   assign: Joi.object({
@@ -306,6 +519,9 @@ const userSchemas = {
 // Reward schemas
 const rewardSchemas = {
   create: Joi.object({
+    household_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'ID doma je obvezen'
+    }),
     title: Joi.string().min(2).max(200).required().messages({
       'string.min': 'Naslov mora imeti vsaj 2 znaka',
       'string.max': 'Naslov je predolg',
@@ -318,6 +534,48 @@ const rewardSchemas = {
       'number.min': 'Minimalna cena je 1 točka',
       'number.max': 'Maksimalna cena je 10000 točk',
       'any.required': 'Cena v točkah je obvezna'
+    }),
+    quantity: Joi.number().integer().min(0).max(10000),
+    reward_type: Joi.string().valid('individual', 'group').messages({
+      'any.only': 'Vrsta nagrade mora biti individual ali group'
+    }),
+    member_limit_count: Joi.number().integer().min(0).max(100).messages({
+      'number.min': 'Omejitev uveljavitev ne sme biti negativna'
+    }),
+    member_limit_days: Joi.number().integer().min(1).max(365).messages({
+      'number.min': 'Obdobje omejitve mora biti med 1 in 365 dni',
+      'number.max': 'Obdobje omejitve mora biti med 1 in 365 dni'
+    }),
+    member_cooldown_hours: Joi.number().integer().min(0).max(8760),
+    household_cooldown_hours: Joi.number().integer().min(0).max(8760),
+    restock_mode: Joi.string().valid('none', 'reset', 'increment').messages({
+      'any.only': 'Način obnavljanja mora biti none, reset ali increment'
+    }),
+    restock_frequency: Joi.string().valid('daily', 'weekly', 'monthly').messages({
+      'any.only': 'Pogostost obnavljanja mora biti daily, weekly ali monthly'
+    }),
+    restock_day: Joi.number().integer().min(1).max(28).messages({
+      'number.min': 'Dan obnavljanja mora biti dan v tednu (1-7) ali dan v mesecu (1-28)',
+      'number.max': 'Dan obnavljanja mora biti dan v tednu (1-7) ali dan v mesecu (1-28)'
+    }),
+    restock_amount: Joi.number().integer().min(0).max(10000),
+    restock_max: Joi.number().integer().min(0).max(10000),
+    available_from: Joi.date().iso().allow(null).messages({
+      'date.format': 'Začetni datum mora biti v obliki YYYY-MM-DD'
+    }),
+    available_until: Joi.date().iso().allow(null).when('available_from', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('available_from'))
+    }).messages({
+      'date.format': 'Končni datum mora biti v obliki YYYY-MM-DD',
+      'date.min': 'Končni datum ne sme biti pred začetnim'
+    }),
+    available_weekdays: Joi.array().items(Joi.number().integer().min(1).max(7)).min(1).unique().allow(null).messages({
+      'number.min': 'Dnevi v tednu morajo biti med 1 (ponedeljek) in 7 (nedelja)',
+      'number.max': 'Dnevi v tednu morajo biti med 1 (ponedeljek) in 7 (nedelja)'
+    }),
+    category_id: Joi.number().integer().positive().allow(null).messages({
+      'number.positive': 'ID kategorije mora biti pozitivno število'
     })
   }),
 
@@ -332,6 +590,45 @@ const rewardSchemas = {
     cost_points: Joi.number().integer().min(1).max(10000).messages({
       'number.min': 'Minimalna cena je 1 točka',
       'number.max': 'Maksimalna cena je 10000 točk'
+    }),
+    quantity: Joi.number().integer().min(0).max(10000),
+    member_limit_count: Joi.number().integer().min(0).max(100).messages({
+      'number.min': 'Omejitev uveljavitev ne sme biti negativna'
+    }),
+    member_limit_days: Joi.number().integer().min(1).max(365).messages({
+      'number.min': 'Obdobje omejitve mora biti med 1 in 365 dni',
+      'number.max': 'Obdobje omejitve mora biti med 1 in 365 dni'
+    }),
+    member_cooldown_hours: Joi.number().integer().min(0).max(8760),
+    household_cooldown_hours: Joi.number().integer().min(0).max(8760),
+    restock_mode: Joi.string().valid('none', 'reset', 'increment').messages({
+      'any.only': 'Način obnavljanja mora biti none, reset ali increment'
+    }),
+    restock_frequency: Joi.string().valid('daily', 'weekly', 'monthly').messages({
+      'any.only': 'Pogostost obnavljanja mora biti daily, weekly ali monthly'
+    }),
+    restock_day: Joi.number().integer().min(1).max(28).messages({
+      'number.min': 'Dan obnavljanja mora biti dan v tednu (1-7) ali dan v mesecu (1-28)',
+      'number.max': 'Dan obnavljanja mora biti dan v tednu (1-7) ali dan v mesecu (1-28)'
+    }),
+    restock_amount: Joi.number().integer().min(0).max(10000),
+    restock_max: Joi.number().integer().min(0).max(10000),
+    available_from: Joi.date().iso().allow(null).messages({
+      'date.format': 'Začetni datum mora biti v obliki YYYY-MM-DD'
+    }),
+    available_until: Joi.date().iso().allow(null).when('available_from', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('available_from'))
+    }).messages({
+      'date.format': 'Končni datum mora biti v obliki YYYY-MM-DD',
+      'date.min': 'Končni datum ne sme biti pred začetnim'
+    }),
+    available_weekdays: Joi.array().items(Joi.number().integer().min(1).max(7)).min(1).unique().allow(null).messages({
+      'number.min': 'Dnevi v tednu morajo biti med 1 (ponedeljek) in 7 (nedelja)',
+      'number.max': 'Dnevi v tednu morajo biti med 1 (ponedeljek) in 7 (nedelja)'
+    }),
+    category_id: Joi.number().integer().positive().allow(null).messages({
+      'number.positive': 'ID kategorije mora biti pozitivno število'
     })
   }),
 
@@ -339,6 +636,93 @@ const rewardSchemas = {
     comment: Joi.string().max(500).allow('').messages({
       'string.max': 'Komentar je predolg'
     })
+  }),
+
+  createCategory: Joi.object({
+    household_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'ID doma je obvezen'
+    }),
+    name: Joi.string().min(2).max(100).required().messages({
+      'string.min': 'Ime kategorije mora imeti vsaj 2 znaka',
+      'string.max': 'Ime kategorije je predolgo',
+      'any.required': 'Ime kategorije je obvezno'
+    }),
+    description: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Opis je predolg'
+    }),
+    icon: Joi.string().max(50).allow('', null).messages({
+      'string.max': 'Ikona je predolga'
+    }),
+    color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null).messages({
+      'string.pattern.base': 'Barva mora biti v obliki #RRGGBB'
+    })
+  }),
+
+  updateCategory: Joi.object({
+    name: Joi.string().min(2).max(100).messages({
+      'string.min': 'Ime kategorije mora imeti vsaj 2 znaka',
+      'string.max': 'Ime kategorije je predolgo'
+    }),
+    description: Joi.string().max(255).allow('', null).messages({
+      'string.max': 'Opis je predolg'
+    }),
+    icon: Joi.string().max(50).allow('', null).messages({
+      'string.max': 'Ikona je predolga'
+    }),
+    color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null).messages({
+      'string.pattern.base': 'Barva mora biti v obliki #RRGGBB'
+    })
+  }),
+
+  proposal: Joi.object({
+    household_id: Joi.number().integer().positive().required().messages({
+      'any.required': 'ID doma je obvezen'
+    }),
+    title: Joi.string().min(2).max(200).required().messages({
+      'string.min': 'Naslov mora imeti vsaj 2 znaka',
+      'string.max': 'Naslov je predolg',
+      'any.required': 'Naslov je obvezen'
+    }),
+    description: Joi.string().max(1000).allow('', null).messages({
+      'string.max': 'Opis je predolg'
+    }),
+    suggested_cost_points: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.min': 'Minimalna cena je 1 točka',
+      'number.max': 'Maksimalna cena je 10000 točk',
+      'any.required': 'Predlagana cena je obvezna'
+    })
+  }),
+
+  approveProposal: Joi.object({
+    cost_points: Joi.number().integer().min(1).max(10000).messages({
+      'number.min': 'Minimalna cena je 1 točka',
+      'number.max': 'Maksimalna cena je 10000 točk'
+    }),
+    quantity: Joi.number().integer().min(0).max(10000),
+    category_id: Joi.number().integer().positive().allow(null)
+  }),
+
+  rejectProposal: Joi.object({
+    reason: Joi.string().min(2).max(500).required().messages({
+      'string.min': 'Razlog mora imeti vsaj 2 znaka',
+      'string.max': 'Razlog je predolg',
+      'any.required': 'Razlog zavrnitve je obvezen'
+    })
+  }),
+
+  contribute: Joi.object({
+    points: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.min': 'Prispevate lahko vsaj 1 točko',
+      'number.max': 'Prispevek je prevelik',
+      'any.required': 'Število točk je obvezno'
+    })
+  }),
+
+  savingsGoal: Joi.object({
+    locked_points: Joi.number().integer().min(0).max(10000).messages({
+      'number.min': 'Zaklenjene točke ne smejo biti negativne',
+      'number.max': 'Zaklenjenih točk je preveč'
+    })
   })
 };
 
@@ -5,6 +5,10 @@
 const mysql = require('mysql2/promise');
 const cron = require('node-cron');
 const winston = require('winston');
+const moment = require('moment');
+const { getHouseholdClock, startOfLocalDay } = require('../utils/dates');
+const { getTaskOccurrences } = require('../utils/recurrence');
+const { getPointsFormula, getOldestUnspentDate } = require('../utils/points');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -97,152 +101,1551 @@ async function rollbackTransaction(connection) {
 }
 
 // =============================================================================
-// SCHEDULED TASKS
+// SCHEMA MIGRATIONS
 // =============================================================================
 
 /**
- * Generate daily task assignments
+ * Bring the database schema up to date with the columns the API relies on
+ */
+async function ensureSchema() {
+  await query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS specific_date DATE NULL');
+
+  // Round-robin order for auto-assigned tasks and the position last assigned
+  await query(`CREATE TABLE IF NOT EXISTS task_cycle_users (
+    task_id INT NOT NULL,
+    user_id INT NOT NULL,
+    position INT DEFAULT 0,
+    PRIMARY KEY (task_id, user_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(task_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS cycle_position INT NULL');
+
+  // iCalendar RRULE that replaces frequency when generating assignments
+  await query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(255) NULL');
+
+  // Household timezone (IANA name) and first day of week (ISO, 1 = Monday)
+  await query("ALTER TABLE households ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC'");
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS week_start TINYINT NOT NULL DEFAULT 1');
+
+  // How auto-assign picks a member when a task has no rotation order, and
+  // the settings of the balanced_workload strategy
+  await query("ALTER TABLE households ADD COLUMN IF NOT EXISTS assignment_strategy ENUM('fewest_assignments','balanced_workload') NOT NULL DEFAULT 'fewest_assignments'");
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS workload_window_days TINYINT NOT NULL DEFAULT 7');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS workload_age_weighting TINYINT(1) NOT NULL DEFAULT 0');
+  await query('ALTER TABLE household_members ADD COLUMN IF NOT EXISTS workload_capacity DECIMAL(4,2) NULL');
+  await query('ALTER TABLE household_members ADD COLUMN IF NOT EXISTS birth_date DATE NULL');
+  await query('ALTER TABLE household_members ADD COLUMN IF NOT EXISTS can_adjust_points BOOLEAN DEFAULT 0');
+
+  // Point formula: household defaults, per-task base overrides and the
+  // stored breakdown of every completion
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_multiplier DECIMAL(5,2) NOT NULL DEFAULT 1.00');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_early_bonus INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_on_time_bonus INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_late_penalty_per_day INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_photo_bonus INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_weekend_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.00');
+  await query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS point_value INT NULL');
+  await query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS point_multiplier DECIMAL(5,2) NULL');
+  await query('ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS points_breakdown JSON NULL');
+
+  // Point expiry: points older than N months expire (0 = never), and balances
+  // above the carry-over cap are reset at every season boundary
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_expiry_months TINYINT NOT NULL DEFAULT 0');
+  await query("ALTER TABLE households ADD COLUMN IF NOT EXISTS points_season_reset ENUM('none','monthly','quarterly','yearly') NOT NULL DEFAULT 'none'");
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_season_start_month TINYINT NOT NULL DEFAULT 1');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_carry_over_cap INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS points_last_reset_date DATE NULL');
+
+  // Last successful run of each scheduled job, used to backfill missed runs
+  await query(`CREATE TABLE IF NOT EXISTS scheduler_state (
+    job_name VARCHAR(64) NOT NULL PRIMARY KEY,
+    last_success_at DATETIME NULL,
+    updated_at DATETIME NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // History of scheduled job runs (household_id is NULL for runs over all households)
+  await query(`CREATE TABLE IF NOT EXISTS scheduler_runs (
+    run_id INT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(64) NOT NULL,
+    household_id INT NULL,
+    trigger_type ENUM('schedule','backfill','manual') NOT NULL DEFAULT 'schedule',
+    triggered_by_user_id INT NULL,
+    run_for DATETIME NOT NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NULL,
+    status ENUM('running','success','failed') NOT NULL DEFAULT 'running',
+    affected_rows INT NULL,
+    error_message TEXT NULL,
+    INDEX idx_scheduler_runs_job (job_name, started_at),
+    INDEX idx_scheduler_runs_household (household_id, started_at),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (triggered_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Household holidays and skip days. Rows without task_id apply to every
+  // task; task rows either skip that task only or keep it running ('keep')
+  // through household-wide skip days
+  await query(`CREATE TABLE IF NOT EXISTS household_skip_days (
+    skip_day_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    task_id INT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    action ENUM('skip','keep') NOT NULL DEFAULT 'skip',
+    reason VARCHAR(255) NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_skip_days_household (household_id, start_date, end_date),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (task_id) REFERENCES tasks(task_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Periods a member is away (camp, vacation) and skipped by auto-assignment
+  await query(`CREATE TABLE IF NOT EXISTS member_away_periods (
+    away_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255) NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_away_periods_member (household_id, user_id, start_date, end_date),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Append-only points ledger; balances are the sum of points per member
+  await query(`CREATE TABLE IF NOT EXISTS points_ledger (
+    entry_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    entry_type ENUM('earned','spent','refunded','adjusted','expired') NOT NULL,
+    points INT NOT NULL,
+    completion_id INT NULL,
+    claim_id INT NULL,
+    description VARCHAR(255) NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_points_ledger_member (user_id, household_id, created_at),
+    UNIQUE KEY uq_points_ledger_completion (entry_type, completion_id),
+    UNIQUE KEY uq_points_ledger_claim (entry_type, claim_id),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (completion_id) REFERENCES task_completions(completion_id) ON DELETE SET NULL,
+    FOREIGN KEY (claim_id) REFERENCES reward_claims(claim_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Manual adjustments are reverted by a counter entry pointing at the original
+  await query('ALTER TABLE points_ledger ADD COLUMN IF NOT EXISTS reverts_entry_id INT NULL');
+  await query('ALTER TABLE points_ledger ADD UNIQUE KEY IF NOT EXISTS uq_points_ledger_revert (reverts_entry_id)');
+
+  // Point transfers between members of a household; transfers that need
+  // parental approval stay pending with the points taken from the sender
+  await query("ALTER TABLE households ADD COLUMN IF NOT EXISTS transfers_require_approval TINYINT(1) NOT NULL DEFAULT 0");
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS transfer_daily_limit INT NOT NULL DEFAULT 0');
+  await query(`CREATE TABLE IF NOT EXISTS point_transfers (
+    transfer_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    from_user_id INT NOT NULL,
+    to_user_id INT NOT NULL,
+    points INT NOT NULL,
+    message VARCHAR(255) NULL,
+    status ENUM('pending','completed','rejected','cancelled') NOT NULL DEFAULT 'completed',
+    reviewed_by_user_id INT NULL,
+    reviewed_at DATETIME NULL,
+    review_note VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_point_transfers_sender (household_id, from_user_id, created_at),
+    INDEX idx_point_transfers_recipient (household_id, to_user_id, created_at),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (from_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (to_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query("ALTER TABLE points_ledger MODIFY COLUMN entry_type ENUM('earned','spent','refunded','adjusted','expired','transferred') NOT NULL");
+  await query('ALTER TABLE points_ledger ADD COLUMN IF NOT EXISTS transfer_id INT NULL');
+  await query('ALTER TABLE points_ledger ADD UNIQUE KEY IF NOT EXISTS uq_points_ledger_transfer (entry_type, transfer_id, user_id)');
+
+  // Points moved between members keep the age of the points they came from
+  await query('ALTER TABLE points_ledger ADD COLUMN IF NOT EXISTS points_dated_at DATETIME NULL');
+
+  // Savings goals toward rewards; locked points are held until the goal's
+  // reward is claimed or the goal is cancelled
+  await query(`CREATE TABLE IF NOT EXISTS savings_goals (
+    goal_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reward_id INT NOT NULL,
+    locked_points INT NOT NULL DEFAULT 0,
+    status ENUM('active','completed','cancelled') NOT NULL DEFAULT 'active',
+    claim_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    INDEX idx_savings_goals_member (user_id, household_id, status),
+    INDEX idx_savings_goals_reward (reward_id, status),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (reward_id) REFERENCES rewards(reward_id) ON DELETE CASCADE,
+    FOREIGN KEY (claim_id) REFERENCES reward_claims(claim_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // Allowance mode: points are paid out as money at the household's rate
+  // (0 = allowance mode off). Pending payouts hold their points like pending
+  // claims; marking a payout paid takes the points in the ledger.
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS allowance_rate DECIMAL(10,4) NOT NULL DEFAULT 0');
+  await query("ALTER TABLE households ADD COLUMN IF NOT EXISTS allowance_currency CHAR(3) NOT NULL DEFAULT 'EUR'");
+  await query(`CREATE TABLE IF NOT EXISTS allowance_payouts (
+    payout_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    points INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    note VARCHAR(255) NULL,
+    status ENUM('pending','paid','rejected','cancelled') NOT NULL DEFAULT 'pending',
+    reviewed_by_user_id INT NULL,
+    reviewed_at DATETIME NULL,
+    review_note VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_allowance_payouts_member (household_id, user_id, status),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query("ALTER TABLE points_ledger MODIFY COLUMN entry_type ENUM('earned','spent','refunded','adjusted','expired','transferred','paid_out') NOT NULL");
+  await query('ALTER TABLE points_ledger ADD COLUMN IF NOT EXISTS payout_id INT NULL');
+  await query('ALTER TABLE points_ledger ADD UNIQUE KEY IF NOT EXISTS uq_points_ledger_payout (entry_type, payout_id)');
+
+  // Group rewards are funded together: contributions are spent right away,
+  // then claimed as one pending claim once they reach cost_points
+  await query("ALTER TABLE rewards ADD COLUMN IF NOT EXISTS reward_type ENUM('individual','group') NOT NULL DEFAULT 'individual'");
+  await query(`CREATE TABLE IF NOT EXISTS reward_contributions (
+    contribution_id INT AUTO_INCREMENT PRIMARY KEY,
+    reward_id INT NOT NULL,
+    household_id INT NOT NULL,
+    user_id INT NOT NULL,
+    points INT NOT NULL,
+    status ENUM('active','claimed','refunded') NOT NULL DEFAULT 'active',
+    claim_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    refunded_at DATETIME NULL,
+    INDEX idx_reward_contributions_reward (reward_id, status),
+    INDEX idx_reward_contributions_claim (claim_id),
+    FOREIGN KEY (reward_id) REFERENCES rewards(reward_id) ON DELETE CASCADE,
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (claim_id) REFERENCES reward_claims(claim_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query('ALTER TABLE points_ledger ADD COLUMN IF NOT EXISTS contribution_id INT NULL');
+  await query('ALTER TABLE points_ledger ADD UNIQUE KEY IF NOT EXISTS uq_points_ledger_contribution (entry_type, contribution_id)');
+
+  // Claim limits: at most member_limit_count claims per member within
+  // member_limit_days, cooldowns after a member's and after anyone's claim,
+  // and a cap on the points a member spends on claims per day (0 = off)
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS member_limit_count INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS member_limit_days INT NOT NULL DEFAULT 7');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS member_cooldown_hours INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS household_cooldown_hours INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE households ADD COLUMN IF NOT EXISTS claim_daily_points_cap INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE reward_claims ADD INDEX IF NOT EXISTS idx_reward_claims_member (claimed_by, claimed_at)');
+
+  // Restock rules: reset quantity to restock_amount, or add restock_amount up
+  // to restock_max (0 = no cap), every day, every week on restock_day (ISO
+  // weekday) or every month on restock_day. Restocks are kept as history.
+  await query("ALTER TABLE rewards ADD COLUMN IF NOT EXISTS restock_mode ENUM('none','reset','increment') NOT NULL DEFAULT 'none'");
+  await query("ALTER TABLE rewards ADD COLUMN IF NOT EXISTS restock_frequency ENUM('daily','weekly','monthly') NOT NULL DEFAULT 'weekly'");
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS restock_day TINYINT NOT NULL DEFAULT 1');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS restock_amount INT NOT NULL DEFAULT 1');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS restock_max INT NOT NULL DEFAULT 0');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS last_restocked_date DATE NULL');
+  // Reward windows: listed from available_from to available_until (local
+  // dates, inclusive) and claimable only on available_weekdays (ISO weekdays,
+  // comma separated; NULL = every day)
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS available_from DATE NULL');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS available_until DATE NULL');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS available_weekdays VARCHAR(20) NULL');
+
+  // Reward categories per household, like task_categories, and reward images
+  // saved through the upload pipeline
+  await query(`CREATE TABLE IF NOT EXISTS reward_categories (
+    category_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    icon VARCHAR(50) NULL,
+    color VARCHAR(7) NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_by_user_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NULL,
+    INDEX idx_reward_categories_household (household_id, is_active),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS category_id INT NULL');
+  await query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS image_filename VARCHAR(255) NULL');
+  await query('ALTER TABLE rewards ADD INDEX IF NOT EXISTS idx_rewards_category (category_id)');
+
+  // Reward proposals from members; approving one creates the reward
+  await query(`CREATE TABLE IF NOT EXISTS reward_proposals (
+    proposal_id INT AUTO_INCREMENT PRIMARY KEY,
+    household_id INT NOT NULL,
+    proposed_by_user_id INT NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT NULL,
+    suggested_cost_points INT NOT NULL,
+    status ENUM('pending','approved','rejected','withdrawn') NOT NULL DEFAULT 'pending',
+    reward_id INT NULL,
+    reviewed_by_user_id INT NULL,
+    reviewed_at DATETIME NULL,
+    rejection_reason VARCHAR(500) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reward_proposals_household (household_id, status, created_at),
+    FOREIGN KEY (household_id) REFERENCES households(household_id) ON DELETE CASCADE,
+    FOREIGN KEY (proposed_by_user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (reward_id) REFERENCES rewards(reward_id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  await query(`CREATE TABLE IF NOT EXISTS reward_restocks (
+    restock_id INT AUTO_INCREMENT PRIMARY KEY,
+    reward_id INT NOT NULL,
+    source ENUM('schedule','manual') NOT NULL,
+    previous_quantity INT NOT NULL,
+    new_quantity INT NOT NULL,
+    restock_date DATE NULL,
+    created_by_user_id INT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reward_restocks_reward (reward_id, created_at),
+    FOREIGN KEY (reward_id) REFERENCES rewards(reward_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  // One-time data migrations that have already been applied
+  await query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(100) NOT NULL PRIMARY KEY,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+  await runMigration('backfill_points_ledger', backfillPointsLedger);
+
+  logger.info('Database schema is up to date');
+}
+
+/**
+ * Run a one-time data migration unless it is recorded in schema_migrations
  */
-async function generateDailyAssignments() {
+async function runMigration(name, migrate) {
+  const applied = await queryOne('SELECT name FROM schema_migrations WHERE name = ?', [name]);
+  if (applied) {
+    return;
+  }
+
+  const connection = await beginTransaction();
   try {
-    logger.info('Generating daily task assignments...');
-    
-    const sql = `
-      INSERT INTO task_assignments (task_id, assigned_to, assigned_by, due_date, created_at)
-      SELECT 
-        t.task_id,
-        CASE 
-          WHEN t.auto_assign = 1 THEN (
-            SELECT hm.user_id 
-            FROM household_members hm 
-            WHERE hm.household_id = t.household_id 
-            AND hm.is_active = 1
-            ORDER BY (
-              SELECT COUNT(*) 
-              FROM task_assignments ta2 
-              WHERE ta2.task_id = t.task_id 
-              AND ta2.assigned_to = hm.user_id
-            ) ASC, hm.user_id ASC
-            LIMIT 1
-          )
-          ELSE (
-            SELECT ta_prev.assigned_to 
-            FROM task_assignments ta_prev 
-            WHERE ta_prev.task_id = t.task_id 
-            ORDER BY ta_prev.created_at DESC 
-            LIMIT 1
-          )
-        END as assigned_to,
-        t.created_by,
-        CURDATE(),
-        NOW()
-      FROM tasks t
-      WHERE t.frequency = 'daily'
-        AND t.is_active = 1
-        AND NOT EXISTS (
-          SELECT 1 FROM task_assignments ta 
-          WHERE ta.task_id = t.task_id 
-          AND ta.due_date = CURDATE()
-        )
-    `;
-    
-    const result = await query(sql);
-    logger.info(`Generated ${result.affectedRows} daily assignments`);
-    
+    await migrate(connection);
+    await connection.execute('INSERT INTO schema_migrations (name, applied_at) VALUES (?, NOW())', [name]);
+    await commitTransaction(connection);
+    logger.info(`Applied migration ${name}`);
   } catch (error) {
-    logger.error('Error generating daily assignments:', error.message);
+    await rollbackTransaction(connection);
+    throw error;
   }
 }
 
 /**
- * Generate weekly task assignments (every Monday)
+ * Fill the points ledger from existing task completions (earned) and
+ * fulfilled reward claims (spent)
  */
-async function generateWeeklyAssignments() {
-  try {
-    logger.info('Generating weekly task assignments...');
-    
-    const sql = `
-      INSERT INTO task_assignments (task_id, assigned_to, assigned_by, due_date, created_at)
-      SELECT 
-        t.task_id,
-        CASE 
-          WHEN t.auto_assign = 1 THEN (
-            SELECT hm.user_id 
-            FROM household_members hm 
-            WHERE hm.household_id = t.household_id 
-            AND hm.is_active = 1
-            ORDER BY (
-              SELECT COUNT(*) 
-              FROM task_assignments ta2 
-              WHERE ta2.task_id = t.task_id 
-              AND ta2.assigned_to = hm.user_id
-            ) ASC, hm.user_id ASC
-            LIMIT 1
-          )
-          ELSE (
-            SELECT ta_prev.assigned_to 
-            FROM task_assignments ta_prev 
-            WHERE ta_prev.task_id = t.task_id 
-            ORDER BY ta_prev.created_at DESC 
-            LIMIT 1
-          )
-        END as assigned_to,
-        t.created_by,
-        DATE_ADD(CURDATE(), INTERVAL (7 - WEEKDAY(CURDATE())) DAY),
-        NOW()
-      FROM tasks t
-      WHERE t.frequency = 'weekly'
-        AND t.is_active = 1
+async function backfillPointsLedger(connection) {
+  await connection.execute(`
+    INSERT IGNORE INTO points_ledger (
+      household_id, user_id, entry_type, points, completion_id, description, created_at
+    )
+    SELECT t.household_id, tc.completed_by, 'earned', tc.points_earned, tc.completion_id, t.title, tc.completed_at
+    FROM task_completions tc
+    JOIN tasks t ON tc.task_id = t.task_id
+    WHERE tc.points_earned <> 0
+  `);
+
+  await connection.execute(`
+    INSERT IGNORE INTO points_ledger (
+      household_id, user_id, entry_type, points, claim_id, description, created_by_user_id, created_at
+    )
+    SELECT r.household_id, rc.claimed_by, 'spent', -rc.points_spent, rc.claim_id, r.title,
+      rc.fulfilled_by_user_id, COALESCE(rc.fulfilled_at, rc.claimed_at)
+    FROM reward_claims rc
+    JOIN rewards r ON rc.reward_id = r.reward_id
+    WHERE rc.status = 'fulfilled'
+  `);
+}
+
+// =============================================================================
+// SCHEDULED TASKS
+// =============================================================================
+
+// How many days ahead monthly, yearly and custom assignments are created
+const RECURRING_LEAD_DAYS = 7;
+
+// Local hour of the household after which daily assignments are created
+const GENERATION_HOUR = 6;
+
+// With age weighting, members younger than this get a proportionally
+// smaller share of the workload, but never less than MIN_AGE_FACTOR
+const WORKLOAD_ADULT_AGE = 16;
+const MIN_AGE_FACTOR = 0.25;
+
+/**
+ * Resolve the occurrence of a monthly anchor date in the given month,
+ * clamping days that do not exist (e.g. 31st in April) to the last day
+ */
+function monthlyOccurrence(anchor, year, month) {
+  const lastDay = moment({ year, month, day: 1 }).daysInMonth();
+  return moment({ year, month, day: Math.min(moment(anchor).date(), lastDay) });
+}
+
+/**
+ * Resolve the occurrence of a yearly anchor date in the given year
+ * (29th February falls on the 28th in non-leap years)
+ */
+function yearlyOccurrence(anchor, year) {
+  return monthlyOccurrence(anchor, year, moment(anchor).month());
+}
+
+// Excludes members (aliased hm) away on the date bound to the two placeholders
+const NOT_AWAY_CONDITION = `(? IS NULL OR NOT EXISTS (
+  SELECT 1 FROM member_away_periods ap
+  WHERE ap.household_id = hm.household_id
+    AND ap.user_id = hm.user_id
+    AND ? BETWEEN ap.start_date AND ap.end_date
+))`;
+
+/**
+ * Get the next user in a task's task_cycle_users rotation, skipping users
+ * that are no longer active members of the household or, when a date
+ * (YYYY-MM-DD) is given, are away on that date
+ */
+async function getNextCycleUser(task, date = null) {
+  const cycle = await query(`
+    SELECT tcu.user_id, tcu.position
+    FROM task_cycle_users tcu
+    JOIN household_members hm ON hm.user_id = tcu.user_id
+      AND hm.household_id = ?
+      AND hm.is_active = 1
+    WHERE tcu.task_id = ?
+      AND ${NOT_AWAY_CONDITION}
+    ORDER BY tcu.position ASC
+  `, [task.household_id, task.task_id, date, date]);
+
+  if (cycle.length === 0) {
+    return null;
+  }
+
+  const hasPosition = task.cycle_position !== null && task.cycle_position !== undefined;
+  return cycle.find(entry => !hasPosition || entry.position > task.cycle_position) || cycle[0];
+}
+
+/**
+ * Check if a task is skipped on a date (YYYY-MM-DD) by the household's
+ * skip-day calendar. A 'keep' override for the task wins over skip entries.
+ */
+async function isSkipDay(task, date) {
+  const entries = await query(`
+    SELECT task_id, action
+    FROM household_skip_days
+    WHERE household_id = ?
+      AND ? BETWEEN start_date AND end_date
+      AND (task_id IS NULL OR task_id = ?)
+  `, [task.household_id, date, task.task_id]);
+
+  if (entries.some(entry => entry.task_id && entry.action === 'keep')) {
+    return false;
+  }
+
+  return entries.some(entry => entry.action === 'skip');
+}
+
+/**
+ * Check if a member is away on a date (YYYY-MM-DD)
+ */
+async function isMemberAway(householdId, userId, date) {
+  const period = await queryOne(`
+    SELECT away_id FROM member_away_periods
+    WHERE household_id = ? AND user_id = ? AND ? BETWEEN start_date AND end_date
+    LIMIT 1
+  `, [householdId, userId, date]);
+
+  return !!period;
+}
+
+/**
+ * Pick the active, not away member with the lowest summed difficulty_minutes
+ * due within workload_window_days before or after date, relative to their
+ * capacity (workload_capacity, optionally scaled by age).
+ */
+async function pickBalancedAssignee(task, date, plan = null) {
+  const settings = await queryOne(`
+    SELECT workload_window_days, workload_age_weighting
+    FROM households
+    WHERE household_id = ?
+  `, [task.household_id]);
+
+  const day = date || moment().format('YYYY-MM-DD');
+  const windowDays = Math.max((settings && settings.workload_window_days) || 7, 1);
+  const windowStart = moment(day, 'YYYY-MM-DD').subtract(windowDays - 1, 'days').format('YYYY-MM-DD');
+  const windowEnd = moment(day, 'YYYY-MM-DD').add(windowDays - 1, 'days').format('YYYY-MM-DD');
+
+  const members = await query(`
+    SELECT 
+      hm.user_id,
+      hm.workload_capacity,
+      hm.birth_date,
+      (
+        SELECT COALESCE(SUM(wt.difficulty_minutes), 0)
+        FROM task_assignments ta
+        JOIN tasks wt ON ta.task_id = wt.task_id
+        WHERE ta.assigned_to_user_id = hm.user_id
+          AND wt.household_id = hm.household_id
+          AND ta.is_active = 1
+          AND DATE(ta.due_date) BETWEEN ? AND ?
+      ) as workload_minutes
+    FROM household_members hm 
+    WHERE hm.household_id = ? 
+      AND hm.is_active = 1
+      AND ${NOT_AWAY_CONDITION}
+  `, [windowStart, windowEnd, task.household_id, date, date]);
+
+  members.forEach(member => {
+    const planned = plan ? plan.assignments.filter(entry =>
+      entry.user_id === member.user_id && entry.due_date >= windowStart && entry.due_date <= windowEnd
+    ) : [];
+    const minutes = Number(member.workload_minutes) +
+      planned.reduce((sum, entry) => sum + (entry.difficulty_minutes || 0), 0);
+
+    let capacity = member.workload_capacity !== null ? Number(member.workload_capacity) : 1;
+    if (settings && settings.workload_age_weighting && member.birth_date) {
+      const age = moment(day, 'YYYY-MM-DD').diff(moment(member.birth_date), 'years', true);
+      capacity *= Math.min(Math.max(age / WORKLOAD_ADULT_AGE, MIN_AGE_FACTOR), 1);
+    }
+
+    member.workload_minutes = minutes;
+    member.load = capacity > 0 ? minutes / capacity : Infinity;
+  });
+
+  members.sort((a, b) => a.load - b.load || a.workload_minutes - b.workload_minutes || a.user_id - b.user_id);
+
+  return members.length ? { user_id: members[0].user_id } : null;
+}
+
+/**
+ * Pick the member that should receive a generated assignment due on date
+ * (YYYY-MM-DD), skipping members away on that date.
+ * Returns { user_id, cycle_position } where cycle_position is set when the
+ * pick advanced the task's rotation. When a dry-run plan is given, its
+ * projected assignments count as if they had been inserted.
+ */
+async function pickRecurringAssignee(task, plan = null, date = null) {
+  const planned = plan ? plan.assignments.filter(entry => entry.task_id === task.task_id) : [];
+
+  if (task.auto_assign) {
+    const next = await getNextCycleUser(task, date);
+
+    if (next) {
+      return { user_id: next.user_id, cycle_position: next.position };
+    }
+  } else {
+    let previousUserId = planned.length ? planned[planned.length - 1].user_id : null;
+
+    if (!previousUserId) {
+      const previous = await queryOne(`
+        SELECT ta.assigned_to_user_id 
+        FROM task_assignments ta 
+        WHERE ta.task_id = ? 
+        ORDER BY ta.created_at DESC 
+        LIMIT 1
+      `, [task.task_id]);
+
+      previousUserId = previous ? previous.assigned_to_user_id : null;
+    }
+
+    if (!previousUserId) {
+      return null;
+    }
+
+    if (!date || !await isMemberAway(task.household_id, previousUserId, date)) {
+      return { user_id: previousUserId };
+    }
+
+    // The previous assignee is away, hand the task to the least loaded member
+  }
+
+  const household = await queryOne(
+    'SELECT assignment_strategy FROM households WHERE household_id = ?',
+    [task.household_id]
+  );
+
+  if (household && household.assignment_strategy === 'balanced_workload') {
+    return pickBalancedAssignee(task, date, plan);
+  }
+
+  const members = await query(`
+    SELECT 
+      hm.user_id,
+      (
+        SELECT COUNT(*) 
+        FROM task_assignments ta 
+        WHERE ta.task_id = ? 
+        AND ta.assigned_to_user_id = hm.user_id
+      ) as assignment_count
+    FROM household_members hm 
+    WHERE hm.household_id = ? 
+      AND hm.is_active = 1
+      AND ${NOT_AWAY_CONDITION}
+    ORDER BY assignment_count ASC, hm.user_id ASC
+  `, [task.task_id, task.household_id, date, date]);
+
+  members.forEach(member => {
+    member.assignment_count += planned.filter(entry => entry.user_id === member.user_id).length;
+  });
+  members.sort((a, b) => a.assignment_count - b.assignment_count || a.user_id - b.user_id);
+
+  return members.length ? { user_id: members[0].user_id } : null;
+}
+
+/**
+ * Create an assignment for a recurring task unless one already exists
+ * with a due date inside the same period. With a dry-run plan the
+ * assignment is only recorded in the plan.
+ */
+async function createRecurringAssignment(task, dueDate, periodStart, periodEnd, plan = null) {
+  const start = periodStart.format('YYYY-MM-DD');
+  const end = periodEnd.format('YYYY-MM-DD');
+
+  const existing = await queryOne(`
+    SELECT assignment_id FROM task_assignments 
+    WHERE task_id = ? AND DATE(due_date) BETWEEN ? AND ?
+  `, [task.task_id, start, end]);
+
+  const alreadyPlanned = plan && plan.assignments.some(entry =>
+    entry.task_id === task.task_id && entry.due_date >= start && entry.due_date <= end
+  );
+
+  if (existing || alreadyPlanned) {
+    return false;
+  }
+
+  const assignee = await pickRecurringAssignee(task, plan, dueDate.format('YYYY-MM-DD'));
+
+  if (!assignee) {
+    return false;
+  }
+
+  if (plan) {
+    plan.assignments.push({
+      task_id: task.task_id,
+      user_id: assignee.user_id,
+      due_date: dueDate.format('YYYY-MM-DD'),
+      difficulty_minutes: task.difficulty_minutes
+    });
+  } else {
+    await query(`
+      INSERT INTO task_assignments (
+        task_id, assigned_to_user_id, assigned_by_user_id, 
+        due_date, status, created_at
+      ) VALUES (?, ?, ?, ?, 'pending', NOW())
+    `, [task.task_id, assignee.user_id, task.created_by_user_id, dueDate.format('YYYY-MM-DD')]);
+  }
+
+  if (assignee.cycle_position !== undefined) {
+    if (!plan) {
+      await query('UPDATE tasks SET cycle_position = ? WHERE task_id = ?', [assignee.cycle_position, task.task_id]);
+    }
+    task.cycle_position = assignee.cycle_position;
+  }
+
+  return true;
+}
+
+/**
+ * Generate assignments for all active tasks of a frequency, optionally
+ * limited to one household. Tasks with a recurrence_rule are only picked up
+ * by the 'custom' frequency.
+ * resolveOccurrence(task, clock, liveClock) returns { due, start, end } for a
+ * task or null to skip it. clock holds the household's date boundaries at the
+ * generated instant, liveClock at the current time (they differ when
+ * catching up on missed runs).
+ * A dry-run plan (see previewScheduledAssignments) keeps task state between
+ * runs and treats the generated instant as the current time.
+ */
+async function generateRecurringAssignments(frequency, resolveOccurrence, at = new Date(), householdId = null, plan = null) {
+  const params = frequency === 'custom' ? [] : [frequency];
+  const frequencyFilter = frequency === 'custom'
+    ? 't.recurrence_rule IS NOT NULL'
+    : 't.frequency = ? AND t.recurrence_rule IS NULL';
+  let householdFilter = '';
+  if (householdId) {
+    householdFilter = 'AND t.household_id = ?';
+    params.push(householdId);
+  }
+
+  const tasks = await query(`
+    SELECT 
+      t.task_id,
+      t.household_id,
+      t.auto_assign,
+      t.specific_date,
+      t.recurrence_rule,
+      t.difficulty_minutes,
+      t.cycle_position,
+      t.created_by_user_id,
+      t.created_at,
+      h.timezone,
+      h.week_start
+    FROM tasks t
+    JOIN households h ON t.household_id = h.household_id
+    WHERE ${frequencyFilter} AND t.is_active = 1 AND h.is_active = 1
+      ${householdFilter}
+  `, params);
+
+  const now = plan ? at : new Date();
+  let created = 0;
+
+  for (const row of tasks) {
+    let task = row;
+    if (plan) {
+      task = plan.tasks[row.task_id] || (plan.tasks[row.task_id] = row);
+      if (plan.autoAssignTaskIds.includes(task.task_id)) {
+        task.auto_assign = 1;
+      }
+    }
+
+    const clock = getHouseholdClock(task, at);
+    const liveClock = getHouseholdClock(task, now);
+    const occurrence = resolveOccurrence(task, clock, liveClock);
+
+    if (!occurrence || await isSkipDay(task, occurrence.due.format('YYYY-MM-DD'))) {
+      continue;
+    }
+
+    if (await createRecurringAssignment(task, occurrence.due, occurrence.start, occurrence.end, plan)) {
+      created++;
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Generate daily task assignments once the household's local time
+ * passes GENERATION_HOUR (past days are always generated)
+ */
+async function generateDailyAssignments(at = new Date(), householdId = null, plan = null) {
+  const created = await generateRecurringAssignments('daily', (task, clock, liveClock) => {
+    if (clock.today === liveClock.today && liveClock.hour < GENERATION_HOUR) {
+      return null;
+    }
+
+    const today = moment(clock.today, 'YYYY-MM-DD');
+    return { due: today, start: today, end: today };
+  }, at, householdId, plan);
+
+  return created;
+}
+
+/**
+ * Generate weekly task assignments, due on the first day of the
+ * household's next week
+ */
+async function generateWeeklyAssignments(at = new Date(), householdId = null, plan = null) {
+  const created = await generateRecurringAssignments('weekly', (task, clock) => {
+    const due = moment(clock.week_start_date, 'YYYY-MM-DD').add(1, 'week');
+
+    return {
+      due,
+      start: due.clone().subtract(6, 'days'),
+      end: due
+    };
+  }, at, householdId, plan);
+
+  return created;
+}
+
+/**
+ * Generate monthly task assignments on the day of month of specific_date
+ * (or the task creation date), RECURRING_LEAD_DAYS ahead of time
+ */
+async function generateMonthlyAssignments(at = new Date(), householdId = null, plan = null) {
+  const created = await generateRecurringAssignments('monthly', (task, clock) => {
+    const today = moment(clock.today, 'YYYY-MM-DD');
+    const anchor = task.specific_date || task.created_at;
+    let due = monthlyOccurrence(anchor, today.year(), today.month());
+
+    if (due.isBefore(today)) {
+      const nextMonth = today.clone().add(1, 'month');
+      due = monthlyOccurrence(anchor, nextMonth.year(), nextMonth.month());
+    }
+
+    // Nothing is due before the anchor date itself
+    if (due.isBefore(moment(anchor).format('YYYY-MM-DD')) || due.diff(today, 'days') > RECURRING_LEAD_DAYS) {
+      return null;
+    }
+
+    return {
+      due,
+      start: due.clone().startOf('month'),
+      end: due.clone().endOf('month')
+    };
+  }, at, householdId, plan);
+
+  return created;
+}
+
+/**
+ * Generate yearly task assignments on the specific_date anniversary,
+ * RECURRING_LEAD_DAYS ahead of time
+ */
+async function generateYearlyAssignments(at = new Date(), householdId = null, plan = null) {
+  const created = await generateRecurringAssignments('yearly', (task, clock) => {
+    const today = moment(clock.today, 'YYYY-MM-DD');
+    const anchor = task.specific_date || task.created_at;
+    let due = yearlyOccurrence(anchor, today.year());
+
+    if (due.isBefore(today)) {
+      due = yearlyOccurrence(anchor, today.year() + 1);
+    }
+
+    // Nothing is due before the anchor date itself
+    if (due.isBefore(moment(anchor).format('YYYY-MM-DD')) || due.diff(today, 'days') > RECURRING_LEAD_DAYS) {
+      return null;
+    }
+
+    return {
+      due,
+      start: due.clone().startOf('year'),
+      end: due.clone().endOf('year')
+    };
+  }, at, householdId, plan);
+
+  return created;
+}
+
+/**
+ * Generate assignments of tasks with a custom recurrence_rule: the next
+ * occurrence on or after today, once it is RECURRING_LEAD_DAYS away
+ */
+async function generateCustomAssignments(at = new Date(), householdId = null, plan = null) {
+  const created = await generateRecurringAssignments('custom', (task, clock) => {
+    const [next] = getTaskOccurrences(task, clock.today, 1);
+    if (!next) {
+      return null;
+    }
+
+    const due = moment(next, 'YYYY-MM-DD');
+    if (due.diff(moment(clock.today, 'YYYY-MM-DD'), 'days') > RECURRING_LEAD_DAYS) {
+      return null;
+    }
+
+    return { due, start: due, end: due };
+  }, at, householdId, plan);
+
+  return created;
+}
+
+/**
+ * Mark assignments overdue once their due date has passed in the
+ * household's timezone. Assignments due on a skip day are left alone.
+ */
+async function markOverdueAssignments(at = new Date(), householdId = null) {
+  const params = [];
+  let householdFilter = '';
+  if (householdId) {
+    householdFilter = 'AND household_id = ?';
+    params.push(householdId);
+  }
+
+  const households = await query(`
+    SELECT household_id, timezone, week_start
+    FROM households
+    WHERE is_active = 1 ${householdFilter}
+  `, params);
+
+  let marked = 0;
+
+  for (const household of households) {
+    const clock = getHouseholdClock(household, at);
+    const result = await query(`
+      UPDATE task_assignments ta
+      JOIN tasks t ON ta.task_id = t.task_id
+      SET ta.status = 'overdue' 
+      WHERE ta.status = 'pending' 
+        AND t.household_id = ?
+        AND DATE(ta.due_date) < ?
         AND NOT EXISTS (
-          SELECT 1 FROM task_assignments ta 
-          WHERE ta.task_id = t.task_id 
-          AND WEEK(ta.due_date) = WEEK(CURDATE())
-          AND YEAR(ta.due_date) = YEAR(CURDATE())
+          SELECT 1 FROM household_skip_days sd
+          WHERE sd.household_id = t.household_id
+            AND sd.action = 'skip'
+            AND (sd.task_id IS NULL OR sd.task_id = t.task_id)
+            AND DATE(ta.due_date) BETWEEN sd.start_date AND sd.end_date
+            AND NOT EXISTS (
+              SELECT 1 FROM household_skip_days keep
+              WHERE keep.household_id = t.household_id
+                AND keep.task_id = t.task_id
+                AND keep.action = 'keep'
+                AND DATE(ta.due_date) BETWEEN keep.start_date AND keep.end_date
+            )
         )
-    `;
-    
-    const result = await query(sql);
-    logger.info(`Generated ${result.affectedRows} weekly assignments`);
-    
-  } catch (error) {
-    logger.error('Error generating weekly assignments:', error.message);
+    `, [household.household_id, clock.today]);
+
+    marked += result.affectedRows;
+  }
+
+  if (marked > 0) {
+    logger.info(`Marked ${marked} assignments as overdue`);
+  }
+
+  return marked;
+}
+
+// =============================================================================
+// POINT EXPIRY
+// =============================================================================
+
+// Length of each season in months
+const SEASON_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// How far ahead GET /dashboard/personal warns about expiring points
+const EXPIRY_WARNING_DAYS = 14;
+
+/**
+ * Get the first day (YYYY-MM-DD) of the season containing a date. Seasons
+ * are counted from the household's season start month.
+ */
+function getSeasonStart(date, reset, startMonth = 1) {
+  const day = moment(date, 'YYYY-MM-DD');
+  const monthsIntoYear = (day.month() - (startMonth - 1) + 12) % 12;
+
+  return day.clone()
+    .startOf('month')
+    .subtract(monthsIntoYear % SEASON_MONTHS[reset], 'months')
+    .format('YYYY-MM-DD');
+}
+
+/**
+ * Get the ledger totals of every member with points in a household.
+ * Spending consumes the oldest points first, so the points earned before
+ * the cutoff that are still unspent are those beyond everything consumed.
+ */
+async function getMemberPointTotals(householdId, cutoff, userId = null, connection = null) {
+  const sql = `
+    SELECT 
+      pl.user_id,
+      COALESCE(SUM(CASE WHEN pl.points > 0 AND COALESCE(pl.points_dated_at, pl.created_at) < ? THEN pl.points ELSE 0 END), 0) as old_points,
+      COALESCE(-SUM(CASE WHEN pl.points < 0 THEN pl.points ELSE 0 END), 0) as consumed_points,
+      COALESCE(SUM(pl.points), 0) as current_points,
+      ${reservedPointsSql('pl.user_id', 'pl.household_id')}
+      + ${lockedPointsSql('pl.user_id', 'pl.household_id')} as held_points
+    FROM points_ledger pl
+    WHERE pl.household_id = ? ${userId ? 'AND pl.user_id = ?' : ''}
+    GROUP BY pl.user_id, pl.household_id
+  `;
+  const params = userId ? [cutoff, householdId, userId] : [cutoff, householdId];
+
+  let rows;
+  if (connection) {
+    [rows] = await connection.execute(sql, params);
+  } else {
+    rows = await query(sql, params);
+  }
+
+  return rows.map(row => {
+    const availablePoints = Number(row.current_points) - Number(row.held_points);
+    const unspentOld = Math.max(0, Number(row.old_points) - Number(row.consumed_points));
+
+    return {
+      user_id: row.user_id,
+      available_points: availablePoints,
+      // Points held by pending claims or savings goals never expire
+      expiring_points: Math.max(0, Math.min(unspentOld, availablePoints))
+    };
+  });
+}
+
+/**
+ * Get the date a member's oldest unspent points in a household were earned,
+ * or null without unspent points. Moved points count from points_dated_at.
+ */
+async function getOldestUnspentPointDate(userId, householdId, connection = null) {
+  const creditsSql = `
+    SELECT points, COALESCE(points_dated_at, created_at) as dated_at
+    FROM points_ledger
+    WHERE user_id = ? AND household_id = ? AND points > 0
+    ORDER BY dated_at ASC, entry_id ASC
+  `;
+  const consumedSql = `
+    SELECT COALESCE(-SUM(points), 0) as consumed_points
+    FROM points_ledger
+    WHERE user_id = ? AND household_id = ? AND points < 0
+  `;
+  const params = [userId, householdId];
+
+  let credits;
+  let consumed;
+  if (connection) {
+    [credits] = await connection.execute(creditsSql, params);
+    [[consumed]] = await connection.execute(consumedSql, params);
+  } else {
+    credits = await query(creditsSql, params);
+    consumed = await queryOne(consumedSql, params);
+  }
+
+  return getOldestUnspentDate(credits, Number(consumed.consumed_points));
+}
+
+/**
+ * Expire points older than each household's expiry period and reset
+ * balances above the carry-over cap at season boundaries. The first run
+ * after enabling resets only records the current season. Idempotent, as
+ * expired points count as consumed. Each household is handled in one
+ * transaction holding its members' balance locks (see lockMemberPoints).
+ * Returns the number of expiry entries.
+ */
+async function expirePoints(at = new Date(), householdId = null) {
+  const params = [];
+  let householdFilter = '';
+  if (householdId) {
+    householdFilter = 'AND household_id = ?';
+    params.push(householdId);
+  }
+
+  const households = await query(`
+    SELECT 
+      household_id, timezone, week_start,
+      points_expiry_months, points_season_reset, points_season_start_month,
+      points_carry_over_cap,
+      DATE_FORMAT(points_last_reset_date, '%Y-%m-%d') as points_last_reset_date
+    FROM households
+    WHERE is_active = 1 
+      AND (points_expiry_months > 0 OR points_season_reset != 'none')
+      ${householdFilter}
+  `, params);
+
+  let expired = 0;
+
+  for (const household of households) {
+    const connection = await beginTransaction();
+
+    try {
+      // Claims, transfers and payouts of these members wait until the
+      // expiry entries are written
+      const [members] = await connection.execute(
+        'SELECT user_id FROM household_members WHERE household_id = ? ORDER BY user_id',
+        [household.household_id]
+      );
+      for (const member of members) {
+        await lockMemberPoints(connection, member.user_id, household.household_id);
+      }
+
+      expired += await expireHouseholdPoints(connection, household, at);
+
+      await commitTransaction(connection);
+    } catch (error) {
+      await rollbackTransaction(connection);
+      throw error;
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired points of ${expired} member(s)`);
+  }
+
+  return expired;
+}
+
+/**
+ * Write the expiry and season reset entries of one household within a
+ * transaction. Returns the number of expiry entries.
+ */
+async function expireHouseholdPoints(connection, household, at) {
+  let expired = 0;
+
+  if (household.points_expiry_months > 0) {
+    const cutoff = moment(at).subtract(household.points_expiry_months, 'months').toDate();
+    const members = await getMemberPointTotals(household.household_id, cutoff, null, connection);
+
+    for (const member of members.filter(m => m.expiring_points > 0)) {
+      await addLedgerEntry({
+        household_id: household.household_id,
+        user_id: member.user_id,
+        entry_type: 'expired',
+        points: -member.expiring_points,
+        description: `Točke starejše od ${household.points_expiry_months} mesecev so potekle`
+      }, connection);
+      expired++;
+    }
+  }
+
+  if (household.points_season_reset !== 'none') {
+    const clock = getHouseholdClock(household, at);
+    const seasonStart = getSeasonStart(clock.today, household.points_season_reset, household.points_season_start_month);
+
+    if (household.points_last_reset_date && household.points_last_reset_date < seasonStart) {
+      const members = await getMemberPointTotals(household.household_id, at, null, connection);
+
+      for (const member of members) {
+        const resetPoints = member.available_points - household.points_carry_over_cap;
+        if (resetPoints <= 0) {
+          continue;
+        }
+
+        await addLedgerEntry({
+          household_id: household.household_id,
+          user_id: member.user_id,
+          entry_type: 'expired',
+          points: -resetPoints,
+          description: `Sezonska ponastavitev točk (${seasonStart})`
+        }, connection);
+        expired++;
+      }
+    }
+
+    if (household.points_last_reset_date !== seasonStart) {
+      await connection.execute(
+        'UPDATE households SET points_last_reset_date = ? WHERE household_id = ?',
+        [seasonStart, household.household_id]
+      );
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Get a member's points that expire within the next days, by expiry period
+ * and by the next season reset.
+ */
+async function getExpiringPoints(userId, householdId, days = EXPIRY_WARNING_DAYS) {
+  const household = await queryOne(`
+    SELECT 
+      household_id, timezone, week_start,
+      points_expiry_months, points_season_reset, points_season_start_month,
+      points_carry_over_cap
+    FROM households
+    WHERE household_id = ?
+  `, [householdId]);
+
+  const expiring = [];
+  if (!household) {
+    return expiring;
+  }
+
+  const now = new Date();
+
+  if (household.points_expiry_months > 0) {
+    const horizon = moment(now).add(days, 'days');
+    const cutoff = horizon.clone().subtract(household.points_expiry_months, 'months').toDate();
+    const [member] = await getMemberPointTotals(householdId, cutoff, userId);
+
+    if (member && member.expiring_points > 0) {
+      // The oldest unspent points decide when the first of them expires
+      const oldest = await getOldestUnspentPointDate(userId, householdId);
+
+      expiring.push({
+        type: 'expiry',
+        points: member.expiring_points,
+        expires_by: horizon.toDate(),
+        first_expires_at: oldest
+          ? moment(oldest).add(household.points_expiry_months, 'months').toDate()
+          : null
+      });
+    }
+  }
+
+  if (household.points_season_reset !== 'none') {
+    const clock = getHouseholdClock(household, now);
+    const nextSeason = moment(getSeasonStart(clock.today, household.points_season_reset, household.points_season_start_month), 'YYYY-MM-DD')
+      .add(SEASON_MONTHS[household.points_season_reset], 'months')
+      .format('YYYY-MM-DD');
+
+    if (moment(nextSeason, 'YYYY-MM-DD').diff(moment(clock.today, 'YYYY-MM-DD'), 'days') <= days) {
+      const [member] = await getMemberPointTotals(householdId, now, userId);
+      const resetPoints = member ? member.available_points - household.points_carry_over_cap : 0;
+
+      if (resetPoints > 0) {
+        expiring.push({
+          type: 'season_reset',
+          points: resetPoints,
+          expires_by: startOfLocalDay(nextSeason, clock.timezone),
+          carry_over_cap: household.points_carry_over_cap
+        });
+      }
+    }
+  }
+
+  return expiring;
+}
+
+// =============================================================================
+// REWARD RESTOCK
+// =============================================================================
+
+/**
+ * Whether a reward's restock rule applies on a local date (YYYY-MM-DD)
+ */
+function isRestockDay(reward, date) {
+  const day = moment(date, 'YYYY-MM-DD');
+
+  switch (reward.restock_frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return day.isoWeekday() === reward.restock_day;
+    case 'monthly':
+      return day.date() === reward.restock_day;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply reward restock rules due on each household's local date. Every
+ * rule applies at most once per date, so replaying a day is harmless.
+ * Returns the number of restocked rewards.
+ */
+async function restockRewards(at = new Date(), householdId = null) {
+  const params = [];
+  let householdFilter = '';
+  if (householdId) {
+    householdFilter = 'AND r.household_id = ?';
+    params.push(householdId);
+  }
+
+  const rewards = await query(`
+    SELECT 
+      r.reward_id, r.quantity,
+      r.restock_mode, r.restock_frequency, r.restock_day, r.restock_amount, r.restock_max,
+      DATE_FORMAT(r.last_restocked_date, '%Y-%m-%d') as last_restocked_date,
+      h.timezone, h.week_start
+    FROM rewards r
+    JOIN households h ON r.household_id = h.household_id
+    WHERE r.is_active = 1 AND h.is_active = 1 AND r.restock_mode != 'none'
+      ${householdFilter}
+  `, params);
+
+  let restocked = 0;
+
+  for (const reward of rewards) {
+    const today = getHouseholdClock(reward, at).today;
+
+    if (!isRestockDay(reward, today) || (reward.last_restocked_date && reward.last_restocked_date >= today)) {
+      continue;
+    }
+
+    let quantity = reward.quantity;
+    if (reward.restock_mode === 'reset') {
+      quantity = reward.restock_amount;
+    } else if (reward.restock_max === 0) {
+      quantity += reward.restock_amount;
+    } else if (quantity < reward.restock_max) {
+      quantity = Math.min(quantity + reward.restock_amount, reward.restock_max);
+    }
+
+    const connection = await beginTransaction();
+
+    try {
+      // Claims may have changed the quantity since it was read
+      const [result] = await connection.execute(`
+        UPDATE rewards 
+        SET quantity = ?, last_restocked_date = ?, updated_at = NOW()
+        WHERE reward_id = ? AND quantity = ?
+      `, [quantity, today, reward.reward_id, reward.quantity]);
+
+      if (result.affectedRows > 0 && quantity !== reward.quantity) {
+        await connection.execute(`
+          INSERT INTO reward_restocks (
+            reward_id, source, previous_quantity, new_quantity, restock_date, created_at
+          ) VALUES (?, 'schedule', ?, ?, ?, NOW())
+        `, [reward.reward_id, reward.quantity, quantity, today]);
+        restocked++;
+      }
+
+      await commitTransaction(connection);
+    } catch (error) {
+      await rollbackTransaction(connection);
+      throw error;
+    }
+  }
+
+  return restocked;
+}
+
+// Days recorded scheduler runs are kept; failed runs are kept longer for
+// troubleshooting. The last success per job lives in scheduler_state.
+const SCHEDULER_RUN_RETENTION_DAYS = 30;
+const FAILED_SCHEDULER_RUN_RETENTION_DAYS = 90;
+
+/**
+ * Delete finished scheduler runs older than their retention period.
+ * Returns the number of deleted runs.
+ */
+async function pruneSchedulerRuns(at = new Date(), householdId = null) {
+  const params = [
+    moment(at).subtract(SCHEDULER_RUN_RETENTION_DAYS, 'days').toDate(),
+    moment(at).subtract(FAILED_SCHEDULER_RUN_RETENTION_DAYS, 'days').toDate()
+  ];
+  let householdFilter = '';
+  if (householdId) {
+    householdFilter = 'AND household_id = ?';
+    params.push(householdId);
   }
+
+  const result = await query(`
+    DELETE FROM scheduler_runs
+    WHERE (
+      (status = 'success' AND started_at < ?)
+      OR (status <> 'success' AND started_at < ?)
+    ) ${householdFilter}
+  `, params);
+
+  return result.affectedRows;
 }
 
+// Scheduled jobs by the name their state is persisted under
+const SCHEDULED_JOBS = {
+  daily_assignments: generateDailyAssignments,
+  weekly_assignments: generateWeeklyAssignments,
+  monthly_assignments: generateMonthlyAssignments,
+  yearly_assignments: generateYearlyAssignments,
+  custom_assignments: generateCustomAssignments,
+  overdue_assignments: markOverdueAssignments,
+  points_expiry: expirePoints,
+  reward_restock: restockRewards,
+  scheduler_runs_prune: pruneSchedulerRuns
+};
+
+// Jobs that are replayed for every missed interval on startup
+const BACKFILL_INTERVALS = {
+  daily_assignments: { amount: 1, unit: 'day' },
+  weekly_assignments: { amount: 1, unit: 'week' },
+  custom_assignments: { amount: 1, unit: 'day' },
+  reward_restock: { amount: 1, unit: 'day' }
+};
+
+// Runs missed for longer than this are not backfilled
+const MAX_BACKFILL_DAYS = 14;
+
 /**
- * Mark overdue assignments
+ * Run a scheduled job as of the given instant, optionally for a single
+ * household. Runs are recorded in scheduler_runs, except scheduled runs that
+ * succeeded without changing anything; manual runs are recorded from their
+ * start. Successful runs over all households also update the job's last
+ * success in scheduler_state. Returns the run.
  */
-async function markOverdueAssignments() {
+async function runScheduledJob(jobName, at = new Date(), options = {}) {
+  const { householdId = null, trigger = 'schedule', triggeredBy = null } = options;
+  const startedAt = new Date();
+  let runId = null;
+
+  const run = {
+    job_name: jobName,
+    household_id: householdId,
+    trigger_type: trigger,
+    run_for: at,
+    started_at: startedAt,
+    finished_at: null,
+    status: 'running',
+    affected_rows: null,
+    error_message: null
+  };
+
+  if (trigger === 'manual') {
+    try {
+      const result = await query(`
+        INSERT INTO scheduler_runs (
+          job_name, household_id, trigger_type, triggered_by_user_id,
+          run_for, started_at, status
+        ) VALUES (?, ?, ?, ?, ?, ?, 'running')
+      `, [jobName, householdId, trigger, triggeredBy, at, startedAt]);
+      runId = result.insertId;
+    } catch (error) {
+      logger.error(`Error recording scheduled job ${jobName}:`, error.message);
+    }
+  }
+
   try {
-    const sql = `
-      UPDATE task_assignments 
-      SET status = 'overdue' 
-      WHERE status = 'pending' 
-        AND due_date < CURDATE()
-    `;
-    
-    const result = await query(sql);
-    if (result.affectedRows > 0) {
-      logger.info(`Marked ${result.affectedRows} assignments as overdue`);
+    run.affected_rows = await SCHEDULED_JOBS[jobName](at, householdId);
+    run.status = 'success';
+
+    if (run.affected_rows > 0) {
+      logger.info(`Scheduled job ${jobName} affected ${run.affected_rows} row(s)`);
+    }
+
+    if (!householdId) {
+      await query(`
+        INSERT INTO scheduler_state (job_name, last_success_at, updated_at)
+        VALUES (?, ?, NOW())
+        ON DUPLICATE KEY UPDATE 
+          last_success_at = GREATEST(COALESCE(last_success_at, VALUES(last_success_at)), VALUES(last_success_at)),
+          updated_at = NOW()
+      `, [jobName, at]);
+    }
+
+  } catch (error) {
+    logger.error(`Error running scheduled job ${jobName}:`, error.message);
+    run.status = 'failed';
+    run.error_message = error.message;
+  }
+
+  run.finished_at = new Date();
+
+  try {
+    if (runId) {
+      await query(`
+        UPDATE scheduler_runs 
+        SET finished_at = ?, status = ?, affected_rows = ?, error_message = ?
+        WHERE run_id = ?
+      `, [run.finished_at, run.status, run.affected_rows, run.error_message, runId]);
+    } else if (run.status !== 'success' || run.affected_rows > 0) {
+      const result = await query(`
+        INSERT INTO scheduler_runs (
+          job_name, household_id, trigger_type, triggered_by_user_id,
+          run_for, started_at, finished_at, status, affected_rows, error_message
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        jobName, householdId, trigger, triggeredBy, at, startedAt,
+        run.finished_at, run.status, run.affected_rows, run.error_message
+      ]);
+      runId = result.insertId;
     }
-    
   } catch (error) {
-    logger.error('Error marking overdue assignments:', error.message);
+    logger.error(`Error recording scheduled job ${jobName}:`, error.message);
+  }
+
+  return { run_id: runId, ...run };
+}
+
+/**
+ * Catch up on scheduled jobs missed while the add-on was down.
+ * Daily and weekly generation is replayed once per missed interval since the
+ * last successful run (at most MAX_BACKFILL_DAYS back), the remaining jobs run
+ * once. Every job is idempotent, so replaying an interval twice is harmless.
+ */
+async function backfillScheduledJobs(now = new Date()) {
+  const states = await query('SELECT job_name, last_success_at FROM scheduler_state');
+  const lastSuccess = {};
+  states.forEach(state => {
+    lastSuccess[state.job_name] = state.last_success_at;
+  });
+
+  const oldest = moment(now).subtract(MAX_BACKFILL_DAYS, 'days');
+
+  for (const jobName of Object.keys(SCHEDULED_JOBS)) {
+    const interval = BACKFILL_INTERVALS[jobName];
+    const instants = [];
+
+    if (interval && lastSuccess[jobName]) {
+      let at = moment.max(moment(lastSuccess[jobName]), oldest);
+
+      while (at.isBefore(now)) {
+        instants.push(at.toDate());
+        at = at.clone().add(interval.amount, interval.unit);
+      }
+    }
+
+    instants.push(now);
+
+    let affected = 0;
+    for (const at of instants) {
+      const run = await runScheduledJob(jobName, at, { trigger: 'backfill' });
+      affected += run.affected_rows || 0;
+    }
+
+    if (instants.length > 1 || affected > 0) {
+      logger.info(`Backfilled ${jobName}: ${instants.length} run(s), ${affected} row(s) affected` +
+        (lastSuccess[jobName] ? ` (last success ${moment(lastSuccess[jobName]).toISOString()})` : ''));
+    }
+  }
+}
+
+// Jobs that create assignments and are replayed by the schedule preview
+const ASSIGNMENT_JOBS = [
+  'daily_assignments',
+  'weekly_assignments',
+  'monthly_assignments',
+  'yearly_assignments',
+  'custom_assignments'
+];
+
+/**
+ * Dry-run the assignment generators for a household over the coming days
+ * without inserting rows. Each day is simulated at GENERATION_HOUR local
+ * time, carrying rotation positions and projected assignments forward.
+ * autoAssignTaskIds lists tasks to simulate as if auto_assign were on.
+ * Returns the projected assignments ({ task_id, user_id, due_date }) due
+ * within the window.
+ */
+async function previewScheduledAssignments(householdId, days = 14, autoAssignTaskIds = []) {
+  const household = await queryOne(`
+    SELECT household_id, timezone, week_start
+    FROM households
+    WHERE household_id = ?
+  `, [householdId]);
+
+  const clock = getHouseholdClock(household || {});
+  const from = clock.today;
+  const to = moment(from, 'YYYY-MM-DD').add(days - 1, 'days').format('YYYY-MM-DD');
+
+  const plan = { assignments: [], tasks: {}, autoAssignTaskIds };
+
+  for (let i = 0; i < days; i++) {
+    const date = moment(from, 'YYYY-MM-DD').add(i, 'days').format('YYYY-MM-DD');
+    const at = new Date(startOfLocalDay(date, clock.timezone).getTime() + GENERATION_HOUR * 60 * 60 * 1000);
+
+    for (const jobName of ASSIGNMENT_JOBS) {
+      await SCHEDULED_JOBS[jobName](at, householdId, plan);
+    }
   }
+
+  return {
+    from,
+    to,
+    assignments: plan.assignments.filter(entry => entry.due_date >= from && entry.due_date <= to)
+  };
 }
 
 /**
  * Start all scheduled tasks
  */
 function runScheduledTasks() {
-  // Daily assignments at 6:00 AM
-  cron.schedule('0 6 * * *', generateDailyAssignments);
-  
-  // Weekly assignments every Monday at 6:00 AM
-  cron.schedule('0 6 * * 1', generateWeeklyAssignments);
+  // Generators run hourly so every household is handled in its own
+  // timezone; each run is idempotent per task and period. Jobs start a few
+  // minutes apart so they don't compete for the same rows.
+  cron.schedule('0 * * * *', () => runScheduledJob('daily_assignments'));
+  cron.schedule('3 * * * *', () => runScheduledJob('weekly_assignments'));
+  cron.schedule('6 * * * *', () => runScheduledJob('monthly_assignments'));
+  cron.schedule('9 * * * *', () => runScheduledJob('yearly_assignments'));
+  cron.schedule('12 * * * *', () => runScheduledJob('custom_assignments'));
   
   // Check for overdue assignments every hour
-  cron.schedule('0 * * * *', markOverdueAssignments);
+  cron.schedule('20 * * * *', () => runScheduledJob('overdue_assignments'));
+
+  // Expire points hourly so season resets follow each household's timezone
+  cron.schedule('15 * * * *', () => runScheduledJob('points_expiry'));
+
+  // Restock rewards hourly so each household restocks on its local date
+  cron.schedule('25 * * * *', () => runScheduledJob('reward_restock'));
+
+  // Drop old scheduler run records once a day
+  cron.schedule('30 3 * * *', () => runScheduledJob('scheduler_runs_prune'));
   
   logger.info('Scheduled tasks initialized');
 }
@@ -251,6 +1654,33 @@ function runScheduledTasks() {
 // UTILITY FUNCTIONS
 // =============================================================================
 
+/**
+ * Load the date boundaries (see utils/dates) for a household
+ */
+async function loadHouseholdClock(householdId) {
+  const household = householdId ? await queryOne(
+    'SELECT timezone, week_start FROM households WHERE household_id = ?',
+    [householdId]
+  ) : null;
+
+  return getHouseholdClock(household || {});
+}
+
+/**
+ * Load a household's point formula
+ */
+async function loadPointsFormula(householdId) {
+  const household = await queryOne(`
+    SELECT 
+      points_multiplier, points_early_bonus, points_on_time_bonus,
+      points_late_penalty_per_day, points_photo_bonus, points_weekend_multiplier
+    FROM households
+    WHERE household_id = ?
+  `, [householdId]);
+
+  return getPointsFormula(household || {});
+}
+
 /**
  * Generate unique invite code for household
  */
@@ -278,23 +1708,167 @@ async function generateInviteCode() {
   return code;
 }
 
+// =============================================================================
+// POINTS LEDGER
+// =============================================================================
+
+/**
+ * Append an entry to the points ledger. Points are signed: earned and
+ * refunded entries add, spent and expired entries subtract. Pass the
+ * transaction connection to write within a transaction.
+ */
+async function addLedgerEntry(entry, connection = null) {
+  const params = [
+    entry.household_id,
+    entry.user_id,
+    entry.entry_type,
+    entry.points,
+    entry.completion_id || null,
+    entry.claim_id || null,
+    entry.description || null,
+    entry.created_by_user_id || null,
+    entry.reverts_entry_id || null,
+    entry.transfer_id || null,
+    entry.payout_id || null,
+    entry.contribution_id || null,
+    entry.points_dated_at || null
+  ];
+
+  const sql = `
+    INSERT INTO points_ledger (
+      household_id, user_id, entry_type, points, completion_id, claim_id, description,
+      created_by_user_id, reverts_entry_id, transfer_id, payout_id, contribution_id,
+      points_dated_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+  `;
+
+  if (connection) {
+    const [result] = await connection.execute(sql, params);
+    return result.insertId;
+  }
+
+  const result = await query(sql, params);
+  return result.insertId;
+}
+
+/**
+ * SQL subqueries of the points a member holds aside in a household, taking
+ * the SQL expressions of the user and household ids: points of pending
+ * reward claims and allowance payouts (reserved) and points locked toward
+ * savings goals (locked). Group reward claims hold nothing, their
+ * contributions were spent when made.
+ */
+function reservedPointsSql(userColumn, householdColumn) {
+  return `((SELECT COALESCE(SUM(held_rc.points_spent), 0)
+       FROM reward_claims held_rc
+       JOIN rewards held_r ON held_rc.reward_id = held_r.reward_id
+       WHERE held_rc.claimed_by = ${userColumn} AND held_r.household_id = ${householdColumn}
+         AND held_rc.status = 'pending' AND held_r.reward_type = 'individual')
+     + (SELECT COALESCE(SUM(held_ap.points), 0)
+       FROM allowance_payouts held_ap
+       WHERE held_ap.user_id = ${userColumn} AND held_ap.household_id = ${householdColumn}
+         AND held_ap.status = 'pending'))`;
+}
+
+function lockedPointsSql(userColumn, householdColumn) {
+  return `(SELECT COALESCE(SUM(held_sg.locked_points), 0)
+       FROM savings_goals held_sg
+       WHERE held_sg.user_id = ${userColumn} AND held_sg.household_id = ${householdColumn}
+         AND held_sg.status = 'active')`;
+}
+
+/**
+ * Lock a member's balance for the rest of a transaction by locking their
+ * household_members row. Every check of a balance before spending or holding
+ * points takes this lock first, so concurrent spending of one member is
+ * serialized.
+ */
+async function lockMemberPoints(connection, userId, householdId) {
+  await connection.execute(`
+    SELECT membership_id
+    FROM household_members
+    WHERE household_id = ? AND user_id = ?
+    FOR UPDATE
+  `, [householdId, userId]);
+}
+
 /**
- * Calculate user points from task completions
+ * Calculate a user's points in one household from the points ledger.
+ * Points are never pooled across households. Points of pending reward
+ * claims and points locked toward savings goals are held: they still count
+ * in current_points but not in available_points. Pass the transaction
+ * connection to lock the member's balance (see lockMemberPoints) and read it
+ * within a transaction.
  */
-async function calculateUserPoints(userId) {
-  const result = await queryOne(`
+async function calculateUserPoints(userId, householdId, connection = null) {
+  if (connection) {
+    await lockMemberPoints(connection, userId, householdId);
+  }
+
+  const sql = `
     SELECT 
-      COALESCE(SUM(tc.points_earned), 0) as total_earned,
-      COALESCE(SUM(rc.points_spent), 0) as total_spent,
-      COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as current_points
-    FROM users u
-    LEFT JOIN task_completions tc ON u.user_id = tc.completed_by
-    LEFT JOIN reward_claims rc ON u.user_id = rc.claimed_by AND rc.status = 'fulfilled'
-    WHERE u.user_id = ?
-    GROUP BY u.user_id
+      COALESCE(SUM(CASE WHEN entry_type = 'earned' THEN points ELSE 0 END), 0) as total_earned,
+      COALESCE(-SUM(CASE WHEN entry_type = 'spent' THEN points ELSE 0 END), 0) as total_spent,
+      COALESCE(SUM(points), 0) as current_points,
+      ${reservedPointsSql('?', '?')} as reserved_points,
+      ${lockedPointsSql('?', '?')} as locked_points
+    FROM points_ledger
+    WHERE user_id = ? AND household_id = ?
+  `;
+  const params = [userId, householdId, userId, householdId, userId, householdId, userId, householdId];
+
+  let result;
+  if (connection) {
+    [[result]] = await connection.execute(sql, params);
+  } else {
+    result = await queryOne(sql, params);
+  }
+
+  const currentPoints = Number(result.current_points);
+  const reservedPoints = Number(result.reserved_points);
+  const lockedPoints = Number(result.locked_points);
+
+  return {
+    total_earned: Number(result.total_earned),
+    total_spent: Number(result.total_spent),
+    current_points: currentPoints,
+    reserved_points: reservedPoints,
+    locked_points: lockedPoints,
+    available_points: currentPoints - reservedPoints - lockedPoints
+  };
+}
+
+/**
+ * Get a user's point balance in each of their active households
+ */
+async function getUserHouseholdBalances(userId) {
+  const balances = await query(`
+    SELECT 
+      h.household_id,
+      h.name as household_name,
+      hm.role,
+      COALESCE(SUM(CASE WHEN pl.entry_type = 'earned' THEN pl.points ELSE 0 END), 0) as total_earned,
+      COALESCE(-SUM(CASE WHEN pl.entry_type = 'spent' THEN pl.points ELSE 0 END), 0) as total_spent,
+      COALESCE(SUM(pl.points), 0) as current_points,
+      ${reservedPointsSql('hm.user_id', 'hm.household_id')} as reserved_points,
+      ${lockedPointsSql('hm.user_id', 'hm.household_id')} as locked_points
+    FROM household_members hm
+    JOIN households h ON hm.household_id = h.household_id
+    LEFT JOIN points_ledger pl ON pl.household_id = hm.household_id AND pl.user_id = hm.user_id
+    WHERE hm.user_id = ? AND hm.is_active = 1 AND h.is_active = 1
+    GROUP BY h.household_id, h.name, hm.role, hm.joined_at, hm.user_id, hm.household_id
+    ORDER BY hm.joined_at DESC
   `, [userId]);
-  
-  return result || { total_earned: 0, total_spent: 0, current_points: 0 };
+
+  return balances.map(balance => ({
+    ...balance,
+    total_earned: Number(balance.total_earned),
+    total_spent: Number(balance.total_spent),
+    current_points: Number(balance.current_points),
+    reserved_points: Number(balance.reserved_points),
+    locked_points: Number(balance.locked_points),
+    available_points: Number(balance.current_points) - Number(balance.reserved_points) - Number(balance.locked_points)
+  }));
 }
 
 // =============================================================================
@@ -309,7 +1883,25 @@ module.exports = {
   commitTransaction,
   rollbackTransaction,
   testConnection,
+  ensureSchema,
   runScheduledTasks,
+  SCHEDULED_JOBS,
+  runScheduledJob,
+  backfillScheduledJobs,
+  previewScheduledAssignments,
+  getNextCycleUser,
+  pickRecurringAssignee,
+  isSkipDay,
+  isMemberAway,
+  loadHouseholdClock,
+  loadPointsFormula,
   generateInviteCode,
-  calculateUserPoints
+  addLedgerEntry,
+  lockMemberPoints,
+  calculateUserPoints,
+  getOldestUnspentPointDate,
+  getUserHouseholdBalances,
+  reservedPointsSql,
+  lockedPointsSql,
+  getExpiringPoints
 }; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({})
+}));
+
+const { calculateUserPoints } = require('./database');
+
+// Sums come back from MariaDB as strings
+const connectionWith = balance => ({
+  execute: jest.fn(async sql => (/FOR UPDATE/.test(sql) ? [[{ membership_id: 7 }]] : [[balance]]))
+});
+
+describe('calculateUserPoints', () => {
+  test('locks the member before reading the balance in a transaction', async () => {
+    const connection = connectionWith({ total_earned: '80', total_spent: '30', current_points: '50' });
+
+    await calculateUserPoints(3, 1, connection);
+
+    const [[lockSql, lockParams], [balanceSql, balanceParams]] = connection.execute.mock.calls;
+    expect(lockSql).toMatch(/FROM household_members[\s\S]*FOR UPDATE/);
+    expect(lockParams).toEqual([1, 3]);
+    expect(balanceSql).toMatch(/FROM points_ledger/);
+    expect(balanceParams.slice(-2)).toEqual([3, 1]);
+  });
+
+  test('derives the balance from the ledger sums', async () => {
+    const connection = connectionWith({ total_earned: '80', total_spent: '30', current_points: '50' });
+
+    expect(await calculateUserPoints(3, 1, connection)).toMatchObject({
+      total_earned: 80,
+      total_spent: 30,
+      current_points: 50
+    });
+  });
+});
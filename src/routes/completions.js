@@ -3,12 +3,43 @@
 // =============================================================================
 
 const express = require('express');
-const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction } = require('../models/database');
+const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction, loadHouseholdClock, loadPointsFormula, addLedgerEntry } = require('../models/database');
 const { validate, completionSchemas } = require('../middleware/validation');
 const { uploadSingle } = require('../utils/upload');
+const { calculateCompletionPoints } = require('../utils/points');
 
 const router = express.Router();
 
+/**
+ * Score a completion with the household's point formula. The due day of the
+ * assignment is compared with today in the household's timezone.
+ */
+async function scoreCompletion(task, assignment, hasPhoto) {
+  const formula = await loadPointsFormula(task.household_id);
+  const clock = await loadHouseholdClock(task.household_id);
+
+  return calculateCompletionPoints(task, formula, {
+    dueDate: assignment ? assignment.due_day : null,
+    completedDate: clock.today,
+    hasPhoto
+  });
+}
+
+/**
+ * Stored breakdowns come back as a string from MariaDB JSON columns
+ */
+function parseBreakdown(value) {
+  if (typeof value !== 'string') {
+    return value || null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
 // =============================================================================
 // GET /completions - Get User's Completions
 // =============================================================================
@@ -54,8 +85,10 @@ router.get('/', async (req, res) => {
     }
 
     if (period) {
-      whereConditions.push('tc.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)');
-      whereParams.push(parseInt(period));
+      // Whole days in the household's timezone (server default without household)
+      const clock = await loadHouseholdClock(household_id);
+      whereConditions.push('tc.completed_at >= ?');
+      whereParams.push(clock.daysAgoAt(parseInt(period)));
     }
 
     const whereClause = whereConditions.join(' AND ');
@@ -143,6 +176,7 @@ router.get('/:id', async (req, res) => {
         tc.completed_by,
         tc.completed_at,
         tc.points_earned,
+        tc.points_breakdown,
         tc.comment,
         tc.proof_image,
         -- Task info
@@ -204,6 +238,8 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    completion.points_breakdown = parseBreakdown(completion.points_breakdown);
+
     res.json({
       success: true,
       data: {
@@ -252,9 +288,12 @@ router.post('/', validate(completionSchemas.create), async (req, res) => {
           ta.task_id,
           ta.assigned_to_user_id,
           ta.due_date,
+          DATE_FORMAT(ta.due_date, '%Y-%m-%d') as due_day,
           ta.status,
           t.title,
           t.difficulty_minutes,
+          t.point_value,
+          t.point_multiplier,
           t.requires_photo,
           t.household_id
         FROM task_assignments ta
@@ -288,6 +327,8 @@ router.post('/', validate(completionSchemas.create), async (req, res) => {
         task_id: assignment.task_id,
         title: assignment.title,
         difficulty_minutes: assignment.difficulty_minutes,
+        point_value: assignment.point_value,
+        point_multiplier: assignment.point_multiplier,
         requires_photo: assignment.requires_photo,
         household_id: assignment.household_id
       };
@@ -299,6 +340,8 @@ router.post('/', validate(completionSchemas.create), async (req, res) => {
           t.task_id,
           t.title,
           t.difficulty_minutes,
+          t.point_value,
+          t.point_multiplier,
           t.requires_photo,
           t.household_id
         FROM tasks t
@@ -339,22 +382,33 @@ router.post('/', validate(completionSchemas.create), async (req, res) => {
       });
     }
 
-    // Calculate points (difficulty_minutes = points)
-    const pointsEarned = task.difficulty_minutes;
+    // Calculate points with the household's point formula
+    const pointsBreakdown = await scoreCompletion(task, assignment, Boolean(proof_image));
+    const pointsEarned = pointsBreakdown.total;
 
     // Create completion record
     const completionResult = await connection.execute(`
       INSERT INTO task_completions (
         task_id, assignment_id, completed_by, 
-        completed_at, points_earned, comment, proof_image
-      ) VALUES (?, ?, ?, NOW(), ?, ?, ?)
+        completed_at, points_earned, points_breakdown, comment, proof_image
+      ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?)
     `, [
       task.task_id, assignment_id, req.user.userId,
-      pointsEarned, comment, proof_image
+      pointsEarned, JSON.stringify(pointsBreakdown), comment, proof_image
     ]);
 
     const completionId = completionResult[0].insertId;
 
+    // Record earned points in the ledger
+    await addLedgerEntry({
+      household_id: task.household_id,
+      user_id: req.user.userId,
+      entry_type: 'earned',
+      points: pointsEarned,
+      completion_id: completionId,
+      description: task.title
+    }, connection);
+
     // Update assignment status if applicable
     if (assignment) {
       await connection.execute(`
@@ -394,6 +448,7 @@ router.post('/', validate(completionSchemas.create), async (req, res) => {
       success: true,
       data: {
         completion: completedTask,
+        points_breakdown: pointsBreakdown,
         message: `Naloga "${task.title}" je bila uspešno opravljena! Zaslužili ste ${pointsEarned} točk.`
       }
     });
@@ -452,9 +507,12 @@ router.post('/with-photo', uploadSingle('proof_photo'), async (req, res) => {
           ta.task_id,
           ta.assigned_to_user_id,
           ta.due_date,
+          DATE_FORMAT(ta.due_date, '%Y-%m-%d') as due_day,
           ta.status,
           t.title,
           t.difficulty_minutes,
+          t.point_value,
+          t.point_multiplier,
           t.requires_photo,
           t.household_id
         FROM task_assignments ta
@@ -488,6 +546,8 @@ router.post('/with-photo', uploadSingle('proof_photo'), async (req, res) => {
         task_id: assignment.task_id,
         title: assignment.title,
         difficulty_minutes: assignment.difficulty_minutes,
+        point_value: assignment.point_value,
+        point_multiplier: assignment.point_multiplier,
         requires_photo: assignment.requires_photo,
         household_id: assignment.household_id
       };
@@ -499,6 +559,8 @@ router.post('/with-photo', uploadSingle('proof_photo'), async (req, res) => {
           t.task_id,
           t.title,
           t.difficulty_minutes,
+          t.point_value,
+          t.point_multiplier,
           t.requires_photo,
           t.household_id
         FROM tasks t
@@ -518,22 +580,33 @@ router.post('/with-photo', uploadSingle('proof_photo'), async (req, res) => {
       }
     }
 
-    // Calculate points
-    const pointsEarned = task.difficulty_minutes;
+    // Calculate points with the household's point formula
+    const pointsBreakdown = await scoreCompletion(task, assignment, true);
+    const pointsEarned = pointsBreakdown.total;
 
     // Create completion record with uploaded photo
     const completionResult = await connection.execute(`
       INSERT INTO task_completions (
         task_id, assignment_id, completed_by, 
-        completed_at, points_earned, comment, proof_image
-      ) VALUES (?, ?, ?, NOW(), ?, ?, ?)
+        completed_at, points_earned, points_breakdown, comment, proof_image
+      ) VALUES (?, ?, ?, NOW(), ?, ?, ?, ?)
     `, [
       task.task_id, assignment_id, req.user.userId,
-      pointsEarned, comment, req.file.filename
+      pointsEarned, JSON.stringify(pointsBreakdown), comment, req.file.filename
     ]);
 
     const completionId = completionResult[0].insertId;
 
+    // Record earned points in the ledger
+    await addLedgerEntry({
+      household_id: task.household_id,
+      user_id: req.user.userId,
+      entry_type: 'earned',
+      points: pointsEarned,
+      completion_id: completionId,
+      description: task.title
+    }, connection);
+
     // Update assignment status if applicable
     if (assignment) {
       await connection.execute(`
@@ -585,6 +658,7 @@ router.post('/with-photo', uploadSingle('proof_photo'), async (req, res) => {
       data: {
         completion: completedTask,
         proof_image_url: `/api/images/${req.file.filename}`,
+        points_breakdown: pointsBreakdown,
         message: `Naloga "${task.title}" je bila uspešno opravljena s fotografijo! Zaslužili ste ${pointsEarned} točk.`
       }
     });
@@ -710,20 +784,23 @@ router.get('/stats/summary', async (req, res) => {
       householdParams = [parseInt(household_id)];
     }
 
+    const clock = await loadHouseholdClock(household_id);
+    const periodStart = clock.daysAgoAt(parseInt(period));
+
     // Get summary stats
     const summary = await queryOne(`
       SELECT 
         COUNT(DISTINCT tc.completion_id) as total_completions,
-        COUNT(DISTINCT CASE WHEN tc.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN tc.completion_id END) as recent_completions,
+        COUNT(DISTINCT CASE WHEN tc.completed_at >= ? THEN tc.completion_id END) as recent_completions,
         COALESCE(SUM(tc.points_earned), 0) as total_points_earned,
-        COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN tc.points_earned ELSE 0 END), 0) as recent_points_earned,
+        COALESCE(SUM(CASE WHEN tc.completed_at >= ? THEN tc.points_earned ELSE 0 END), 0) as recent_points_earned,
         COUNT(DISTINCT tc.task_id) as unique_tasks_completed,
         COALESCE(AVG(tc.points_earned), 0) as avg_points_per_completion
       FROM task_completions tc
       JOIN task_assignments ta ON tc.assignment_id = ta.assignment_id
       JOIN tasks t ON ta.task_id = t.task_id
       WHERE tc.completed_by = ? ${householdCondition}
-    `, [period, period, req.user.userId, ...householdParams]);
+    `, [periodStart, periodStart, req.user.userId, ...householdParams]);
 
     res.json({
       success: true,
@@ -3,7 +3,8 @@
 // =============================================================================
 
 const express = require('express');
-const { query, queryOne } = require('../models/database');
+const { query, queryOne, loadHouseholdClock, getExpiringPoints, reservedPointsSql, lockedPointsSql } = require('../models/database');
+const { getGoalProgress } = require('../utils/points');
 const router = express.Router();
 
 // =============================================================================
@@ -37,7 +38,9 @@ router.get('/personal', async (req, res) => {
           summary: { message: 'Niste član nobenega doma' },
           today_assignments: [],
           recent_completions: [],
-          points_summary: { current_balance: 0 }
+          points_summary: { current_balance: 0 },
+          expiring_points: [],
+          savings_goals: []
         }
       });
     }
@@ -58,22 +61,25 @@ router.get('/personal', async (req, res) => {
       });
     }
 
+    // Day, week and month boundaries in the household's timezone
+    const clock = await loadHouseholdClock(targetHouseholdId);
+
     // 1. Personal Summary Stats
     const personalSummary = await queryOne(`
       SELECT 
         -- Today's assignments
         COUNT(DISTINCT CASE WHEN ta.status IN ('pending', 'overdue') AND ta.is_active = 1 
-                           AND DATE(ta.due_date) <= CURDATE() THEN ta.assignment_id END) as today_tasks,
+                           AND DATE(ta.due_date) <= ? THEN ta.assignment_id END) as today_tasks,
         COUNT(DISTINCT CASE WHEN ta.status = 'overdue' AND ta.is_active = 1 THEN ta.assignment_id END) as overdue_tasks,
         
         -- This week's completions
-        COUNT(DISTINCT CASE WHEN tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL WEEKDAY(CURDATE()) DAY) 
+        COUNT(DISTINCT CASE WHEN tc.completed_at >= ? 
                            THEN tc.completion_id END) as week_completions,
         
         -- This month's stats
-        COUNT(DISTINCT CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') 
+        COUNT(DISTINCT CASE WHEN tc.completed_at >= ? 
                            THEN tc.completion_id END) as month_completions,
-        COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') 
+        COALESCE(SUM(CASE WHEN tc.completed_at >= ? 
                          THEN tc.points_earned ELSE 0 END), 0) as month_points
       FROM users u
       LEFT JOIN task_assignments ta ON u.user_id = ta.assigned_to_user_id
@@ -81,7 +87,10 @@ router.get('/personal', async (req, res) => {
       LEFT JOIN task_completions tc ON u.user_id = tc.completed_by
       LEFT JOIN tasks task_for_completion ON tc.task_id = task_for_completion.task_id AND task_for_completion.household_id = ?
       WHERE u.user_id = ?
-    `, [targetHouseholdId, targetHouseholdId, req.user.userId]);
+    `, [
+      clock.today, clock.week_at, clock.month_at, clock.month_at,
+      targetHouseholdId, targetHouseholdId, req.user.userId
+    ]);
 
     // 2. Today's Assignments
     const todayAssignments = await query(`
@@ -96,7 +105,7 @@ router.get('/personal', async (req, res) => {
         cat.name as category_name,
         cat.icon as category_icon,
         cat.color as category_color,
-        CASE WHEN ta.due_date < NOW() AND ta.status = 'pending' THEN 1 ELSE 0 END as is_overdue
+        CASE WHEN DATE(ta.due_date) < ? AND ta.status = 'pending' THEN 1 ELSE 0 END as is_overdue
       FROM task_assignments ta
       JOIN tasks t ON ta.task_id = t.task_id
       JOIN task_categories cat ON t.category_id = cat.category_id
@@ -104,12 +113,12 @@ router.get('/personal', async (req, res) => {
         AND t.household_id = ?
         AND ta.is_active = 1 
         AND ta.status IN ('pending', 'overdue')
-        AND DATE(ta.due_date) <= CURDATE()
+        AND DATE(ta.due_date) <= ?
       ORDER BY 
         CASE WHEN ta.status = 'overdue' THEN 1 ELSE 2 END,
         ta.due_date ASC
       LIMIT 10
-    `, [req.user.userId, targetHouseholdId]);
+    `, [clock.today, req.user.userId, targetHouseholdId, clock.today]);
 
     // 3. Recent Completions
     const recentCompletions = await query(`
@@ -135,20 +144,77 @@ router.get('/personal', async (req, res) => {
     // 4. Points Summary
     const pointsSummary = await queryOne(`
       SELECT 
-        COALESCE(SUM(tc.points_earned), 0) as total_earned,
-        COALESCE(SUM(rc.points_spent), 0) as total_spent,
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as current_balance,
+        COALESCE(SUM(CASE WHEN pl.entry_type = 'earned' THEN pl.points ELSE 0 END), 0) as total_earned,
+        COALESCE(-SUM(CASE WHEN pl.entry_type = 'spent' THEN pl.points ELSE 0 END), 0) as total_spent,
+        COALESCE(SUM(CASE WHEN pl.entry_type = 'adjusted' THEN pl.points ELSE 0 END), 0) as total_adjusted,
+        COALESCE(-SUM(CASE WHEN pl.entry_type = 'expired' THEN pl.points ELSE 0 END), 0) as total_expired,
+        COALESCE(SUM(pl.points), 0) as current_balance,
+        COALESCE(-SUM(CASE WHEN pl.entry_type = 'paid_out' THEN pl.points ELSE 0 END), 0) as total_paid_out,
+        -- Held by pending reward claims and allowance payouts
+        ${reservedPointsSql('?', '?')} as reserved_points,
+        -- Locked toward savings goals
+        ${lockedPointsSql('?', '?')} as locked_points,
         -- This month
-        COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') 
-                         THEN tc.points_earned ELSE 0 END), 0) as month_earned,
-        COALESCE(SUM(CASE WHEN rc.claimed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') AND rc.status = 'fulfilled'
-                         THEN rc.points_spent ELSE 0 END), 0) as month_spent
-      FROM task_completions tc
-      JOIN tasks t ON tc.task_id = t.task_id
-      LEFT JOIN reward_claims rc ON rc.claimed_by = tc.completed_by AND rc.status = 'fulfilled'
-      WHERE tc.completed_by = ? AND t.household_id = ?
+        COALESCE(SUM(CASE WHEN pl.entry_type = 'earned' AND pl.created_at >= ? 
+                         THEN pl.points ELSE 0 END), 0) as month_earned,
+        COALESCE(-SUM(CASE WHEN pl.entry_type = 'spent' AND pl.created_at >= ?
+                         THEN pl.points ELSE 0 END), 0) as month_spent,
+        COALESCE(SUM(CASE WHEN pl.entry_type = 'adjusted' AND pl.created_at >= ?
+                         THEN pl.points ELSE 0 END), 0) as month_adjusted
+      FROM points_ledger pl
+      WHERE pl.user_id = ? AND pl.household_id = ?
+    `, [
+      req.user.userId, targetHouseholdId,
+      req.user.userId, targetHouseholdId,
+      req.user.userId, targetHouseholdId,
+      clock.month_at, clock.month_at, clock.month_at,
+      req.user.userId, targetHouseholdId
+    ]);
+    pointsSummary.available_balance = Number(pointsSummary.current_balance) -
+      Number(pointsSummary.reserved_points) - Number(pointsSummary.locked_points);
+
+    // Savings goals toward rewards
+    const savingsGoals = (await query(`
+      SELECT 
+        sg.goal_id,
+        sg.reward_id,
+        sg.locked_points,
+        sg.created_at,
+        r.title as reward_title,
+        r.cost_points
+      FROM savings_goals sg
+      JOIN rewards r ON sg.reward_id = r.reward_id
+      WHERE sg.user_id = ? AND sg.household_id = ? AND sg.status = 'active'
+      ORDER BY sg.created_at ASC
+    `, [req.user.userId, targetHouseholdId])).map(goal => ({
+      goal_id: goal.goal_id,
+      reward_id: goal.reward_id,
+      reward_title: goal.reward_title,
+      cost_points: goal.cost_points,
+      created_at: goal.created_at,
+      ...getGoalProgress(goal.cost_points, goal.locked_points, pointsSummary.available_balance)
+    }));
+
+    // Recent manual point adjustments by parents
+    const recentAdjustments = await query(`
+      SELECT 
+        pl.entry_id,
+        pl.points,
+        pl.description as reason,
+        pl.reverts_entry_id,
+        pl.created_at,
+        creator.first_name as created_by_first_name,
+        creator.last_name as created_by_last_name
+      FROM points_ledger pl
+      LEFT JOIN users creator ON pl.created_by_user_id = creator.user_id
+      WHERE pl.user_id = ? AND pl.household_id = ? AND pl.entry_type = 'adjusted'
+      ORDER BY pl.created_at DESC, pl.entry_id DESC
+      LIMIT 5
     `, [req.user.userId, targetHouseholdId]);
 
+    // Points that expire soon, by expiry period or the next season reset
+    const expiringPoints = await getExpiringPoints(req.user.userId, targetHouseholdId);
+
     // 5. Upcoming Assignments (next 7 days)
     const upcomingAssignments = await query(`
       SELECT 
@@ -157,7 +223,7 @@ router.get('/personal', async (req, res) => {
         t.title,
         cat.name as category_name,
         cat.icon as category_icon,
-        DATEDIFF(ta.due_date, CURDATE()) as days_until_due
+        DATEDIFF(ta.due_date, ?) as days_until_due
       FROM task_assignments ta
       JOIN tasks t ON ta.task_id = t.task_id
       JOIN task_categories cat ON t.category_id = cat.category_id
@@ -165,11 +231,11 @@ router.get('/personal', async (req, res) => {
         AND t.household_id = ?
         AND ta.is_active = 1 
         AND ta.status = 'pending'
-        AND ta.due_date > CURDATE()
-        AND ta.due_date <= DATE_ADD(CURDATE(), INTERVAL 7 DAY)
+        AND DATE(ta.due_date) > ?
+        AND DATE(ta.due_date) <= DATE_ADD(?, INTERVAL 7 DAY)
       ORDER BY ta.due_date ASC
       LIMIT 5
-    `, [req.user.userId, targetHouseholdId]);
+    `, [clock.today, req.user.userId, targetHouseholdId, clock.today, clock.today]);
 
     res.json({
       success: true,
@@ -179,7 +245,10 @@ router.get('/personal', async (req, res) => {
         today_assignments: todayAssignments,
         upcoming_assignments: upcomingAssignments,
         recent_completions: recentCompletions,
-        points_summary: pointsSummary
+        points_summary: pointsSummary,
+        expiring_points: expiringPoints,
+        savings_goals: savingsGoals,
+        recent_adjustments: recentAdjustments
       }
     });
 
@@ -224,6 +293,8 @@ router.get('/household/:id', async (req, res) => {
       });
     }
 
+    const clock = await loadHouseholdClock(householdId);
+
     // 1. Household Summary
     const householdSummary = await queryOne(`
       SELECT 
@@ -237,8 +308,8 @@ router.get('/household/:id', async (req, res) => {
         COUNT(DISTINCT CASE WHEN ta.status = 'overdue' AND ta.is_active = 1 THEN ta.assignment_id END) as overdue_assignments,
         
         -- This month's activity
-        COUNT(DISTINCT CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') THEN tc.completion_id END) as month_completions,
-        COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') THEN tc.points_earned ELSE 0 END), 0) as month_points,
+        COUNT(DISTINCT CASE WHEN tc.completed_at >= ? THEN tc.completion_id END) as month_completions,
+        COALESCE(SUM(CASE WHEN tc.completed_at >= ? THEN tc.points_earned ELSE 0 END), 0) as month_points,
         
         -- Rewards
         COUNT(DISTINCT r.reward_id) as total_rewards,
@@ -252,7 +323,7 @@ router.get('/household/:id', async (req, res) => {
       LEFT JOIN rewards r ON h.household_id = r.household_id AND r.is_active = 1
       LEFT JOIN reward_claims rc ON r.reward_id = rc.reward_id
       WHERE h.household_id = ?
-    `, [householdId]);
+    `, [clock.month_at, clock.month_at, householdId]);
 
     // 2. Member Activity Summary
     const memberActivity = await query(`
@@ -264,13 +335,14 @@ router.get('/household/:id', async (req, res) => {
         u.last_login,
         hm.role,
         -- This month's stats
-        COUNT(DISTINCT CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') THEN tc.completion_id END) as month_completions,
-        COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01') THEN tc.points_earned ELSE 0 END), 0) as month_points,
+        COUNT(DISTINCT CASE WHEN tc.completed_at >= ? THEN tc.completion_id END) as month_completions,
+        COALESCE(SUM(CASE WHEN tc.completed_at >= ? THEN tc.points_earned ELSE 0 END), 0) as month_points,
         -- Current assignments
         COUNT(DISTINCT CASE WHEN ta.status IN ('pending', 'overdue') AND ta.is_active = 1 THEN ta.assignment_id END) as current_assignments,
         COUNT(DISTINCT CASE WHEN ta.status = 'overdue' AND ta.is_active = 1 THEN ta.assignment_id END) as overdue_assignments,
         -- Total points balance
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as points_balance
+        (SELECT COALESCE(SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = hm.household_id) as points_balance
       FROM household_members hm
       JOIN users u ON hm.user_id = u.user_id
       LEFT JOIN task_completions tc ON u.user_id = tc.completed_by AND tc.task_id IN (
@@ -279,13 +351,10 @@ router.get('/household/:id', async (req, res) => {
       LEFT JOIN task_assignments ta ON u.user_id = ta.assigned_to_user_id AND ta.task_id IN (
         SELECT task_id FROM tasks WHERE household_id = ?
       )
-      LEFT JOIN reward_claims rc ON u.user_id = rc.claimed_by AND rc.status = 'fulfilled' AND rc.reward_id IN (
-        SELECT reward_id FROM rewards WHERE household_id = ?
-      )
       WHERE hm.household_id = ? AND hm.is_active = 1 AND u.is_active = 1
-      GROUP BY u.user_id, u.first_name, u.last_name, u.profile_image, u.last_login, hm.role
+      GROUP BY u.user_id, u.first_name, u.last_name, u.profile_image, u.last_login, hm.role, hm.household_id
       ORDER BY month_points DESC, month_completions DESC
-    `, [householdId, householdId, householdId, householdId]);
+    `, [clock.month_at, clock.month_at, householdId, householdId, householdId]);
 
     // 3. Category Performance
     const categoryPerformance = await query(`
@@ -349,9 +418,28 @@ router.get('/household/:id', async (req, res) => {
       JOIN rewards r ON rc.reward_id = r.reward_id
       WHERE r.household_id = ?
       
+      UNION ALL
+      
+      SELECT 
+        'point_adjustment' as activity_type,
+        pl.entry_id as activity_id,
+        pl.created_at as activity_date,
+        pl.points as points_earned,
+        pl.description as comment,
+        NULL as task_title,
+        NULL as category_name,
+        NULL as category_icon,
+        u.first_name,
+        u.last_name,
+        u.profile_image,
+        NULL as reward_title
+      FROM points_ledger pl
+      JOIN users u ON pl.user_id = u.user_id
+      WHERE pl.household_id = ? AND pl.entry_type = 'adjusted'
+      
       ORDER BY activity_date DESC
       LIMIT 20
-    `, [householdId, householdId]);
+    `, [householdId, householdId, householdId]);
 
     res.json({
       success: true,
@@ -405,17 +493,22 @@ router.get('/leaderboard/:id', async (req, res) => {
       });
     }
 
-    // Build date filter based on period
+    // Build date filter based on period, in the household's timezone
+    const clock = await loadHouseholdClock(householdId);
     let dateFilter = '';
+    let dateParams = [];
     switch (period) {
       case 'week':
-        dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL WEEKDAY(CURDATE()) DAY)';
+        dateFilter = 'AND tc.completed_at >= ?';
+        dateParams = [clock.week_at];
         break;
       case 'month':
-        dateFilter = "AND tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-%m-01')";
+        dateFilter = 'AND tc.completed_at >= ?';
+        dateParams = [clock.month_at];
         break;
       case 'year':
-        dateFilter = "AND tc.completed_at >= DATE_FORMAT(CURDATE(), '%Y-01-01')";
+        dateFilter = 'AND tc.completed_at >= ?';
+        dateParams = [clock.year_at];
         break;
       case 'all':
       default:
@@ -467,7 +560,7 @@ router.get('/leaderboard/:id', async (req, res) => {
       WHERE hm.household_id = ? AND hm.is_active = 1 AND u.is_active = 1
       GROUP BY u.user_id, u.first_name, u.last_name, u.profile_image, hm.role
       ORDER BY ${orderBy}
-    `, [householdId, householdId]);
+    `, [...dateParams, householdId, householdId]);
 
     // Calculate percentage of top performer for relative scores
     const topScore = leaderboard.length > 0 ? leaderboard[0].metric_value : 0;
@@ -538,21 +631,25 @@ router.get('/analytics/:household_id', async (req, res) => {
       dateFilter = 'AND tc.completed_at BETWEEN ? AND ?';
       dateParams = [start_date, end_date];
     } else {
+      // Relative to the start of today in the household's timezone
+      const clock = await loadHouseholdClock(householdId);
+      dateParams = [clock.today_at];
+
       switch (period) {
         case 'week':
-          dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL 1 WEEK)';
+          dateFilter = 'AND tc.completed_at >= DATE_SUB(?, INTERVAL 1 WEEK)';
           break;
         case 'month':
-          dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL 1 MONTH)';
+          dateFilter = 'AND tc.completed_at >= DATE_SUB(?, INTERVAL 1 MONTH)';
           break;
         case 'quarter':
-          dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL 3 MONTH)';
+          dateFilter = 'AND tc.completed_at >= DATE_SUB(?, INTERVAL 3 MONTH)';
           break;
         case 'year':
-          dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL 1 YEAR)';
+          dateFilter = 'AND tc.completed_at >= DATE_SUB(?, INTERVAL 1 YEAR)';
           break;
         default:
-          dateFilter = 'AND tc.completed_at >= DATE_SUB(CURDATE(), INTERVAL 1 MONTH)';
+          dateFilter = 'AND tc.completed_at >= DATE_SUB(?, INTERVAL 1 MONTH)';
       }
     }
 
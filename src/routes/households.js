@@ -4,12 +4,164 @@
 
 const express = require('express');
 const crypto = require('crypto');
-const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction } = require('../models/database');
-const { requireHouseholdAccess, requirePermission } = require('../middleware/auth');
+const moment = require('moment');
+const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction, SCHEDULED_JOBS, runScheduledJob, loadHouseholdClock, pickRecurringAssignee, isMemberAway, addLedgerEntry, calculateUserPoints, getOldestUnspentPointDate } = require('../models/database');
+const { requireHouseholdAccess, requirePermission, requireAdminAccess } = require('../middleware/auth');
 const { validate, householdSchemas } = require('../middleware/validation');
+const { startOfLocalDay } = require('../utils/dates');
 
 const router = express.Router();
 
+/**
+ * Get a member's pending assignments within an away period, each with the
+ * member the generator would pick instead (suggested_user_id). Suggestions
+ * are made in due date order as a dry-run plan, so a task's rotation
+ * advances from one suggestion to the next (suggested_cycle_position).
+ */
+async function getAwayAssignments(period) {
+  const assignments = await query(`
+    SELECT 
+      ta.assignment_id,
+      ta.task_id,
+      DATE_FORMAT(ta.due_date, '%Y-%m-%d') as due_date,
+      ta.status,
+      t.title as task_title,
+      t.household_id,
+      t.auto_assign,
+      t.difficulty_minutes,
+      t.cycle_position
+    FROM task_assignments ta
+    JOIN tasks t ON ta.task_id = t.task_id
+    WHERE ta.assigned_to_user_id = ?
+      AND t.household_id = ?
+      AND ta.is_active = 1
+      AND ta.status = 'pending'
+      AND DATE(ta.due_date) BETWEEN ? AND ?
+    ORDER BY ta.due_date ASC
+  `, [period.user_id, period.household_id, period.start_date, period.end_date]);
+
+  const plan = { assignments: [], tasks: {} };
+  const tasks = {};
+
+  for (const assignment of assignments) {
+    if (!tasks[assignment.task_id]) {
+      tasks[assignment.task_id] = {
+        task_id: assignment.task_id,
+        household_id: assignment.household_id,
+        auto_assign: assignment.auto_assign,
+        difficulty_minutes: assignment.difficulty_minutes,
+        cycle_position: assignment.cycle_position
+      };
+    }
+    const task = tasks[assignment.task_id];
+
+    const suggestion = await pickRecurringAssignee(task, plan, assignment.due_date);
+    const suggested = suggestion && suggestion.user_id !== period.user_id ? suggestion : null;
+
+    assignment.suggested_user_id = suggested ? suggested.user_id : null;
+    assignment.suggested_cycle_position = suggested && suggested.cycle_position !== undefined
+      ? suggested.cycle_position
+      : null;
+
+    if (suggested) {
+      plan.assignments.push({
+        task_id: task.task_id,
+        user_id: suggested.user_id,
+        due_date: assignment.due_date,
+        difficulty_minutes: task.difficulty_minutes
+      });
+
+      if (suggested.cycle_position !== undefined) {
+        task.cycle_position = suggested.cycle_position;
+      }
+    }
+  }
+
+  return assignments;
+}
+
+/**
+ * Settle a pending transfer within a transaction: approving credits the
+ * recipient, rejecting or cancelling refunds the sender. Either way the
+ * credited points keep the age recorded on the sender's debit. Returns false
+ * if the transfer was no longer pending.
+ */
+async function settleTransfer(connection, transfer, status, reviewerId, reviewNote = null) {
+  const [result] = await connection.execute(`
+    UPDATE point_transfers
+    SET status = ?, reviewed_by_user_id = ?, reviewed_at = NOW(), review_note = ?
+    WHERE transfer_id = ? AND status = 'pending'
+  `, [status, reviewerId, reviewNote, transfer.transfer_id]);
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  const [[debit]] = await connection.execute(`
+    SELECT COALESCE(points_dated_at, created_at) as dated_at
+    FROM points_ledger
+    WHERE entry_type = 'transferred' AND transfer_id = ? AND user_id = ?
+  `, [transfer.transfer_id, transfer.from_user_id]);
+  const pointsDatedAt = debit ? debit.dated_at : null;
+
+  if (status === 'completed') {
+    await addLedgerEntry({
+      household_id: transfer.household_id,
+      user_id: transfer.to_user_id,
+      entry_type: 'transferred',
+      points: transfer.points,
+      transfer_id: transfer.transfer_id,
+      description: `Prenos od ${transfer.from_first_name} ${transfer.from_last_name}`,
+      created_by_user_id: reviewerId,
+      points_dated_at: pointsDatedAt
+    }, connection);
+  } else {
+    await addLedgerEntry({
+      household_id: transfer.household_id,
+      user_id: transfer.from_user_id,
+      entry_type: 'refunded',
+      points: transfer.points,
+      transfer_id: transfer.transfer_id,
+      description: status === 'rejected' ? 'Prenos točk zavrnjen' : 'Prenos točk preklican',
+      created_by_user_id: reviewerId,
+      points_dated_at: pointsDatedAt
+    }, connection);
+  }
+
+  return true;
+}
+
+/**
+ * Get a transfer of a household with the sender's name
+ */
+async function getTransfer(householdId, transferId) {
+  return queryOne(`
+    SELECT 
+      pt.transfer_id,
+      pt.household_id,
+      pt.from_user_id,
+      pt.to_user_id,
+      pt.points,
+      pt.status,
+      sender.first_name as from_first_name,
+      sender.last_name as from_last_name
+    FROM point_transfers pt
+    JOIN users sender ON pt.from_user_id = sender.user_id
+    WHERE pt.transfer_id = ? AND pt.household_id = ?
+  `, [transferId, householdId]);
+}
+
+/**
+ * Get an allowance payout of a household
+ */
+async function getPayout(householdId, payoutId) {
+  return queryOne(`
+    SELECT payout_id, household_id, user_id, points, amount, currency, status
+    FROM allowance_payouts
+    WHERE payout_id = ? AND household_id = ?
+  `, [payoutId, householdId]);
+}
+
 // =============================================================================
 // POST /households - Create New Household
 // =============================================================================
@@ -243,6 +395,26 @@ router.get('/:id', async (req, res) => {
         h.name,
         h.description,
         h.invite_code,
+        h.timezone,
+        h.week_start,
+        h.assignment_strategy,
+        h.workload_window_days,
+        h.workload_age_weighting,
+        h.points_multiplier,
+        h.points_early_bonus,
+        h.points_on_time_bonus,
+        h.points_late_penalty_per_day,
+        h.points_photo_bonus,
+        h.points_weekend_multiplier,
+        h.points_expiry_months,
+        h.points_season_reset,
+        h.points_season_start_month,
+        h.points_carry_over_cap,
+        h.transfers_require_approval,
+        h.transfer_daily_limit,
+        h.allowance_rate,
+        h.allowance_currency,
+        h.claim_daily_points_cap,
         h.created_at,
         h.created_by_user_id,
         -- Creator info
@@ -335,11 +507,25 @@ router.get('/:id/members', async (req, res) => {
       return res.status(403).json({ success:false, error:{ code:'HOUSEHOLD_ACCESS_DENIED', message:'Nimate dostopa do tega doma' } });
     }
 
+    // Away status as of today in the household's timezone
+    const clock = await loadHouseholdClock(householdId);
+
     const members = await query(`
-      SELECT hm.user_id, u.first_name, u.last_name, hm.role, hm.can_create_tasks, hm.can_assign_tasks, hm.can_create_rewards, hm.joined_at, hm.is_active
+      SELECT hm.user_id, u.first_name, u.last_name, hm.role, hm.can_create_tasks, hm.can_assign_tasks, hm.can_create_rewards, hm.can_adjust_points, hm.joined_at, hm.is_active,
+        hm.workload_capacity, DATE_FORMAT(hm.birth_date, '%Y-%m-%d') as birth_date,
+        CASE WHEN ap.away_id IS NULL THEN 0 ELSE 1 END as is_away,
+        DATE_FORMAT(ap.end_date, '%Y-%m-%d') as away_until,
+        ap.reason as away_reason
       FROM household_members hm
       JOIN users u ON hm.user_id = u.user_id
-      WHERE hm.household_id = ?`, [householdId]);
+      LEFT JOIN member_away_periods ap ON ap.away_id = (
+        SELECT ap2.away_id FROM member_away_periods ap2
+        WHERE ap2.household_id = hm.household_id AND ap2.user_id = hm.user_id
+          AND ? BETWEEN ap2.start_date AND ap2.end_date
+        ORDER BY ap2.end_date DESC
+        LIMIT 1
+      )
+      WHERE hm.household_id = ?`, [clock.today, householdId]);
 
     res.json({ success:true, data:{ members } });
 
@@ -356,7 +542,30 @@ router.get('/:id/members', async (req, res) => {
 router.put('/:id', validate(householdSchemas.update), async (req, res) => {
   try {
     const householdId = req.params.id;
-    const { name, description } = req.body;
+    const {
+      name,
+      description,
+      timezone,
+      week_start,
+      assignment_strategy,
+      workload_window_days,
+      workload_age_weighting,
+      points_multiplier,
+      points_early_bonus,
+      points_on_time_bonus,
+      points_late_penalty_per_day,
+      points_photo_bonus,
+      points_weekend_multiplier,
+      points_expiry_months,
+      points_season_reset,
+      points_season_start_month,
+      points_carry_over_cap,
+      transfers_require_approval,
+      transfer_daily_limit,
+      allowance_rate,
+      allowance_currency,
+      claim_daily_points_cap
+    } = req.body;
 
     // Verify access and permissions
     const hasAccess = await queryOne(`
@@ -388,15 +597,59 @@ router.put('/:id', validate(householdSchemas.update), async (req, res) => {
       });
     }
 
-    // Update household
+    // Update household (omitted fields keep their current value)
     await query(`
       UPDATE households 
       SET 
-        name = ?,
-        description = ?,
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        timezone = COALESCE(?, timezone),
+        week_start = COALESCE(?, week_start),
+        assignment_strategy = COALESCE(?, assignment_strategy),
+        workload_window_days = COALESCE(?, workload_window_days),
+        workload_age_weighting = COALESCE(?, workload_age_weighting),
+        points_multiplier = COALESCE(?, points_multiplier),
+        points_early_bonus = COALESCE(?, points_early_bonus),
+        points_on_time_bonus = COALESCE(?, points_on_time_bonus),
+        points_late_penalty_per_day = COALESCE(?, points_late_penalty_per_day),
+        points_photo_bonus = COALESCE(?, points_photo_bonus),
+        points_weekend_multiplier = COALESCE(?, points_weekend_multiplier),
+        points_expiry_months = COALESCE(?, points_expiry_months),
+        points_season_reset = COALESCE(?, points_season_reset),
+        points_season_start_month = COALESCE(?, points_season_start_month),
+        points_carry_over_cap = COALESCE(?, points_carry_over_cap),
+        transfers_require_approval = COALESCE(?, transfers_require_approval),
+        transfer_daily_limit = COALESCE(?, transfer_daily_limit),
+        allowance_rate = COALESCE(?, allowance_rate),
+        allowance_currency = COALESCE(?, allowance_currency),
+        claim_daily_points_cap = COALESCE(?, claim_daily_points_cap),
         updated_at = NOW()
       WHERE household_id = ?
-    `, [name, description, householdId]);
+    `, [
+      name ?? null,
+      description ?? null,
+      timezone ?? null,
+      week_start ?? null,
+      assignment_strategy ?? null,
+      workload_window_days ?? null,
+      workload_age_weighting === undefined ? null : (workload_age_weighting ? 1 : 0),
+      points_multiplier ?? null,
+      points_early_bonus ?? null,
+      points_on_time_bonus ?? null,
+      points_late_penalty_per_day ?? null,
+      points_photo_bonus ?? null,
+      points_weekend_multiplier ?? null,
+      points_expiry_months ?? null,
+      points_season_reset ?? null,
+      points_season_start_month ?? null,
+      points_carry_over_cap ?? null,
+      transfers_require_approval === undefined ? null : (transfers_require_approval ? 1 : 0),
+      transfer_daily_limit ?? null,
+      allowance_rate ?? null,
+      allowance_currency ?? null,
+      claim_daily_points_cap ?? null,
+      householdId
+    ]);
 
     // Fetch updated household
     const household = await queryOne(`
@@ -405,6 +658,26 @@ router.put('/:id', validate(householdSchemas.update), async (req, res) => {
         name,
         description,
         invite_code,
+        timezone,
+        week_start,
+        assignment_strategy,
+        workload_window_days,
+        workload_age_weighting,
+        points_multiplier,
+        points_early_bonus,
+        points_on_time_bonus,
+        points_late_penalty_per_day,
+        points_photo_bonus,
+        points_weekend_multiplier,
+        points_expiry_months,
+        points_season_reset,
+        points_season_start_month,
+        points_carry_over_cap,
+        transfers_require_approval,
+        transfer_daily_limit,
+        allowance_rate,
+        allowance_currency,
+        claim_daily_points_cap,
         created_at,
         updated_at
       FROM households 
@@ -516,101 +789,1941 @@ router.post('/:id/regenerate-invite', async (req, res) => {
 });
 
 // =============================================================================
-// PUT /households/:id/members/:userId/role - Update Member Role
+// GET /households/:id/scheduler/runs - Scheduled Job History
 // =============================================================================
 
-router.put('/:id/members/:userId/role', validate(householdSchemas.updateMemberRole), async (req, res) => {
+router.get('/:id/scheduler/runs', requireHouseholdAccess, requireAdminAccess, async (req, res) => {
   try {
-    const householdId = req.params.id;
-    const userId = req.params.userId;
-    const { role } = req.body;
+    const householdId = req.household.household_id;
+    const { 
+      job_name,
+      status,
+      limit = '50',
+      offset = '0'
+    } = req.query;
+
+    // Runs for this household and runs over all households; the latter only
+    // show their outcome, their counts and errors cover other households too
+    let whereConditions = ['(sr.household_id = ? OR sr.household_id IS NULL)'];
+    let whereParams = [householdId];
+
+    if (job_name) {
+      whereConditions.push('sr.job_name = ?');
+      whereParams.push(job_name);
+    }
 
-    // Verify access and permissions
-    const hasAccess = await queryOne(`
+    if (status) {
+      whereConditions.push('sr.status = ?');
+      whereParams.push(status);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const runs = await query(`
       SELECT 
-        hm.membership_id,
-        hm.role
-      FROM household_members hm
-      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
-    `, [householdId, req.user.userId]);
+        sr.run_id,
+        sr.job_name,
+        sr.household_id,
+        sr.trigger_type,
+        IF(sr.household_id IS NULL, NULL, sr.triggered_by_user_id) as triggered_by_user_id,
+        IF(sr.household_id IS NULL, NULL, u.first_name) as triggered_by_first_name,
+        IF(sr.household_id IS NULL, NULL, u.last_name) as triggered_by_last_name,
+        sr.run_for,
+        sr.started_at,
+        sr.finished_at,
+        TIMESTAMPDIFF(SECOND, sr.started_at, sr.finished_at) as duration_seconds,
+        sr.status,
+        IF(sr.household_id IS NULL, NULL, sr.affected_rows) as affected_rows,
+        IF(sr.household_id IS NULL, NULL, sr.error_message) as error_message
+      FROM scheduler_runs sr
+      LEFT JOIN users u ON sr.triggered_by_user_id = u.user_id
+      WHERE ${whereClause}
+      ORDER BY sr.started_at DESC, sr.run_id DESC
+      LIMIT ? OFFSET ?
+    `, [...whereParams, parseInt(limit), parseInt(offset)]);
+
+    const totalResult = await queryOne(`
+      SELECT COUNT(*) as total
+      FROM scheduler_runs sr
+      WHERE ${whereClause}
+    `, whereParams);
+
+    // Last successful run over all households, per job
+    const states = await query(`
+      SELECT job_name, last_success_at
+      FROM scheduler_state
+      ORDER BY job_name
+    `);
 
-    if (!hasAccess) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      data: {
+        runs,
+        jobs: Object.keys(SCHEDULED_JOBS).map(name => ({
+          job_name: name,
+          last_success_at: (states.find(state => state.job_name === name) || {}).last_success_at || null
+        })),
+        pagination: {
+          total: totalResult.total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: totalResult.total > (parseInt(offset) + parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduler runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_SCHEDULER_RUNS_ERROR',
+        message: 'Napaka pri pridobivanju zgodovine opravil'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/scheduler/jobs/:job/run - Trigger Scheduled Job
+// =============================================================================
+
+router.post('/:id/scheduler/jobs/:job/run', requireHouseholdAccess, requireAdminAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const jobName = req.params.job;
+
+    if (!Object.prototype.hasOwnProperty.call(SCHEDULED_JOBS, jobName)) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'HOUSEHOLD_ACCESS_DENIED',
-          message: 'Nimate dostopa do tega doma'
+          code: 'JOB_NOT_FOUND',
+          message: 'Opravilo ne obstaja',
+          details: { available_jobs: Object.keys(SCHEDULED_JOBS) }
         }
       });
     }
 
-    // Check manage_members permission
-    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin') {
-      return res.status(403).json({
+    const run = await runScheduledJob(jobName, new Date(), {
+      householdId,
+      trigger: 'manual',
+      triggeredBy: req.user.userId
+    });
+
+    if (run.status === 'failed') {
+      return res.status(500).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Nimate dovoljenj za upravljanje članov'
+          code: 'JOB_RUN_FAILED',
+          message: 'Opravilo se ni uspešno izvedlo',
+          details: { run }
         }
       });
     }
 
-    // Check if member exists
-    const member = await queryOne(`
+    res.json({
+      success: true,
+      data: {
+        run,
+        message: 'Opravilo je bilo uspešno izvedeno'
+      }
+    });
+
+  } catch (error) {
+    console.error('Trigger scheduled job error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TRIGGER_JOB_ERROR',
+        message: 'Napaka pri zagonu opravila'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/skip-days - List Holidays and Skip Days
+// =============================================================================
+
+router.get('/:id/skip-days', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { include_past = 'false' } = req.query;
+
+    let whereConditions = ['sd.household_id = ?'];
+    let whereParams = [householdId];
+
+    if (include_past !== 'true') {
+      const clock = await loadHouseholdClock(householdId);
+      whereConditions.push('sd.end_date >= ?');
+      whereParams.push(clock.today);
+    }
+
+    const skipDays = await query(`
       SELECT 
-        hm.membership_id,
-        hm.role as member_role,
-        u.first_name,
-        u.last_name
-      FROM household_members hm
-      JOIN users u ON hm.user_id = u.user_id
-      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
-    `, [householdId, userId]);
+        sd.skip_day_id,
+        sd.task_id,
+        t.title as task_title,
+        DATE_FORMAT(sd.start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(sd.end_date, '%Y-%m-%d') as end_date,
+        sd.action,
+        sd.reason,
+        sd.created_by_user_id,
+        u.first_name as created_by_first_name,
+        u.last_name as created_by_last_name,
+        sd.created_at
+      FROM household_skip_days sd
+      LEFT JOIN tasks t ON sd.task_id = t.task_id
+      LEFT JOIN users u ON sd.created_by_user_id = u.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY sd.start_date ASC, sd.skip_day_id ASC
+    `, whereParams);
+
+    res.json({ success:true, data:{ skip_days: skipDays } });
 
-    if (!member) {
+  } catch (error) {
+    console.error('List skip days error:', error);
+    res.status(500).json({ success:false, error:{ code:'LIST_SKIP_DAYS_ERROR', message:'Napaka pri pridobivanju prostih dni' } });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/skip-days - Add Holiday or Skip Days
+// =============================================================================
+
+router.post('/:id/skip-days', requireHouseholdAccess, requireAdminAccess, validate(householdSchemas.skipDay), async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const {
+      start_date,
+      end_date = null,
+      task_id = null,
+      action = 'skip',
+      reason = null
+    } = req.body;
+
+    // Per-task overrides must reference a task of this household
+    if (task_id) {
+      const task = await queryOne(
+        'SELECT task_id FROM tasks WHERE task_id = ? AND household_id = ? AND is_active = 1',
+        [task_id, householdId]
+      );
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TASK_NOT_FOUND',
+            message: 'Naloga ni najdena'
+          }
+        });
+      }
+    }
+
+    const result = await query(`
+      INSERT INTO household_skip_days (
+        household_id, task_id, start_date, end_date, action, reason, created_by_user_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [householdId, task_id, start_date, end_date || start_date, action, reason || null, req.user.userId]);
+
+    const skipDay = await queryOne(`
+      SELECT 
+        skip_day_id,
+        task_id,
+        DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+        action,
+        reason,
+        created_by_user_id,
+        created_at
+      FROM household_skip_days
+      WHERE skip_day_id = ?
+    `, [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        skip_day: skipDay,
+        message: 'Prosti dnevi so bili uspešno dodani'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create skip days error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_SKIP_DAYS_ERROR',
+        message: 'Napaka pri dodajanju prostih dni'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /households/:id/skip-days/:skipDayId - Remove Holiday or Skip Days
+// =============================================================================
+
+router.delete('/:id/skip-days/:skipDayId', requireHouseholdAccess, requireAdminAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const skipDayId = req.params.skipDayId;
+
+    const result = await query(
+      'DELETE FROM household_skip_days WHERE skip_day_id = ? AND household_id = ?',
+      [skipDayId, householdId]
+    );
+
+    if (result.affectedRows === 0) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'MEMBER_NOT_FOUND',
-          message: 'Član ni najden'
+          code: 'SKIP_DAY_NOT_FOUND',
+          message: 'Prosti dan ni najden'
         }
       });
     }
 
-    // Don't allow changing own role
-    if (parseInt(userId) === req.user.userId) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: {
+        message: 'Prosti dnevi so bili uspešno odstranjeni'
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete skip days error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_SKIP_DAYS_ERROR',
+        message: 'Napaka pri odstranjevanju prostih dni'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/away-periods - List Member Away Periods
+// =============================================================================
+
+router.get('/:id/away-periods', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { user_id, include_past = 'false' } = req.query;
+
+    let whereConditions = ['ap.household_id = ?'];
+    let whereParams = [householdId];
+
+    if (user_id) {
+      whereConditions.push('ap.user_id = ?');
+      whereParams.push(parseInt(user_id));
+    }
+
+    if (include_past !== 'true') {
+      const clock = await loadHouseholdClock(householdId);
+      whereConditions.push('ap.end_date >= ?');
+      whereParams.push(clock.today);
+    }
+
+    const awayPeriods = await query(`
+      SELECT 
+        ap.away_id,
+        ap.user_id,
+        u.first_name,
+        u.last_name,
+        DATE_FORMAT(ap.start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(ap.end_date, '%Y-%m-%d') as end_date,
+        ap.reason,
+        ap.created_by_user_id,
+        ap.created_at
+      FROM member_away_periods ap
+      JOIN users u ON ap.user_id = u.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY ap.start_date ASC, ap.away_id ASC
+    `, whereParams);
+
+    res.json({ success:true, data:{ away_periods: awayPeriods } });
+
+  } catch (error) {
+    console.error('List away periods error:', error);
+    res.status(500).json({ success:false, error:{ code:'LIST_AWAY_PERIODS_ERROR', message:'Napaka pri pridobivanju odsotnosti' } });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/away-periods - Set Member Away Period
+// =============================================================================
+
+router.post('/:id/away-periods', requireHouseholdAccess, validate(householdSchemas.awayPeriod), async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { start_date, end_date, reason = null } = req.body;
+    const user_id = req.body.user_id ? parseInt(req.body.user_id) : req.user.userId;
+
+    // Members set their own away periods, owners and admins anyone's
+    if (user_id !== req.user.userId && req.household.role !== 'owner' && req.household.role !== 'admin') {
+      return res.status(403).json({
         success: false,
         error: {
-          code: 'CANNOT_CHANGE_OWN_ROLE',
-          message: 'Ne morete spremeniti lastne vloge'
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje odsotnosti drugih članov'
         }
       });
     }
 
-    // Update member role
-    await query(`
-      UPDATE household_members 
-      SET 
-        role = ?,
-        updated_at = NOW()
-      WHERE membership_id = ?
-    `, [role, member.membership_id]);
+    const targetMember = await queryOne(
+      'SELECT membership_id FROM household_members WHERE household_id = ? AND user_id = ? AND is_active = 1',
+      [householdId, user_id]
+    );
 
-    res.json({
+    if (!targetMember) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO member_away_periods (
+        household_id, user_id, start_date, end_date, reason, created_by_user_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `, [householdId, user_id, start_date, end_date, reason || null, req.user.userId]);
+
+    const awayPeriod = await queryOne(`
+      SELECT 
+        away_id,
+        household_id,
+        user_id,
+        DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+        reason,
+        created_by_user_id,
+        created_at
+      FROM member_away_periods
+      WHERE away_id = ?
+    `, [result.insertId]);
+
+    // Offer assignments that already fall into the period for reassignment
+    const assignments = await getAwayAssignments(awayPeriod);
+
+    res.status(201).json({
       success: true,
       data: {
-        message: `Vloga člana ${member.first_name} ${member.last_name} je bila spremenjena na ${role}`
+        away_period: awayPeriod,
+        assignments_to_reassign: assignments,
+        message: 'Odsotnost je bila uspešno dodana'
       }
     });
 
   } catch (error) {
-    console.error('Update member role error:', error);
+    console.error('Create away period error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'UPDATE_MEMBER_ROLE_ERROR',
-        message: 'Napaka pri spreminjanju vloge člana'
+        code: 'CREATE_AWAY_PERIOD_ERROR',
+        message: 'Napaka pri dodajanju odsotnosti'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/away-periods/:awayId/assignments - Assignments to Reassign
+// =============================================================================
+
+router.get('/:id/away-periods/:awayId/assignments', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+
+    const awayPeriod = await queryOne(`
+      SELECT 
+        away_id,
+        household_id,
+        user_id,
+        DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+      FROM member_away_periods
+      WHERE away_id = ? AND household_id = ?
+    `, [req.params.awayId, householdId]);
+
+    if (!awayPeriod) {
+      return res.status(404).json({ success:false, error:{ code:'AWAY_PERIOD_NOT_FOUND', message:'Odsotnost ni najdena' } });
+    }
+
+    const assignments = await getAwayAssignments(awayPeriod);
+
+    res.json({ success:true, data:{ away_period: awayPeriod, assignments } });
+
+  } catch (error) {
+    console.error('List away assignments error:', error);
+    res.status(500).json({ success:false, error:{ code:'LIST_AWAY_ASSIGNMENTS_ERROR', message:'Napaka pri pridobivanju dodelitev' } });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/away-periods/:awayId/reassign - Reassign Assignments
+// =============================================================================
+
+router.post('/:id/away-periods/:awayId/reassign', requireHouseholdAccess, validate(householdSchemas.reassignAway), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+
+    const awayPeriod = await queryOne(`
+      SELECT 
+        away_id,
+        household_id,
+        user_id,
+        DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+      FROM member_away_periods
+      WHERE away_id = ? AND household_id = ?
+    `, [req.params.awayId, householdId]);
+
+    if (!awayPeriod) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AWAY_PERIOD_NOT_FOUND',
+          message: 'Odsotnost ni najdena'
+        }
+      });
+    }
+
+    // The away member, owners, admins and members who assign tasks may reassign
+    const canReassign = awayPeriod.user_id === req.user.userId ||
+      req.household.role === 'owner' || req.household.role === 'admin' || req.household.permissions.can_assign_tasks;
+
+    if (!canReassign) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za dodeljevanje opravil'
+        }
+      });
+    }
+
+    const candidates = await getAwayAssignments(awayPeriod);
+
+    // Without an explicit list every assignment goes to its suggested member
+    const requested = req.body.assignments ||
+      candidates.map(candidate => ({ assignment_id: candidate.assignment_id }));
+
+    const reassigned = [];
+    const skipped = [];
+    // Rotation position each task reaches through its suggested assignees
+    const cyclePositions = {};
+
+    connection = await beginTransaction();
+
+    for (const item of requested) {
+      const candidate = candidates.find(entry => entry.assignment_id === item.assignment_id);
+
+      if (!candidate) {
+        skipped.push({ assignment_id: item.assignment_id, reason: 'NOT_IN_AWAY_PERIOD' });
+        continue;
+      }
+
+      const userId = item.user_id || candidate.suggested_user_id;
+
+      if (!userId || userId === awayPeriod.user_id) {
+        skipped.push({ assignment_id: item.assignment_id, reason: 'NO_AVAILABLE_MEMBER' });
+        continue;
+      }
+
+      const [[target]] = await connection.execute(
+        'SELECT membership_id FROM household_members WHERE household_id = ? AND user_id = ? AND is_active = 1',
+        [householdId, userId]
+      );
+
+      if (!target || await isMemberAway(householdId, userId, candidate.due_date)) {
+        skipped.push({ assignment_id: item.assignment_id, reason: 'MEMBER_NOT_AVAILABLE' });
+        continue;
+      }
+
+      // Only assignments still pending for the away member are moved
+      const [moved] = await connection.execute(`
+        UPDATE task_assignments 
+        SET assigned_to_user_id = ?, updated_at = NOW() 
+        WHERE assignment_id = ? AND assigned_to_user_id = ? AND status = 'pending'
+      `, [userId, candidate.assignment_id, awayPeriod.user_id]);
+
+      if (moved.affectedRows === 0) {
+        skipped.push({ assignment_id: item.assignment_id, reason: 'NOT_IN_AWAY_PERIOD' });
+        continue;
+      }
+
+      if (userId === candidate.suggested_user_id && candidate.suggested_cycle_position !== null) {
+        cyclePositions[candidate.task_id] = candidate.suggested_cycle_position;
+      }
+
+      reassigned.push({ assignment_id: candidate.assignment_id, task_id: candidate.task_id, due_date: candidate.due_date, user_id: userId });
+    }
+
+    // The rotation continues after the members who took over
+    for (const [taskId, position] of Object.entries(cyclePositions)) {
+      await connection.execute('UPDATE tasks SET cycle_position = ? WHERE task_id = ?', [position, parseInt(taskId)]);
+    }
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        reassigned,
+        skipped,
+        message: `Prerazporejenih dodelitev: ${reassigned.length}`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
+    console.error('Reassign away assignments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REASSIGN_AWAY_ERROR',
+        message: 'Napaka pri prerazporejanju dodelitev'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /households/:id/away-periods/:awayId - Remove Away Period
+// =============================================================================
+
+router.delete('/:id/away-periods/:awayId', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+
+    const awayPeriod = await queryOne(
+      'SELECT away_id, user_id FROM member_away_periods WHERE away_id = ? AND household_id = ?',
+      [req.params.awayId, householdId]
+    );
+
+    if (!awayPeriod) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AWAY_PERIOD_NOT_FOUND',
+          message: 'Odsotnost ni najdena'
+        }
+      });
+    }
+
+    if (awayPeriod.user_id !== req.user.userId && req.household.role !== 'owner' && req.household.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje odsotnosti drugih članov'
+        }
+      });
+    }
+
+    await query('DELETE FROM member_away_periods WHERE away_id = ?', [awayPeriod.away_id]);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Odsotnost je bila uspešno odstranjena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete away period error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_AWAY_PERIOD_ERROR',
+        message: 'Napaka pri odstranjevanju odsotnosti'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// PUT /households/:id/members/:userId/role - Update Member Role
+// =============================================================================
+
+router.put('/:id/members/:userId/role', validate(householdSchemas.updateMemberRole), async (req, res) => {
+  try {
+    const householdId = req.params.id;
+    const userId = req.params.userId;
+    const { role, can_create_tasks, can_assign_tasks, can_create_rewards, can_adjust_points } = req.body;
+
+    // Verify access and permissions
+    const hasAccess = await queryOne(`
+      SELECT 
+        hm.membership_id,
+        hm.role
+      FROM household_members hm
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [householdId, req.user.userId]);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    // Check manage_members permission
+    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za upravljanje članov'
+        }
+      });
+    }
+
+    // Check if member exists
+    const member = await queryOne(`
+      SELECT 
+        hm.membership_id,
+        hm.role as member_role,
+        u.first_name,
+        u.last_name
+      FROM household_members hm
+      JOIN users u ON hm.user_id = u.user_id
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [householdId, userId]);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    // Don't allow changing own role
+    if (parseInt(userId) === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CANNOT_CHANGE_OWN_ROLE',
+          message: 'Ne morete spremeniti lastne vloge'
+        }
+      });
+    }
+
+    // Update member role (omitted permissions keep their current value)
+    await query(`
+      UPDATE household_members 
+      SET 
+        role = ?,
+        can_create_tasks = COALESCE(?, can_create_tasks),
+        can_assign_tasks = COALESCE(?, can_assign_tasks),
+        can_create_rewards = COALESCE(?, can_create_rewards),
+        can_adjust_points = COALESCE(?, can_adjust_points),
+        updated_at = NOW()
+      WHERE membership_id = ?
+    `, [
+      role,
+      can_create_tasks ?? null,
+      can_assign_tasks ?? null,
+      can_create_rewards ?? null,
+      can_adjust_points ?? null,
+      member.membership_id
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        message: `Vloga člana ${member.first_name} ${member.last_name} je bila spremenjena na ${role}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_MEMBER_ROLE_ERROR',
+        message: 'Napaka pri spreminjanju vloge člana'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// PUT /households/:id/members/:userId/workload - Update Member Workload Settings
+// =============================================================================
+
+router.put('/:id/members/:userId/workload', requireHouseholdAccess, requireAdminAccess, validate(householdSchemas.updateMemberWorkload), async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const userId = req.params.userId;
+    const { workload_capacity, birth_date } = req.body;
+
+    const member = await queryOne(`
+      SELECT membership_id
+      FROM household_members
+      WHERE household_id = ? AND user_id = ? AND is_active = 1
+    `, [householdId, userId]);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    // Both fields may be explicitly cleared with null
+    const fields = [];
+    const params = [];
+    if (workload_capacity !== undefined) { fields.push('workload_capacity = ?'); params.push(workload_capacity); }
+    if (birth_date !== undefined) { fields.push('birth_date = ?'); params.push(birth_date); }
+
+    if (fields.length) {
+      params.push(member.membership_id);
+      await query(`UPDATE household_members SET ${fields.join(', ')}, updated_at = NOW() WHERE membership_id = ?`, params);
+    }
+
+    const updated = await queryOne(`
+      SELECT 
+        user_id,
+        workload_capacity,
+        DATE_FORMAT(birth_date, '%Y-%m-%d') as birth_date
+      FROM household_members
+      WHERE membership_id = ?
+    `, [member.membership_id]);
+
+    res.json({
+      success: true,
+      data: {
+        member: updated,
+        message: 'Nastavitve obremenitve so bile posodobljene'
+      }
+    });
+
+  } catch (error) {
+    console.error('Update member workload error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_MEMBER_WORKLOAD_ERROR',
+        message: 'Napaka pri posodabljanju nastavitev obremenitve'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/points/adjustments - List Manual Point Adjustments
+// =============================================================================
+
+router.get('/:id/points/adjustments', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { user_id, limit = '50', offset = '0' } = req.query;
+
+    // Members without the permission only see their own adjustments
+    const canAdjust = req.household.role === 'owner' || req.household.role === 'admin' ||
+      req.household.permissions.can_adjust_points;
+    const targetUserId = canAdjust ? (user_id ? parseInt(user_id) : null) : req.user.userId;
+
+    const adjustments = await query(`
+      SELECT 
+        pl.entry_id,
+        pl.user_id,
+        u.first_name,
+        u.last_name,
+        pl.points,
+        pl.description as reason,
+        pl.created_at,
+        pl.created_by_user_id,
+        creator.first_name as created_by_first_name,
+        creator.last_name as created_by_last_name,
+        revert.entry_id as reverted_by_entry_id,
+        revert.description as revert_reason,
+        revert.created_at as reverted_at
+      FROM points_ledger pl
+      JOIN users u ON pl.user_id = u.user_id
+      LEFT JOIN users creator ON pl.created_by_user_id = creator.user_id
+      LEFT JOIN points_ledger revert ON revert.reverts_entry_id = pl.entry_id
+      WHERE pl.household_id = ? 
+        AND pl.entry_type = 'adjusted'
+        AND pl.reverts_entry_id IS NULL
+        ${targetUserId ? 'AND pl.user_id = ?' : ''}
+      ORDER BY pl.created_at DESC, pl.entry_id DESC
+      LIMIT ? OFFSET ?
+    `, [
+      householdId,
+      ...(targetUserId ? [targetUserId] : []),
+      parseInt(limit),
+      parseInt(offset)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        adjustments: adjustments.map(adjustment => ({
+          ...adjustment,
+          is_reverted: adjustment.reverted_by_entry_id !== null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List point adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LIST_POINT_ADJUSTMENTS_ERROR',
+        message: 'Napaka pri pridobivanju prilagoditev točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/points/adjustments - Grant or Deduct Points
+// =============================================================================
+
+router.post('/:id/points/adjustments', requireHouseholdAccess, requirePermission('can_adjust_points'),
+  validate(householdSchemas.pointAdjustment), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const userId = parseInt(req.body.user_id);
+    const points = parseInt(req.body.points);
+    const reason = req.body.reason.trim();
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CANNOT_ADJUST_OWN_POINTS',
+          message: 'Ne morete prilagoditi lastnih točk'
+        }
+      });
+    }
+
+    const member = await queryOne(`
+      SELECT hm.membership_id, u.first_name, u.last_name
+      FROM household_members hm
+      JOIN users u ON hm.user_id = u.user_id
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [householdId, userId]);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    // Deductions may not take the balance below zero or below points held
+    // by pending reward claims
+    const balance = await calculateUserPoints(userId, householdId, connection);
+
+    if (balance.available_points + points < 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_POINTS',
+          message: `Član ima na voljo le ${balance.available_points} točk`
+        }
+      });
+    }
+
+    const entryId = await addLedgerEntry({
+      household_id: householdId,
+      user_id: userId,
+      entry_type: 'adjusted',
+      points,
+      description: reason,
+      created_by_user_id: req.user.userId
+    }, connection);
+
+    await commitTransaction(connection);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        adjustment: {
+          entry_id: entryId,
+          user_id: userId,
+          points,
+          reason,
+          current_points: balance.current_points + points
+        },
+        message: points > 0
+          ? `${member.first_name} ${member.last_name} je prejel/a ${points} točk`
+          : `${member.first_name} ${member.last_name} je izgubil/a ${-points} točk`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Create point adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_POINT_ADJUSTMENT_ERROR',
+        message: 'Napaka pri prilagajanju točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/points/adjustments/:entryId/revert - Revert Adjustment
+// =============================================================================
+
+router.post('/:id/points/adjustments/:entryId/revert', requireHouseholdAccess, requirePermission('can_adjust_points'),
+  validate(householdSchemas.revertPointAdjustment), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const entryId = parseInt(req.params.entryId);
+    const { reason } = req.body;
+
+    const adjustment = await queryOne(`
+      SELECT 
+        pl.entry_id,
+        pl.user_id,
+        pl.points,
+        pl.description,
+        revert.entry_id as reverted_by_entry_id
+      FROM points_ledger pl
+      LEFT JOIN points_ledger revert ON revert.reverts_entry_id = pl.entry_id
+      WHERE pl.entry_id = ? AND pl.household_id = ?
+        AND pl.entry_type = 'adjusted' AND pl.reverts_entry_id IS NULL
+    `, [entryId, householdId]);
+
+    if (!adjustment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ADJUSTMENT_NOT_FOUND',
+          message: 'Prilagoditev ni najdena'
+        }
+      });
+    }
+
+    if (adjustment.reverted_by_entry_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ADJUSTMENT_ALREADY_REVERTED',
+          message: 'Prilagoditev je že razveljavljena'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    // Reverting a grant that was already spent or held may not go below zero
+    const balance = await calculateUserPoints(adjustment.user_id, householdId, connection);
+
+    if (balance.available_points - adjustment.points < 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_POINTS',
+          message: `Član ima na voljo le ${balance.available_points} točk`
+        }
+      });
+    }
+
+    const revertEntryId = await addLedgerEntry({
+      household_id: householdId,
+      user_id: adjustment.user_id,
+      entry_type: 'adjusted',
+      points: -adjustment.points,
+      description: reason || `Razveljavljeno: ${adjustment.description}`,
+      created_by_user_id: req.user.userId,
+      reverts_entry_id: adjustment.entry_id
+    }, connection);
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        entry_id: revertEntryId,
+        reverts_entry_id: adjustment.entry_id,
+        current_points: balance.current_points - adjustment.points,
+        message: 'Prilagoditev je bila razveljavljena'
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ADJUSTMENT_ALREADY_REVERTED',
+          message: 'Prilagoditev je že razveljavljena'
+        }
+      });
+    }
+    console.error('Revert point adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVERT_POINT_ADJUSTMENT_ERROR',
+        message: 'Napaka pri razveljavljanju prilagoditve'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/points/transfers - List Point Transfers
+// =============================================================================
+
+router.get('/:id/points/transfers', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { status, limit = '50', offset = '0' } = req.query;
+
+    // Members see transfers they sent or received, parents see all
+    const canReview = req.household.role === 'owner' || req.household.role === 'admin' ||
+      req.household.permissions.can_adjust_points;
+
+    const whereConditions = ['pt.household_id = ?'];
+    const whereParams = [householdId];
+
+    if (!canReview) {
+      whereConditions.push('(pt.from_user_id = ? OR pt.to_user_id = ?)');
+      whereParams.push(req.user.userId, req.user.userId);
+    }
+
+    if (status) {
+      whereConditions.push('pt.status = ?');
+      whereParams.push(status);
+    }
+
+    const transfers = await query(`
+      SELECT 
+        pt.transfer_id,
+        pt.from_user_id,
+        sender.first_name as from_first_name,
+        sender.last_name as from_last_name,
+        pt.to_user_id,
+        recipient.first_name as to_first_name,
+        recipient.last_name as to_last_name,
+        pt.points,
+        pt.message,
+        pt.status,
+        pt.reviewed_by_user_id,
+        pt.reviewed_at,
+        pt.review_note,
+        pt.created_at
+      FROM point_transfers pt
+      JOIN users sender ON pt.from_user_id = sender.user_id
+      JOIN users recipient ON pt.to_user_id = recipient.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY pt.created_at DESC, pt.transfer_id DESC
+      LIMIT ? OFFSET ?
+    `, [...whereParams, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      data: {
+        transfers
+      }
+    });
+
+  } catch (error) {
+    console.error('List point transfers error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LIST_POINT_TRANSFERS_ERROR',
+        message: 'Napaka pri pridobivanju prenosov točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/points/transfers - Transfer Points to a Member
+// =============================================================================
+
+router.post('/:id/points/transfers', requireHouseholdAccess, validate(householdSchemas.pointTransfer), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const toUserId = parseInt(req.body.to_user_id);
+    const points = parseInt(req.body.points);
+    const message = req.body.message || null;
+
+    if (toUserId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CANNOT_TRANSFER_TO_SELF',
+          message: 'Točk ne morete prenesti sebi'
+        }
+      });
+    }
+
+    const recipient = await queryOne(`
+      SELECT hm.membership_id, u.first_name, u.last_name
+      FROM household_members hm
+      JOIN users u ON hm.user_id = u.user_id
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND u.is_active = 1
+    `, [householdId, toUserId]);
+
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    const household = await queryOne(`
+      SELECT transfers_require_approval, transfer_daily_limit
+      FROM households
+      WHERE household_id = ?
+    `, [householdId]);
+
+    const isParent = req.household.role === 'owner' || req.household.role === 'admin';
+    const needsApproval = Boolean(household.transfers_require_approval) && !isParent;
+
+    connection = await beginTransaction();
+
+    // Lock the sender's balance; pending transfers have already been taken from it
+    const balance = await calculateUserPoints(req.user.userId, householdId, connection);
+
+    if (balance.available_points < points) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_POINTS',
+          message: `Na voljo imate le ${balance.available_points} točk`
+        }
+      });
+    }
+
+    // Daily limit counts today's transfers in the household's timezone
+    if (household.transfer_daily_limit > 0) {
+      const clock = await loadHouseholdClock(householdId);
+      const [[sentToday]] = await connection.execute(`
+        SELECT COALESCE(SUM(points), 0) as points
+        FROM point_transfers
+        WHERE household_id = ? AND from_user_id = ? AND created_at >= ?
+          AND status IN ('pending', 'completed')
+      `, [householdId, req.user.userId, clock.today_at]);
+      const remaining = household.transfer_daily_limit - Number(sentToday.points);
+
+      if (points > remaining) {
+        await rollbackTransaction(connection);
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'TRANSFER_DAILY_LIMIT_EXCEEDED',
+            message: `Danes lahko prenesete še največ ${Math.max(0, remaining)} točk`
+          }
+        });
+      }
+    }
+
+    // The sender gives away their oldest points, the recipient gets them with
+    // that age so passing points around does not keep them from expiring
+    const pointsDatedAt = await getOldestUnspentPointDate(req.user.userId, householdId, connection);
+
+    const [transferResult] = await connection.execute(`
+      INSERT INTO point_transfers (
+        household_id, from_user_id, to_user_id, points, message, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `, [householdId, req.user.userId, toUserId, points, message, needsApproval ? 'pending' : 'completed']);
+    const transferId = transferResult.insertId;
+
+    await addLedgerEntry({
+      household_id: householdId,
+      user_id: req.user.userId,
+      entry_type: 'transferred',
+      points: -points,
+      transfer_id: transferId,
+      description: `Prenos za ${recipient.first_name} ${recipient.last_name}`,
+      created_by_user_id: req.user.userId,
+      points_dated_at: pointsDatedAt
+    }, connection);
+
+    if (!needsApproval) {
+      await addLedgerEntry({
+        household_id: householdId,
+        user_id: toUserId,
+        entry_type: 'transferred',
+        points,
+        transfer_id: transferId,
+        description: `Prenos od ${req.user.first_name} ${req.user.last_name}`,
+        created_by_user_id: req.user.userId,
+        points_dated_at: pointsDatedAt
+      }, connection);
+    }
+
+    await commitTransaction(connection);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transfer: {
+          transfer_id: transferId,
+          to_user_id: toUserId,
+          points,
+          message,
+          status: needsApproval ? 'pending' : 'completed'
+        },
+        remaining_points: balance.available_points - points,
+        message: needsApproval
+          ? `Prenos ${points} točk čaka na odobritev staršev`
+          : `${recipient.first_name} ${recipient.last_name} je prejel/a ${points} točk`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Create point transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_POINT_TRANSFER_ERROR',
+        message: 'Napaka pri prenosu točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/points/transfers/:transferId/:decision - Review Transfer
+// =============================================================================
+
+router.post('/:id/points/transfers/:transferId/:decision(approve|reject)', requireHouseholdAccess, requirePermission('can_adjust_points'),
+  validate(householdSchemas.reviewPointTransfer), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const approve = req.params.decision === 'approve';
+
+    const transfer = await getTransfer(householdId, parseInt(req.params.transferId));
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSFER_NOT_FOUND',
+          message: 'Prenos ni najden'
+        }
+      });
+    }
+
+    if (transfer.from_user_id === req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'CANNOT_REVIEW_OWN_TRANSFER',
+          message: 'Lastnega prenosa ne morete odobriti ali zavrniti'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    const settled = await settleTransfer(
+      connection, transfer, approve ? 'completed' : 'rejected', req.user.userId, req.body.review_note || null
+    );
+
+    if (!settled) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TRANSFER_NOT_PENDING',
+          message: 'Prenos ne čaka več na odobritev'
+        }
+      });
+    }
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        transfer_id: transfer.transfer_id,
+        status: approve ? 'completed' : 'rejected',
+        message: approve ? 'Prenos točk je bil odobren' : 'Prenos točk je bil zavrnjen, točke so vrnjene pošiljatelju'
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Review point transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEW_POINT_TRANSFER_ERROR',
+        message: 'Napaka pri pregledu prenosa točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /households/:id/points/transfers/:transferId - Cancel Pending Transfer
+// =============================================================================
+
+router.delete('/:id/points/transfers/:transferId', requireHouseholdAccess, async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const transfer = await getTransfer(householdId, parseInt(req.params.transferId));
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSFER_NOT_FOUND',
+          message: 'Prenos ni najden'
+        }
+      });
+    }
+
+    if (transfer.from_user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Prekličete lahko le svoje prenose'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    const settled = await settleTransfer(connection, transfer, 'cancelled', req.user.userId);
+
+    if (!settled) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TRANSFER_NOT_PENDING',
+          message: 'Prenos ne čaka več na odobritev'
+        }
+      });
+    }
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        transfer_id: transfer.transfer_id,
+        message: 'Prenos točk je bil preklican'
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Cancel point transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CANCEL_POINT_TRANSFER_ERROR',
+        message: 'Napaka pri preklicu prenosa točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/payouts - List Allowance Payouts
+// =============================================================================
+
+router.get('/:id/payouts', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const { status, user_id, limit = '50', offset = '0' } = req.query;
+
+    // Members see their own payouts, parents see all
+    const canReview = req.household.role === 'owner' || req.household.role === 'admin' ||
+      req.household.permissions.can_adjust_points;
+
+    const whereConditions = ['ap.household_id = ?'];
+    const whereParams = [householdId];
+
+    if (!canReview) {
+      whereConditions.push('ap.user_id = ?');
+      whereParams.push(req.user.userId);
+    } else if (user_id) {
+      whereConditions.push('ap.user_id = ?');
+      whereParams.push(parseInt(user_id));
+    }
+
+    if (status) {
+      whereConditions.push('ap.status = ?');
+      whereParams.push(status);
+    }
+
+    const payouts = await query(`
+      SELECT 
+        ap.payout_id,
+        ap.user_id,
+        u.first_name,
+        u.last_name,
+        ap.points,
+        ap.amount,
+        ap.currency,
+        ap.note,
+        ap.status,
+        ap.reviewed_by_user_id,
+        reviewer.first_name as reviewed_by_first_name,
+        reviewer.last_name as reviewed_by_last_name,
+        ap.reviewed_at,
+        ap.review_note,
+        ap.created_at
+      FROM allowance_payouts ap
+      JOIN users u ON ap.user_id = u.user_id
+      LEFT JOIN users reviewer ON ap.reviewed_by_user_id = reviewer.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY ap.created_at DESC, ap.payout_id DESC
+      LIMIT ? OFFSET ?
+    `, [...whereParams, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts
+      }
+    });
+
+  } catch (error) {
+    console.error('List payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LIST_PAYOUTS_ERROR',
+        message: 'Napaka pri pridobivanju izplačil'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/payouts - Request Allowance Payout
+// =============================================================================
+
+router.post('/:id/payouts', requireHouseholdAccess, validate(householdSchemas.payoutRequest), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const points = parseInt(req.body.points);
+    const note = req.body.note || null;
+
+    const household = await queryOne(`
+      SELECT allowance_rate, allowance_currency
+      FROM households
+      WHERE household_id = ?
+    `, [householdId]);
+
+    const rate = Number(household.allowance_rate);
+
+    if (rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ALLOWANCE_DISABLED',
+          message: 'Izplačila točk v tem domu niso omogočena'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    // Lock the member's balance; points of pending payouts are already held
+    const balance = await calculateUserPoints(req.user.userId, householdId, connection);
+
+    if (balance.available_points < points) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_POINTS',
+          message: `Na voljo imate le ${balance.available_points} točk`
+        }
+      });
+    }
+
+    // The amount is fixed at the rate in effect when the payout is requested
+    const amount = Math.round(points * rate * 100) / 100;
+
+    const [payoutResult] = await connection.execute(`
+      INSERT INTO allowance_payouts (
+        household_id, user_id, points, amount, currency, note, status, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW())
+    `, [householdId, req.user.userId, points, amount, household.allowance_currency, note]);
+
+    await commitTransaction(connection);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payout: {
+          payout_id: payoutResult.insertId,
+          points,
+          amount,
+          currency: household.allowance_currency,
+          note,
+          status: 'pending'
+        },
+        remaining_points: balance.available_points - points,
+        message: `Zahteva za izplačilo ${amount.toFixed(2)} ${household.allowance_currency} čaka na starše`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Request payout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REQUEST_PAYOUT_ERROR',
+        message: 'Napaka pri zahtevi za izplačilo'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /households/:id/payouts/:payoutId/:decision - Mark Paid or Reject
+// =============================================================================
+
+router.post('/:id/payouts/:payoutId/:decision(pay|reject)', requireHouseholdAccess, requirePermission('can_adjust_points'),
+  validate(householdSchemas.reviewPayout), async (req, res) => {
+  let connection;
+
+  try {
+    const householdId = req.household.household_id;
+    const pay = req.params.decision === 'pay';
+    const reviewNote = req.body.review_note || null;
+
+    const payout = await getPayout(householdId, parseInt(req.params.payoutId));
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_NOT_FOUND',
+          message: 'Izplačilo ni najdeno'
+        }
+      });
+    }
+
+    if (payout.user_id === req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'CANNOT_REVIEW_OWN_PAYOUT',
+          message: 'Lastnega izplačila ne morete potrditi ali zavrniti'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    const [result] = await connection.execute(`
+      UPDATE allowance_payouts
+      SET status = ?, reviewed_by_user_id = ?, reviewed_at = NOW(), review_note = ?
+      WHERE payout_id = ? AND status = 'pending'
+    `, [pay ? 'paid' : 'rejected', req.user.userId, reviewNote, payout.payout_id]);
+
+    if (result.affectedRows === 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_NOT_PENDING',
+          message: 'Izplačilo ne čaka več na obdelavo'
+        }
+      });
+    }
+
+    // The held points leave the balance once the money is handed over
+    if (pay) {
+      await addLedgerEntry({
+        household_id: householdId,
+        user_id: payout.user_id,
+        entry_type: 'paid_out',
+        points: -payout.points,
+        payout_id: payout.payout_id,
+        description: `Izplačilo ${Number(payout.amount).toFixed(2)} ${payout.currency}`,
+        created_by_user_id: req.user.userId
+      }, connection);
+    }
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        payout_id: payout.payout_id,
+        status: pay ? 'paid' : 'rejected',
+        message: pay ? 'Izplačilo je označeno kot plačano' : 'Izplačilo je bilo zavrnjeno, točke so spet na voljo'
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+    console.error('Review payout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEW_PAYOUT_ERROR',
+        message: 'Napaka pri obdelavi izplačila'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /households/:id/payouts/:payoutId - Cancel Pending Payout
+// =============================================================================
+
+router.delete('/:id/payouts/:payoutId', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const payout = await getPayout(householdId, parseInt(req.params.payoutId));
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_NOT_FOUND',
+          message: 'Izplačilo ni najdeno'
+        }
+      });
+    }
+
+    if (payout.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Prekličete lahko le svoja izplačila'
+        }
+      });
+    }
+
+    const result = await query(`
+      UPDATE allowance_payouts
+      SET status = 'cancelled', reviewed_by_user_id = ?, reviewed_at = NOW()
+      WHERE payout_id = ? AND status = 'pending'
+    `, [req.user.userId, payout.payout_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PAYOUT_NOT_PENDING',
+          message: 'Izplačilo ne čaka več na obdelavo'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payout_id: payout.payout_id,
+        message: 'Zahteva za izplačilo je bila preklicana'
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel payout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CANCEL_PAYOUT_ERROR',
+        message: 'Napaka pri preklicu izplačila'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /households/:id/members/:userId/statement - Monthly Points Statement
+// =============================================================================
+
+router.get('/:id/members/:userId/statement', requireHouseholdAccess, async (req, res) => {
+  try {
+    const householdId = req.household.household_id;
+    const userId = parseInt(req.params.userId);
+
+    const canViewOthers = req.household.role === 'owner' || req.household.role === 'admin' ||
+      req.household.permissions.can_adjust_points;
+
+    if (userId !== req.user.userId && !canViewOthers) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Ogledate si lahko le svoj izpisek'
+        }
+      });
+    }
+
+    const member = await queryOne(`
+      SELECT u.user_id, u.first_name, u.last_name
+      FROM household_members hm
+      JOIN users u ON hm.user_id = u.user_id
+      WHERE hm.household_id = ? AND hm.user_id = ?
+    `, [householdId, userId]);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Član ni najden'
+        }
+      });
+    }
+
+    // Month (YYYY-MM) in the household's timezone, the current one by default
+    const clock = await loadHouseholdClock(householdId);
+    const month = req.query.month
+      ? moment(req.query.month, 'YYYY-MM', true)
+      : moment(clock.month_start_date, 'YYYY-MM-DD');
+
+    if (!month.isValid()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MONTH',
+          message: 'Mesec mora biti v obliki YYYY-MM'
+        }
+      });
+    }
+
+    const monthStart = startOfLocalDay(month.format('YYYY-MM-01'), clock.timezone);
+    const monthEnd = startOfLocalDay(month.clone().add(1, 'month').format('YYYY-MM-01'), clock.timezone);
+
+    const totals = await queryOne(`
+      SELECT 
+        COALESCE(SUM(CASE WHEN created_at < ? THEN points ELSE 0 END), 0) as opening_balance,
+        COALESCE(SUM(CASE WHEN created_at < ? THEN points ELSE 0 END), 0) as closing_balance,
+        COALESCE(SUM(CASE WHEN created_at >= ? AND entry_type = 'earned' THEN points ELSE 0 END), 0) as earned,
+        COALESCE(-SUM(CASE WHEN created_at >= ? AND entry_type = 'spent' THEN points ELSE 0 END), 0) as spent,
+        COALESCE(-SUM(CASE WHEN created_at >= ? AND entry_type = 'paid_out' THEN points ELSE 0 END), 0) as paid_out,
+        COALESCE(SUM(CASE WHEN created_at >= ? AND entry_type = 'refunded' THEN points ELSE 0 END), 0) as refunded,
+        COALESCE(SUM(CASE WHEN created_at >= ? AND entry_type = 'adjusted' THEN points ELSE 0 END), 0) as adjusted,
+        COALESCE(SUM(CASE WHEN created_at >= ? AND entry_type = 'transferred' THEN points ELSE 0 END), 0) as transferred,
+        COALESCE(-SUM(CASE WHEN created_at >= ? AND entry_type = 'expired' THEN points ELSE 0 END), 0) as expired
+      FROM points_ledger
+      WHERE user_id = ? AND household_id = ? AND created_at < ?
+    `, [
+      monthStart, monthEnd,
+      monthStart, monthStart, monthStart, monthStart, monthStart, monthStart, monthStart,
+      userId, householdId, monthEnd
+    ]);
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = Number(totals[key]);
+    });
+
+    // Payouts handed over during the month
+    const payouts = await query(`
+      SELECT 
+        ap.payout_id,
+        ap.points,
+        ap.amount,
+        ap.currency,
+        ap.note,
+        ap.created_at,
+        ap.reviewed_at as paid_at,
+        reviewer.first_name as paid_by_first_name,
+        reviewer.last_name as paid_by_last_name
+      FROM allowance_payouts ap
+      LEFT JOIN users reviewer ON ap.reviewed_by_user_id = reviewer.user_id
+      WHERE ap.household_id = ? AND ap.user_id = ? AND ap.status = 'paid'
+        AND ap.reviewed_at >= ? AND ap.reviewed_at < ?
+      ORDER BY ap.reviewed_at ASC
+    `, [householdId, userId, monthStart, monthEnd]);
+
+    const paidOutAmounts = {};
+    payouts.forEach(payout => {
+      paidOutAmounts[payout.currency] = Math.round(
+        ((paidOutAmounts[payout.currency] || 0) + Number(payout.amount)) * 100
+      ) / 100;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        member,
+        month: month.format('YYYY-MM'),
+        ...totals,
+        paid_out_amounts: paidOutAmounts,
+        payouts
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points statement error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_POINTS_STATEMENT_ERROR',
+        message: 'Napaka pri pridobivanju izpiska točk'
       }
     });
   }
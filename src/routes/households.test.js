@@ -0,0 +1,343 @@
+// Routes run against an in-memory stand-in for the database pool: each
+// statement is answered by the first handler whose pattern matches it
+const mockDb = {};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({
+    execute: async (sql, params) => mockDb.execute(sql, params),
+    getConnection: async () => mockDb.connect()
+  })
+}));
+
+const express = require('express');
+const householdRoutes = require('./households');
+
+let state;
+let server;
+let baseUrl;
+
+function resetState(household = {}) {
+  state = {
+    household: {
+      household_id: 1,
+      name: 'Novakovi',
+      timezone: 'Europe/Ljubljana',
+      week_start: 1,
+      transfers_require_approval: 1,
+      transfer_daily_limit: 0,
+      allowance_rate: '0.10',
+      allowance_currency: 'EUR',
+      ...household
+    },
+    members: [
+      { user_id: 1, first_name: 'Maja', last_name: 'Novak', role: 'owner' },
+      { user_id: 2, first_name: 'Luka', last_name: 'Novak', role: 'member' },
+      { user_id: 3, first_name: 'Ana', last_name: 'Novak', role: 'member' }
+    ],
+    ledger: [],
+    transfers: [],
+    payouts: []
+  };
+}
+
+function earn(userId, points, createdAt) {
+  state.ledger.push({
+    entry_id: state.ledger.length + 1,
+    household_id: 1,
+    user_id: userId,
+    entry_type: 'earned',
+    points,
+    points_dated_at: null,
+    created_at: new Date(createdAt)
+  });
+}
+
+const member = userId => state.members.find(m => m.user_id === Number(userId));
+const entriesOf = userId => state.ledger.filter(entry => entry.user_id === userId);
+const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+const HANDLERS = [
+  [/hm\.can_adjust_points,\s+h\.household_id/, ([householdId, userId]) => {
+    const m = Number(householdId) === 1 ? member(userId) : null;
+    return m ? [{
+      membership_id: m.user_id,
+      role: m.role,
+      can_create_tasks: 0,
+      can_assign_tasks: 0,
+      can_create_rewards: 0,
+      can_adjust_points: 0,
+      household_id: 1,
+      household_name: state.household.name
+    }] : [];
+  }],
+  [/SELECT membership_id\s+FROM household_members[\s\S]*FOR UPDATE/, ([, userId]) => [{ membership_id: userId }]],
+  [/as current_points/, ([userId]) => {
+    const entries = entriesOf(userId);
+    return [{
+      total_earned: sum(entries.filter(e => e.entry_type === 'earned'), e => e.points),
+      total_spent: 0,
+      current_points: sum(entries, e => e.points),
+      reserved_points: sum(state.payouts.filter(p => p.user_id === userId && p.status === 'pending'), p => p.points),
+      locked_points: 0
+    }];
+  }],
+  [/as dated_at\s+FROM points_ledger\s+WHERE user_id = \?/, ([userId]) => entriesOf(userId)
+    .filter(e => e.points > 0)
+    .map(e => ({ points: e.points, dated_at: e.points_dated_at || e.created_at }))
+    .sort((a, b) => a.dated_at - b.dated_at)],
+  [/as consumed_points/, ([userId]) => [{
+    consumed_points: -sum(entriesOf(userId).filter(e => e.points < 0), e => e.points)
+  }]],
+  [/INSERT INTO points_ledger/, (params, sql) => {
+    const columns = sql.match(/INSERT INTO points_ledger \(([^)]*)\)/)[1]
+      .split(',').map(column => column.trim()).filter(column => column !== 'created_at');
+    const entry = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+    entry.entry_id = state.ledger.length + 1;
+    entry.created_at = new Date();
+    state.ledger.push(entry);
+    return { insertId: entry.entry_id, affectedRows: 1 };
+  }],
+  [/SELECT timezone, week_start FROM households/, () => [state.household]],
+  [/SELECT transfers_require_approval, transfer_daily_limit/, () => [state.household]],
+  [/SELECT hm\.membership_id, u\.first_name, u\.last_name/, ([, userId]) => (member(userId) ? [member(userId)] : [])],
+  [/FROM point_transfers\s+WHERE household_id = \? AND from_user_id = \?/, ([, userId]) => [{
+    points: sum(state.transfers.filter(t => t.from_user_id === userId && t.status !== 'rejected' && t.status !== 'cancelled'), t => t.points)
+  }]],
+  [/INSERT INTO point_transfers/, ([householdId, fromUserId, toUserId, points, message, status]) => {
+    const transfer = { transfer_id: state.transfers.length + 1, household_id: householdId, from_user_id: fromUserId, to_user_id: toUserId, points, message, status };
+    state.transfers.push(transfer);
+    return { insertId: transfer.transfer_id, affectedRows: 1 };
+  }],
+  [/FROM point_transfers pt\s+JOIN users sender/, ([transferId]) => {
+    const transfer = state.transfers.find(t => t.transfer_id === transferId);
+    if (!transfer) return [];
+    const sender = member(transfer.from_user_id);
+    return [{ ...transfer, from_first_name: sender.first_name, from_last_name: sender.last_name }];
+  }],
+  [/UPDATE point_transfers/, ([status, , , transferId]) => {
+    const transfer = state.transfers.find(t => t.transfer_id === transferId && t.status === 'pending');
+    if (transfer) transfer.status = status;
+    return { affectedRows: transfer ? 1 : 0 };
+  }],
+  [/WHERE entry_type = 'transferred' AND transfer_id = \? AND user_id = \?/, ([transferId, userId]) => state.ledger
+    .filter(e => e.entry_type === 'transferred' && e.transfer_id === transferId && e.user_id === userId)
+    .map(e => ({ dated_at: e.points_dated_at || e.created_at }))],
+  [/SELECT allowance_rate, allowance_currency/, () => [state.household]],
+  [/INSERT INTO allowance_payouts/, ([householdId, userId, points, amount, currency, note]) => {
+    const payout = { payout_id: state.payouts.length + 1, household_id: householdId, user_id: userId, points, amount, currency, note, status: 'pending' };
+    state.payouts.push(payout);
+    return { insertId: payout.payout_id, affectedRows: 1 };
+  }],
+  [/FROM allowance_payouts\s+WHERE payout_id = \? AND household_id = \?/, ([payoutId]) => state.payouts.filter(p => p.payout_id === payoutId)],
+  [/UPDATE allowance_payouts/, (params, sql) => {
+    const cancel = sql.includes("status = 'cancelled'");
+    const payoutId = params[params.length - 1];
+    const payout = state.payouts.find(p => p.payout_id === payoutId && p.status === 'pending');
+    if (payout) payout.status = cancel ? 'cancelled' : params[0];
+    return { affectedRows: payout ? 1 : 0 };
+  }]
+];
+
+function execute(sql, params = []) {
+  const handler = HANDLERS.find(([pattern]) => pattern.test(sql));
+  if (!handler) {
+    throw new Error(`Unexpected statement: ${sql}`);
+  }
+  return [handler[1](params, sql)];
+}
+
+mockDb.execute = execute;
+
+// A transaction works on the shared state and restores it on rollback
+mockDb.connect = () => {
+  let snapshot;
+  return {
+    execute: async (sql, params) => execute(sql, params),
+    beginTransaction: async () => { snapshot = structuredClone(state); },
+    commit: async () => {},
+    rollback: async () => { state = snapshot; },
+    release: () => {}
+  };
+};
+
+async function request(method, path, userId, body) {
+  const res = await fetch(`${baseUrl}/households/1${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-user-id': String(userId) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+beforeAll(done => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const user = member(req.headers['x-user-id']);
+    req.user = { ...user, userId: user.user_id };
+    req.userId = user.user_id;
+    next();
+  });
+  app.use('/households', householdRoutes);
+
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('point transfers', () => {
+  test('takes the points from the sender while the transfer waits for approval', async () => {
+    earn(2, 50, '2024-01-05');
+
+    const sent = await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 30 });
+    expect(sent.status).toBe(201);
+    expect(sent.body.data.transfer.status).toBe('pending');
+    expect(sent.body.data.remaining_points).toBe(20);
+    expect(sum(entriesOf(2), e => e.points)).toBe(20);
+    expect(entriesOf(3)).toEqual([]);
+
+    const tooMuch = await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 30 });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.error.code).toBe('INSUFFICIENT_POINTS');
+  });
+
+  test('credits the recipient right away when no approval is needed', async () => {
+    earn(1, 50, '2024-01-05');
+
+    const sent = await request('POST', '/points/transfers', 1, { to_user_id: 3, points: 30 });
+    expect(sent.status).toBe(201);
+    expect(sent.body.data.transfer.status).toBe('completed');
+    expect(sum(entriesOf(3), e => e.points)).toBe(30);
+  });
+
+  test('credits the recipient once approved, and only once', async () => {
+    earn(2, 50, '2024-01-05');
+    await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 30 });
+
+    const approved = await request('POST', '/points/transfers/1/approve', 1, {});
+    expect(approved.status).toBe(200);
+    expect(state.transfers[0].status).toBe('completed');
+    expect(sum(entriesOf(3), e => e.points)).toBe(30);
+
+    const again = await request('POST', '/points/transfers/1/reject', 1, {});
+    expect(again.status).toBe(400);
+    expect(again.body.error.code).toBe('TRANSFER_NOT_PENDING');
+    expect(sum(entriesOf(2), e => e.points)).toBe(20);
+  });
+
+  test('refunds the sender when rejected or cancelled', async () => {
+    earn(2, 50, '2024-01-05');
+    await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 10 });
+    await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 20 });
+
+    expect((await request('POST', '/points/transfers/1/reject', 1, { review_note: 'Ne' })).status).toBe(200);
+    expect((await request('DELETE', '/points/transfers/2', 3)).status).toBe(403);
+    expect((await request('DELETE', '/points/transfers/2', 2)).status).toBe(200);
+
+    expect(state.transfers.map(t => t.status)).toEqual(['rejected', 'cancelled']);
+    expect(sum(entriesOf(2), e => e.points)).toBe(50);
+    expect(entriesOf(3)).toEqual([]);
+  });
+
+  test('requires the permission to review transfers', async () => {
+    earn(2, 50, '2024-01-05');
+    await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 10 });
+
+    const review = await request('POST', '/points/transfers/1/approve', 3, {});
+    expect(review.status).toBe(403);
+    expect(state.transfers[0].status).toBe('pending');
+  });
+
+  test('limits the points a member sends per day', async () => {
+    resetState({ transfer_daily_limit: 40 });
+    earn(2, 100, '2024-01-05');
+
+    expect((await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 30 })).status).toBe(201);
+    const over = await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 20 });
+    expect(over.status).toBe(400);
+    expect(over.body.error.code).toBe('TRANSFER_DAILY_LIMIT_EXCEEDED');
+    expect(sum(entriesOf(2), e => e.points)).toBe(70);
+  });
+
+  test('keeps the age of the transferred points', async () => {
+    earn(2, 20, '2024-01-05');
+    earn(2, 30, '2024-03-05');
+    await request('POST', '/points/transfers', 2, { to_user_id: 3, points: 10 });
+    await request('POST', '/points/transfers/1/approve', 1, {});
+
+    // Sent back and refunded, the points still count from January
+    await request('POST', '/points/transfers', 3, { to_user_id: 2, points: 10 });
+    await request('POST', '/points/transfers/2/reject', 1, {});
+
+    const credits = state.ledger.filter(e => e.points > 0 && e.entry_type !== 'earned');
+    expect(credits.map(e => [e.user_id, e.entry_type, e.points_dated_at.toISOString()])).toEqual([
+      [3, 'transferred', '2024-01-05T00:00:00.000Z'],
+      [3, 'refunded', '2024-01-05T00:00:00.000Z']
+    ]);
+  });
+});
+
+describe('allowance payouts', () => {
+  test('holds the points of a pending payout', async () => {
+    earn(2, 50, '2024-01-05');
+
+    const requested = await request('POST', '/payouts', 2, { points: 30 });
+    expect(requested.status).toBe(201);
+    expect(requested.body.data.payout).toMatchObject({ points: 30, amount: 3, currency: 'EUR', status: 'pending' });
+    expect(requested.body.data.remaining_points).toBe(20);
+    expect(entriesOf(2)).toHaveLength(1);
+
+    const tooMuch = await request('POST', '/payouts', 2, { points: 30 });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.error.code).toBe('INSUFFICIENT_POINTS');
+  });
+
+  test('rejects requests when allowance mode is off', async () => {
+    resetState({ allowance_rate: '0.00' });
+    earn(2, 50, '2024-01-05');
+
+    const requested = await request('POST', '/payouts', 2, { points: 30 });
+    expect(requested.status).toBe(400);
+    expect(requested.body.error.code).toBe('ALLOWANCE_DISABLED');
+  });
+
+  test('records the paid points in the ledger once paid', async () => {
+    earn(2, 50, '2024-01-05');
+    await request('POST', '/payouts', 2, { points: 30 });
+
+    expect((await request('POST', '/payouts/1/pay', 1, {})).status).toBe(200);
+    expect(entriesOf(2).map(e => [e.entry_type, e.points, e.payout_id])).toEqual([
+      ['earned', 50, undefined],
+      ['paid_out', -30, 1]
+    ]);
+
+    const again = await request('POST', '/payouts/1/pay', 1, {});
+    expect(again.status).toBe(400);
+    expect(again.body.error.code).toBe('PAYOUT_NOT_PENDING');
+    expect(entriesOf(2)).toHaveLength(2);
+  });
+
+  test('releases the held points when rejected or cancelled', async () => {
+    earn(2, 50, '2024-01-05');
+    await request('POST', '/payouts', 2, { points: 30 });
+    await request('POST', '/payouts', 2, { points: 20 });
+
+    expect((await request('POST', '/payouts/1/reject', 2, {})).status).toBe(403);
+    expect((await request('POST', '/payouts/1/reject', 1, {})).status).toBe(200);
+    expect((await request('DELETE', '/payouts/2', 3)).status).toBe(403);
+    expect((await request('DELETE', '/payouts/2', 2)).status).toBe(200);
+
+    expect(state.payouts.map(p => p.status)).toEqual(['rejected', 'cancelled']);
+    expect(entriesOf(2)).toHaveLength(1);
+    expect((await request('POST', '/payouts', 2, { points: 50 })).status).toBe(201);
+  });
+});
@@ -3,12 +3,370 @@
 // =============================================================================
 
 const express = require('express');
-const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction } = require('../models/database');
+const moment = require('moment');
+const { query, queryOne, beginTransaction, commitTransaction, rollbackTransaction, loadHouseholdClock, addLedgerEntry, lockMemberPoints, calculateUserPoints, getOldestUnspentPointDate, reservedPointsSql, lockedPointsSql } = require('../models/database');
 const { requireHouseholdAccess, requirePermission } = require('../middleware/auth');
 const { validate, rewardSchemas } = require('../middleware/validation');
+const { getGoalProgress } = require('../utils/points');
+const { getHouseholdClock } = require('../utils/dates');
+const { uploadSingle, processAndSaveImage, deleteImageFiles } = require('../utils/upload');
+
+// Columns GET /rewards can sort by
+const REWARD_SORT_COLUMNS = {
+  cost_points: 'r.cost_points',
+  title: 'r.title',
+  created_at: 'r.created_at',
+  category: 'rcat.name',
+  has_image: '(r.image_filename IS NOT NULL)'
+};
 
 const router = express.Router();
 
+/**
+ * Get a member's role and reward permission in a household
+ */
+async function getRewardMembership(householdId, userId) {
+  return queryOne(`
+    SELECT 
+      hm.membership_id,
+      hm.role,
+      hm.can_create_rewards
+    FROM household_members hm
+    WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+  `, [householdId, userId]);
+}
+
+/**
+ * Whether a reward category is active in a household
+ */
+async function isRewardCategory(householdId, categoryId) {
+  const category = await queryOne(`
+    SELECT category_id FROM reward_categories 
+    WHERE category_id = ? AND household_id = ? AND is_active = 1
+  `, [categoryId, householdId]);
+
+  return Boolean(category);
+}
+
+/**
+ * Get a reward proposal with its proposer's name
+ */
+async function getProposal(proposalId) {
+  return queryOne(`
+    SELECT 
+      rp.*,
+      u.first_name as proposed_by_first_name,
+      u.last_name as proposed_by_last_name
+    FROM reward_proposals rp
+    JOIN users u ON rp.proposed_by_user_id = u.user_id
+    WHERE rp.proposal_id = ?
+  `, [proposalId]);
+}
+
+/**
+ * Put one unit of a reward back in stock within a transaction
+ */
+async function restockReward(connection, rewardId) {
+  await connection.execute(`
+    UPDATE rewards 
+    SET 
+      quantity = quantity + 1,
+      updated_at = NOW()
+    WHERE reward_id = ?
+  `, [rewardId]);
+}
+
+/**
+ * Reopen the savings goal a released claim completed, so its points are
+ * locked toward the reward again. A goal started since then absorbs them.
+ */
+async function reopenSavingsGoal(connection, claimId) {
+  const [[goal]] = await connection.execute(`
+    SELECT sg.goal_id, sg.user_id, sg.reward_id, sg.locked_points, r.cost_points, r.is_active
+    FROM savings_goals sg
+    JOIN rewards r ON sg.reward_id = r.reward_id
+    WHERE sg.claim_id = ? AND sg.status = 'completed'
+    FOR UPDATE
+  `, [claimId]);
+
+  if (!goal) {
+    return;
+  }
+
+  if (!goal.is_active) {
+    await connection.execute(`
+      UPDATE savings_goals
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE goal_id = ?
+    `, [goal.goal_id]);
+    return;
+  }
+
+  const [[activeGoal]] = await connection.execute(`
+    SELECT goal_id
+    FROM savings_goals
+    WHERE reward_id = ? AND user_id = ? AND status = 'active'
+    FOR UPDATE
+  `, [goal.reward_id, goal.user_id]);
+
+  if (activeGoal) {
+    await connection.execute(`
+      UPDATE savings_goals
+      SET locked_points = LEAST(locked_points + ?, ?), updated_at = NOW()
+      WHERE goal_id = ?
+    `, [goal.locked_points, goal.cost_points, activeGoal.goal_id]);
+
+    await connection.execute(`
+      UPDATE savings_goals
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE goal_id = ?
+    `, [goal.goal_id]);
+    return;
+  }
+
+  await connection.execute(`
+    UPDATE savings_goals
+    SET status = 'active', claim_id = NULL, completed_at = NULL, updated_at = NOW()
+    WHERE goal_id = ?
+  `, [goal.goal_id]);
+}
+
+/**
+ * Whether a reward's window is open on a local date (YYYY-MM-DD), with the
+ * next date it opens; next_available_date is null once the window has closed
+ * for good. Window dates are selected as YYYY-MM-DD strings.
+ */
+function getRewardWindow(reward, today) {
+  const weekdays = reward.available_weekdays ? reward.available_weekdays.split(',').map(Number) : null;
+  let date = reward.available_from && reward.available_from > today ? reward.available_from : today;
+
+  if (weekdays) {
+    const day = moment(date, 'YYYY-MM-DD');
+    while (!weekdays.includes(day.isoWeekday())) {
+      day.add(1, 'day');
+    }
+    date = day.format('YYYY-MM-DD');
+  }
+
+  if (reward.available_until && date > reward.available_until) {
+    return { is_in_window: false, next_available_date: null };
+  }
+
+  return {
+    is_in_window: date === today,
+    next_available_date: date === today ? null : date
+  };
+}
+
+/**
+ * Build a derived table of each household's local date and ISO weekday,
+ * joinable on household_id, for comparing against reward windows. Returns
+ * the SQL with its parameters and the local dates by household id.
+ */
+async function getLocalDays(householdIds) {
+  const localDays = { sql: 'SELECT NULL as household_id, NULL as today, NULL as weekday FROM DUAL WHERE 1 = 0', params: [], dates: {} };
+
+  if (householdIds.length === 0) {
+    return localDays;
+  }
+
+  const households = await query(`
+    SELECT household_id, timezone, week_start
+    FROM households
+    WHERE household_id IN (${householdIds.map(() => '?').join(', ')})
+  `, householdIds);
+
+  localDays.sql = households.map(() => 'SELECT ? as household_id, ? as today, ? as weekday').join(' UNION ALL ');
+  households.forEach(household => {
+    const today = getHouseholdClock(household).today;
+    localDays.params.push(household.household_id, today, moment(today, 'YYYY-MM-DD').isoWeekday());
+    localDays.dates[household.household_id] = today;
+  });
+
+  return localDays;
+}
+
+/**
+ * Find the rewards a member cannot claim right now because of the reward's
+ * limits and cooldowns or the household's daily spending cap. Returns a map
+ * of reward id to { code, message, next_eligible_at }; when several limits
+ * apply, the one lasting longest is reported. next_eligible_at is null when
+ * the reward costs more than the daily cap allows at all. Pass the
+ * transaction connection to read within a transaction.
+ */
+async function getClaimBlocks(rewards, userId, connection = null) {
+  const run = async (sql, params) => connection
+    ? (await connection.execute(sql, params))[0]
+    : query(sql, params);
+
+  const blocks = {};
+  const individual = rewards.filter(reward => reward.reward_type === 'individual');
+
+  if (individual.length === 0) {
+    return blocks;
+  }
+
+  const now = new Date();
+  const rewardIds = individual.map(reward => reward.reward_id);
+  const placeholders = rewardIds.map(() => '?').join(', ');
+  const householdIds = [...new Set(individual.map(reward => reward.household_id))];
+
+  // Member's own claims, as far back as the longest limit window or cooldown reaches
+  const lookbackHours = Math.max(...individual.map(reward => Math.max(
+    reward.member_limit_count > 0 ? reward.member_limit_days * 24 : 0,
+    reward.member_cooldown_hours
+  )));
+  const memberClaims = lookbackHours > 0 ? await run(`
+    SELECT reward_id, claimed_at
+    FROM reward_claims
+    WHERE claimed_by = ? AND reward_id IN (${placeholders})
+      AND status <> 'cancelled' AND claimed_at >= ?
+    ORDER BY claimed_at ASC
+  `, [userId, ...rewardIds, new Date(now.getTime() - lookbackHours * 3600000)]) : [];
+
+  const householdLastClaims = await run(`
+    SELECT reward_id, MAX(claimed_at) as last_claimed_at
+    FROM reward_claims
+    WHERE reward_id IN (${placeholders}) AND status <> 'cancelled'
+    GROUP BY reward_id
+  `, rewardIds);
+
+  // Points the member already spent on claims today, per household
+  const dailyCaps = {};
+  for (const householdId of householdIds) {
+    const [household] = await run(`
+      SELECT claim_daily_points_cap, timezone, week_start
+      FROM households
+      WHERE household_id = ?
+    `, [householdId]);
+
+    if (!household || household.claim_daily_points_cap <= 0) {
+      continue;
+    }
+
+    const clock = getHouseholdClock(household);
+    const [spent] = await run(`
+      SELECT COALESCE(SUM(rc.points_spent), 0) as points
+      FROM reward_claims rc
+      JOIN rewards r ON rc.reward_id = r.reward_id
+      WHERE rc.claimed_by = ? AND r.household_id = ? AND r.reward_type = 'individual'
+        AND rc.status <> 'cancelled' AND rc.claimed_at >= ?
+    `, [userId, householdId, clock.today_at]);
+
+    dailyCaps[householdId] = {
+      cap: household.claim_daily_points_cap,
+      spent: Number(spent.points),
+      tomorrow_at: clock.daysAgoAt(-1)
+    };
+  }
+
+  const hoursAfter = (date, hours) => new Date(new Date(date).getTime() + hours * 3600000);
+
+  individual.forEach(reward => {
+    const candidates = [];
+    const claims = memberClaims.filter(claim => claim.reward_id === reward.reward_id);
+    const lastClaim = claims[claims.length - 1];
+
+    if (reward.member_cooldown_hours > 0 && lastClaim) {
+      const until = hoursAfter(lastClaim.claimed_at, reward.member_cooldown_hours);
+      if (until > now) {
+        candidates.push({
+          code: 'MEMBER_COOLDOWN',
+          message: 'To nagrado ste pred kratkim že uveljavili',
+          next_eligible_at: until
+        });
+      }
+    }
+
+    const householdLast = householdLastClaims.find(claim => claim.reward_id === reward.reward_id);
+    if (reward.household_cooldown_hours > 0 && householdLast) {
+      const until = hoursAfter(householdLast.last_claimed_at, reward.household_cooldown_hours);
+      if (until > now) {
+        candidates.push({
+          code: 'HOUSEHOLD_COOLDOWN',
+          message: 'To nagrado je v domu pred kratkim že nekdo uveljavil',
+          next_eligible_at: until
+        });
+      }
+    }
+
+    if (reward.member_limit_count > 0) {
+      const windowHours = reward.member_limit_days * 24;
+      const inWindow = claims.filter(claim => hoursAfter(claim.claimed_at, windowHours) > now);
+
+      // Eligible again once enough of the oldest claims leave the window
+      if (inWindow.length >= reward.member_limit_count) {
+        candidates.push({
+          code: 'CLAIM_LIMIT_REACHED',
+          message: `To nagrado lahko uveljavite največ ${reward.member_limit_count}-krat v ${reward.member_limit_days} dneh`,
+          next_eligible_at: hoursAfter(inWindow[inWindow.length - reward.member_limit_count].claimed_at, windowHours)
+        });
+      }
+    }
+
+    const daily = dailyCaps[reward.household_id];
+    if (daily && daily.spent + reward.cost_points > daily.cap) {
+      candidates.push({
+        code: 'DAILY_SPEND_CAP_REACHED',
+        message: `Na dan lahko za nagrade porabite največ ${daily.cap} točk`,
+        next_eligible_at: reward.cost_points <= daily.cap ? daily.tomorrow_at : null
+      });
+    }
+
+    if (candidates.length > 0) {
+      blocks[reward.reward_id] = candidates.reduce((latest, candidate) => {
+        if (latest.next_eligible_at === null) return latest;
+        if (candidate.next_eligible_at === null) return candidate;
+        return candidate.next_eligible_at > latest.next_eligible_at ? candidate : latest;
+      });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Refund contributions to a group reward within a transaction: the ones
+ * still funding it, or with a claim id the ones used for that claim.
+ * Refunded points keep the age recorded on the contribution's debit.
+ * Returns the number of points refunded.
+ */
+async function refundContributions(connection, reward, claimId, createdByUserId) {
+  const [contributions] = await connection.execute(`
+    SELECT rc.contribution_id, rc.user_id, rc.points,
+      COALESCE(pl.points_dated_at, pl.created_at) as points_dated_at
+    FROM reward_contributions rc
+    LEFT JOIN points_ledger pl ON pl.contribution_id = rc.contribution_id AND pl.entry_type = 'spent'
+    WHERE rc.reward_id = ? AND ${claimId ? "rc.claim_id = ? AND rc.status = 'claimed'" : "rc.status = 'active'"}
+    FOR UPDATE
+  `, claimId ? [reward.reward_id, claimId] : [reward.reward_id]);
+
+  let refundedPoints = 0;
+
+  for (const contribution of contributions) {
+    await connection.execute(`
+      UPDATE reward_contributions
+      SET status = 'refunded', refunded_at = NOW()
+      WHERE contribution_id = ?
+    `, [contribution.contribution_id]);
+
+    await addLedgerEntry({
+      household_id: reward.household_id,
+      user_id: contribution.user_id,
+      entry_type: 'refunded',
+      points: contribution.points,
+      contribution_id: contribution.contribution_id,
+      description: `Vračilo prispevka za nagrado "${reward.title}"`,
+      created_by_user_id: createdByUserId,
+      points_dated_at: contribution.points_dated_at
+    }, connection);
+
+    refundedPoints += contribution.points;
+  }
+
+  return refundedPoints;
+}
+
 // =============================================================================
 // GET /rewards - Get Rewards (with filtering)
 // =============================================================================
@@ -19,6 +377,11 @@ router.get('/', async (req, res) => {
       household_id, 
       is_active = '1',
       available_only = 'false',
+      include_scheduled = 'false',
+      category_id,
+      has_image,
+      sort_by = 'cost_points',
+      sort_order = 'asc',
       limit = '50',
       offset = '0'
     } = req.query;
@@ -26,6 +389,7 @@ router.get('/', async (req, res) => {
     // Build WHERE clause
     let whereConditions = ['r.is_active = ?'];
     let whereParams = [parseInt(is_active)];
+    let householdIds;
 
     if (household_id) {
       // Verify user has access to this household
@@ -46,10 +410,55 @@ router.get('/', async (req, res) => {
 
       whereConditions.push('r.household_id = ?');
       whereParams.push(parseInt(household_id));
+      householdIds = [parseInt(household_id)];
+    } else {
+      // Only rewards from households the user belongs to
+      whereConditions.push(`r.household_id IN (
+        SELECT household_id FROM household_members WHERE user_id = ? AND is_active = 1
+      )`);
+      whereParams.push(req.user.userId);
+
+      householdIds = (await query(`
+        SELECT household_id FROM household_members WHERE user_id = ? AND is_active = 1
+      `, [req.user.userId])).map(member => member.household_id);
+    }
+
+    // Windows are compared against each household's local date
+    const localDays = await getLocalDays(householdIds);
+
+    // Scheduled rewards appear on available_from and disappear after available_until
+    if (include_scheduled !== 'true' || available_only === 'true') {
+      whereConditions.push('(r.available_from IS NULL OR r.available_from <= local_day.today)');
+      whereConditions.push('(r.available_until IS NULL OR r.available_until >= local_day.today)');
+    }
+
+    if (category_id === 'none') {
+      whereConditions.push('r.category_id IS NULL');
+    } else if (category_id) {
+      whereConditions.push('r.category_id = ?');
+      whereParams.push(parseInt(category_id));
+    }
+
+    if (has_image === 'true') {
+      whereConditions.push('r.image_filename IS NOT NULL');
+    } else if (has_image === 'false') {
+      whereConditions.push('r.image_filename IS NULL');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(REWARD_SORT_COLUMNS, sort_by)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SORT',
+          message: `Razvrščanje je mogoče po: ${Object.keys(REWARD_SORT_COLUMNS).join(', ')}`
+        }
+      });
     }
+    const orderBy = `${REWARD_SORT_COLUMNS[sort_by]} ${sort_order === 'desc' ? 'DESC' : 'ASC'}, r.created_at DESC`;
 
     if (available_only === 'true') {
       whereConditions.push('r.quantity > 0');
+      whereConditions.push('(r.available_weekdays IS NULL OR FIND_IN_SET(local_day.weekday, r.available_weekdays) > 0)');
     }
 
     const whereClause = whereConditions.join(' AND ');
@@ -63,47 +472,67 @@ router.get('/', async (req, res) => {
         r.description,
         r.cost_points,
         r.quantity,
+        r.reward_type,
+        r.member_limit_count,
+        r.member_limit_days,
+        r.member_cooldown_hours,
+        r.household_cooldown_hours,
+        r.restock_mode,
+        r.restock_frequency,
+        r.restock_day,
+        r.restock_amount,
+        r.restock_max,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays,
+        r.category_id,
+        r.image_filename,
         r.is_active,
         r.created_at,
         r.updated_at,
         -- Household info
         h.name as household_name,
+        -- Category info
+        rcat.name as category_name,
+        rcat.icon as category_icon,
+        rcat.color as category_color,
         -- Creator info
         creator.first_name as created_by_first_name,
         creator.last_name as created_by_last_name,
+        -- Group funding toward the next unlock
+        (SELECT COALESCE(SUM(ctb.points), 0) FROM reward_contributions ctb
+         WHERE ctb.reward_id = r.reward_id AND ctb.status = 'active') as funded_points,
         -- Claim stats
         (SELECT COUNT(*) FROM reward_claims rc 
          WHERE rc.reward_id = r.reward_id) as total_claims,
         (SELECT COUNT(*) FROM reward_claims rc 
          WHERE rc.reward_id = r.reward_id AND rc.status = 'pending') as pending_claims,
-        -- User's available points (if household_id specified)
-        ${household_id ? `
-        (SELECT COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc2.points_spent), 0)
-         FROM task_completions tc
-         LEFT JOIN reward_claims rc2 ON rc2.claimed_by = tc.completed_by AND rc2.status = 'fulfilled'
-         JOIN task_assignments ta ON tc.assignment_id = ta.assignment_id
-         JOIN tasks t ON ta.task_id = t.task_id
-         WHERE tc.completed_by = ? AND t.household_id = ?) as user_available_points,
-        ` : 'NULL as user_available_points,'}
-        -- Can user afford this reward
-        ${household_id ? `
-        CASE WHEN (
-          SELECT COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc2.points_spent), 0)
-          FROM task_completions tc
-          LEFT JOIN reward_claims rc2 ON rc2.claimed_by = tc.completed_by AND rc2.status = 'fulfilled'
-          JOIN task_assignments ta ON tc.assignment_id = ta.assignment_id
-          JOIN tasks t ON ta.task_id = t.task_id
-          WHERE tc.completed_by = ? AND t.household_id = ?
-        ) >= r.cost_points THEN 1 ELSE 0 END as can_afford
-        ` : 'NULL as can_afford'}
+        -- User's available points in the reward's household (pending claims and goals are held)
+        (SELECT COALESCE(SUM(pl.points), 0)
+         FROM points_ledger pl
+         WHERE pl.user_id = ? AND pl.household_id = r.household_id)
+        - ${reservedPointsSql('?', 'r.household_id')}
+        - ${lockedPointsSql('?', 'r.household_id')} as user_available_points,
+        -- User's savings goal toward this reward
+        sg.goal_id,
+        sg.locked_points as goal_locked_points
       FROM rewards r
       JOIN households h ON r.household_id = h.household_id
       JOIN users creator ON r.created_by = creator.user_id
+      LEFT JOIN reward_categories rcat ON r.category_id = rcat.category_id
+      LEFT JOIN savings_goals sg ON sg.reward_id = r.reward_id 
+        AND sg.user_id = ? AND sg.status = 'active'
+      JOIN (${localDays.sql}) local_day ON local_day.household_id = r.household_id
       WHERE ${whereClause}
-      ORDER BY r.cost_points ASC, r.created_at DESC
+      ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
     `, [
-      ...(household_id ? [req.user.userId, household_id, req.user.userId, household_id] : []),
+      req.user.userId,
+      req.user.userId,
+      req.user.userId,
+      req.user.userId,
+      req.user.userId,
+      ...localDays.params,
       ...whereParams, 
       parseInt(limit), 
       parseInt(offset)
@@ -113,8 +542,35 @@ router.get('/', async (req, res) => {
     const totalResult = await queryOne(`
       SELECT COUNT(*) as total
       FROM rewards r
+      JOIN (${localDays.sql}) local_day ON local_day.household_id = r.household_id
       WHERE ${whereClause}
-    `, whereParams);
+    `, [...localDays.params, ...whereParams]);
+
+    const claimBlocks = await getClaimBlocks(rewards, req.user.userId);
+
+    rewards.forEach(reward => {
+      Object.assign(reward, getRewardWindow(reward, localDays.dates[reward.household_id]));
+      reward.image_url = reward.image_filename ? `/api/images/${reward.image_filename}` : null;
+
+      const block = claimBlocks[reward.reward_id];
+      reward.claim_block = block ? block.code : null;
+      reward.next_eligible_at = block ? block.next_eligible_at : null;
+      reward.user_available_points = Number(reward.user_available_points);
+      reward.can_afford = reward.user_available_points >= reward.cost_points ? 1 : 0;
+      reward.funded_points = Number(reward.funded_points);
+      reward.group_funding = reward.reward_type === 'group' ? {
+        funded_points: reward.funded_points,
+        remaining_points: reward.cost_points - reward.funded_points,
+        progress_percent: Math.floor(reward.funded_points / reward.cost_points * 100)
+      } : null;
+      delete reward.funded_points;
+      reward.savings_goal = reward.goal_id ? {
+        goal_id: reward.goal_id,
+        ...getGoalProgress(reward.cost_points, reward.goal_locked_points, reward.user_available_points)
+      } : null;
+      delete reward.goal_id;
+      delete reward.goal_locked_points;
+    });
 
     res.json({
       success: true,
@@ -142,128 +598,73 @@ router.get('/', async (req, res) => {
 });
 
 // =============================================================================
-// GET /rewards/:id - Get Single Reward
+// GET /rewards/categories - Get Reward Categories
 // =============================================================================
 
-router.get('/:id', async (req, res) => {
+router.get('/categories', async (req, res) => {
   try {
-    const rewardId = req.params.id;
-
-    const reward = await queryOne(`
-      SELECT 
-        r.reward_id,
-        r.household_id,
-        r.title,
-        r.description,
-        r.cost_points,
-        r.quantity,
-        r.is_active,
-        r.created_at,
-        r.updated_at,
-        r.created_by,
-        -- Household info
-        h.name as household_name,
-        -- Creator info
-        creator.first_name as created_by_first_name,
-        creator.last_name as created_by_last_name,
-        -- User's household membership
-        hm.role as user_role
-      FROM rewards r
-      JOIN households h ON r.household_id = h.household_id
-      JOIN users creator ON r.created_by = creator.user_id
-      JOIN household_members hm ON r.household_id = hm.household_id
-      WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND r.is_active = 1
-    `, [rewardId, req.user.userId]);
+    const { household_id } = req.query;
 
-    if (!reward) {
-      return res.status(404).json({
+    if (!household_id) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'REWARD_NOT_FOUND',
-          message: 'Nagrada ni najdena'
+          code: 'HOUSEHOLD_ID_REQUIRED',
+          message: 'ID doma je obvezen'
         }
       });
     }
 
-    // Get recent claims for this reward
-    const recentClaims = await query(`
-      SELECT 
-        rc.claim_id,
-        rc.claimed_by,
-        rc.claimed_at,
-        rc.status,
-        rc.fulfilled_at,
-        rc.points_spent,
-        -- Claimed by user info
-        u.first_name as claimed_by_first_name,
-        u.last_name as claimed_by_last_name,
-        u.profile_image as claimed_by_profile_image
-      FROM reward_claims rc
-      JOIN users u ON rc.claimed_by = u.user_id
-      WHERE rc.reward_id = ?
-      ORDER BY rc.claimed_at DESC
-      LIMIT 10
-    `, [rewardId]);
+    if (!(await getRewardMembership(household_id, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
 
-    // Get user's available points for this household
-    const userPoints = await queryOne(`
+    const categories = await query(`
       SELECT 
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as available_points
-      FROM task_completions tc
-      LEFT JOIN reward_claims rc ON rc.claimed_by = tc.completed_by AND rc.status = 'fulfilled'
-      JOIN task_assignments ta ON tc.assignment_id = ta.assignment_id
-      JOIN tasks t ON ta.task_id = t.task_id
-      WHERE tc.completed_by = ? AND t.household_id = ?
-    `, [req.user.userId, reward.household_id]);
-
-    res.json({
-      success: true,
-      data: {
-        reward,
-        recent_claims: recentClaims,
-        user_available_points: userPoints.available_points,
-        can_afford: userPoints.available_points >= reward.cost_points,
-        can_claim: userPoints.available_points >= reward.cost_points && reward.quantity > 0
-      }
-    });
+        rcat.category_id,
+        rcat.household_id,
+        rcat.name,
+        rcat.description,
+        rcat.icon,
+        rcat.color,
+        (SELECT COUNT(*) FROM rewards r 
+         WHERE r.category_id = rcat.category_id AND r.is_active = 1) as reward_count
+      FROM reward_categories rcat
+      WHERE rcat.household_id = ? AND rcat.is_active = 1
+      ORDER BY rcat.name
+    `, [parseInt(household_id)]);
+
+    res.json({ success: true, data: { categories } });
 
   } catch (error) {
-    console.error('Get reward error:', error);
+    console.error('Get reward categories error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'GET_REWARD_ERROR',
-        message: 'Napaka pri pridobivanju nagrade'
+        code: 'GET_REWARD_CATEGORIES_ERROR',
+        message: 'Napaka pri pridobivanju kategorij nagrad'
       }
     });
   }
 });
 
 // =============================================================================
-// POST /rewards - Create New Reward
+// POST /rewards/categories - Create Reward Category
 // =============================================================================
 
-router.post('/', validate(rewardSchemas.create), async (req, res) => {
+router.post('/categories', validate(rewardSchemas.createCategory), async (req, res) => {
   try {
-    const {
-      household_id,
-      title,
-      description,
-      points_cost,
-      quantity = 1
-    } = req.body;
+    const { household_id, name, description = null, icon = null, color = null } = req.body;
 
-    // Verify access and permissions
-    const hasAccess = await queryOne(`
-      SELECT 
-        hm.membership_id,
-        hm.role,
-        hm.can_create_rewards
-      FROM household_members hm
-      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
-    `, [household_id, req.user.userId]);
+    const membership = await getRewardMembership(household_id, req.user.userId);
 
-    if (!hasAccess) {
+    if (!membership) {
       return res.status(403).json({
         success: false,
         error: {
@@ -273,197 +674,1626 @@ router.post('/', validate(rewardSchemas.create), async (req, res) => {
       });
     }
 
-    // Check can_create_rewards permission
-    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
+    if (membership.role !== 'owner' && membership.role !== 'admin' && !membership.can_create_rewards) {
       return res.status(403).json({
         success: false,
         error: {
           code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Nimate dovoljenj za ustvarjanje nagrad'
+          message: 'Nimate dovoljenj za urejanje kategorij nagrad'
         }
       });
     }
 
-    // Create reward
-    const rewardResult = await query(`
-      INSERT INTO rewards (
-        household_id, title, description, cost_points, quantity,
-        created_by, created_at
+    const result = await query(`
+      INSERT INTO reward_categories (
+        household_id, name, description, icon, color, created_by_user_id, created_at
       ) VALUES (?, ?, ?, ?, ?, ?, NOW())
-    `, [household_id, title, description, points_cost, quantity, req.user.userId]);
-
-    const rewardId = rewardResult.insertId;
+    `, [household_id, name, description || null, icon || null, color, req.user.userId]);
 
-    // Fetch created reward
-    const reward = await queryOne(`
-      SELECT 
-        r.reward_id,
-        r.household_id,
-        r.title,
-        r.description,
-        r.cost_points,
-        r.quantity,
-        r.created_at,
-        -- Household info
-        h.name as household_name
-      FROM rewards r
-      JOIN households h ON r.household_id = h.household_id
-      WHERE r.reward_id = ?
-    `, [rewardId]);
+    const category = await queryOne(`
+      SELECT category_id, household_id, name, description, icon, color
+      FROM reward_categories
+      WHERE category_id = ?
+    `, [result.insertId]);
 
     res.status(201).json({
       success: true,
       data: {
-        reward,
-        message: 'Nagrada je bila uspešno ustvarjena'
+        category,
+        message: 'Kategorija nagrad je bila ustvarjena'
       }
     });
 
   } catch (error) {
-    console.error('Create reward error:', error);
+    console.error('Create reward category error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'CREATE_REWARD_ERROR',
-        message: 'Napaka pri ustvarjanju nagrade'
+        code: 'CREATE_REWARD_CATEGORY_ERROR',
+        message: 'Napaka pri ustvarjanju kategorije nagrad'
       }
     });
   }
 });
 
 // =============================================================================
-// PUT /rewards/:id - Update Reward
+// PUT /rewards/categories/:categoryId - Update Reward Category
 // =============================================================================
 
-router.put('/:id', validate(rewardSchemas.update), async (req, res) => {
+router.put('/categories/:categoryId', validate(rewardSchemas.updateCategory), async (req, res) => {
   try {
-    const rewardId = req.params.id;
-    const {
-      title,
-      description,
-      cost_points,
-      quantity
-    } = req.body;
+    const categoryId = parseInt(req.params.categoryId);
+    const { name, description, icon, color } = req.body;
 
-    // Check if reward exists and get household_id
-    const rewardInfo = await queryOne(`
-      SELECT 
-        r.reward_id,
-        r.household_id
-      FROM rewards r
-      WHERE r.reward_id = ? AND r.is_active = 1
-    `, [rewardId]);
+    const existing = await queryOne(`
+      SELECT category_id, household_id
+      FROM reward_categories
+      WHERE category_id = ? AND is_active = 1
+    `, [categoryId]);
 
-    if (!rewardInfo) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'REWARD_NOT_FOUND',
-          message: 'Nagrada ni najdena'
+          code: 'CATEGORY_NOT_FOUND',
+          message: 'Kategorija nagrad ni najdena'
         }
       });
     }
 
-    // Verify access and permissions
-    const hasAccess = await queryOne(`
-      SELECT 
-        hm.membership_id,
-        hm.role,
-        hm.can_create_rewards
-      FROM household_members hm
-      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
-    `, [rewardInfo.household_id, req.user.userId]);
+    const membership = await getRewardMembership(existing.household_id, req.user.userId);
 
-    if (!hasAccess) {
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin' && !membership.can_create_rewards)) {
       return res.status(403).json({
         success: false,
         error: {
-          code: 'HOUSEHOLD_ACCESS_DENIED',
-          message: 'Nimate dostopa do tega doma'
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje kategorij nagrad'
+        }
+      });
+    }
+
+    // Omitted fields keep their current value
+    await query(`
+      UPDATE reward_categories 
+      SET 
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        icon = COALESCE(?, icon),
+        color = COALESCE(?, color),
+        updated_at = NOW()
+      WHERE category_id = ?
+    `, [name ?? null, description ?? null, icon ?? null, color ?? null, categoryId]);
+
+    const category = await queryOne(`
+      SELECT category_id, household_id, name, description, icon, color
+      FROM reward_categories
+      WHERE category_id = ?
+    `, [categoryId]);
+
+    res.json({
+      success: true,
+      data: {
+        category,
+        message: 'Kategorija nagrad je bila posodobljena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Update reward category error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_REWARD_CATEGORY_ERROR',
+        message: 'Napaka pri posodabljanju kategorije nagrad'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /rewards/categories/:categoryId - Delete Reward Category
+// =============================================================================
+
+router.delete('/categories/:categoryId', async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.categoryId);
+
+    const existing = await queryOne(`
+      SELECT category_id, household_id, name
+      FROM reward_categories
+      WHERE category_id = ? AND is_active = 1
+    `, [categoryId]);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_NOT_FOUND',
+          message: 'Kategorija nagrad ni najdena'
+        }
+      });
+    }
+
+    const membership = await getRewardMembership(existing.household_id, req.user.userId);
+
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin' && !membership.can_create_rewards)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje kategorij nagrad'
+        }
+      });
+    }
+
+    // Rewards of the category become uncategorized
+    await query(`
+      UPDATE reward_categories 
+      SET is_active = 0, updated_at = NOW()
+      WHERE category_id = ?
+    `, [categoryId]);
+    await query('UPDATE rewards SET category_id = NULL WHERE category_id = ?', [categoryId]);
+
+    res.json({
+      success: true,
+      data: {
+        message: `Kategorija "${existing.name}" je bila izbrisana`
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete reward category error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_REWARD_CATEGORY_ERROR',
+        message: 'Napaka pri brisanju kategorije nagrad'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /rewards/proposals - List Reward Proposals of a Household
+// =============================================================================
+
+router.get('/proposals', async (req, res) => {
+  try {
+    const { household_id, status, limit = '50', offset = '0' } = req.query;
+
+    if (!household_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ID_REQUIRED',
+          message: 'ID doma je obvezen'
+        }
+      });
+    }
+
+    if (!(await getRewardMembership(household_id, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    const whereConditions = ['rp.household_id = ?'];
+    const whereParams = [parseInt(household_id)];
+
+    if (status) {
+      whereConditions.push('rp.status = ?');
+      whereParams.push(status);
+    }
+
+    const proposals = await query(`
+      SELECT 
+        rp.proposal_id,
+        rp.title,
+        rp.description,
+        rp.suggested_cost_points,
+        rp.status,
+        rp.reward_id,
+        rp.rejection_reason,
+        rp.created_at,
+        rp.reviewed_at,
+        rp.proposed_by_user_id,
+        proposer.first_name as proposed_by_first_name,
+        proposer.last_name as proposed_by_last_name,
+        reviewer.first_name as reviewed_by_first_name,
+        reviewer.last_name as reviewed_by_last_name
+      FROM reward_proposals rp
+      JOIN users proposer ON rp.proposed_by_user_id = proposer.user_id
+      LEFT JOIN users reviewer ON rp.reviewed_by_user_id = reviewer.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY rp.created_at DESC, rp.proposal_id DESC
+      LIMIT ? OFFSET ?
+    `, [...whereParams, parseInt(limit), parseInt(offset)]);
+
+    res.json({ success: true, data: { proposals } });
+
+  } catch (error) {
+    console.error('List reward proposals error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LIST_REWARD_PROPOSALS_ERROR',
+        message: 'Napaka pri pridobivanju predlogov nagrad'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /rewards/proposals - Propose a New Reward
+// =============================================================================
+
+router.post('/proposals', validate(rewardSchemas.proposal), async (req, res) => {
+  try {
+    const { household_id, title, description = null, suggested_cost_points } = req.body;
+
+    if (!(await getRewardMembership(household_id, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO reward_proposals (
+        household_id, proposed_by_user_id, title, description, suggested_cost_points, created_at
+      ) VALUES (?, ?, ?, ?, ?, NOW())
+    `, [household_id, req.user.userId, title, description || null, suggested_cost_points]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        proposal: {
+          proposal_id: result.insertId,
+          household_id,
+          title,
+          description: description || null,
+          suggested_cost_points,
+          status: 'pending'
+        },
+        message: 'Predlog nagrade čaka na odobritev staršev'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create reward proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_REWARD_PROPOSAL_ERROR',
+        message: 'Napaka pri oddaji predloga nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /rewards/proposals/:proposalId/approve - Approve Proposal as a Reward
+// =============================================================================
+
+router.post('/proposals/:proposalId/approve', validate(rewardSchemas.approveProposal), async (req, res) => {
+  let connection;
+
+  try {
+    const proposal = await getProposal(parseInt(req.params.proposalId));
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_FOUND',
+          message: 'Predlog nagrade ni najden'
+        }
+      });
+    }
+
+    const membership = await getRewardMembership(proposal.household_id, req.user.userId);
+
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Predloge nagrad lahko potrdijo le lastniki in skrbniki doma'
+        }
+      });
+    }
+
+    const { quantity = 1, category_id = null } = req.body;
+    const costPoints = req.body.cost_points ?? proposal.suggested_cost_points;
+
+    if (category_id && !(await isRewardCategory(proposal.household_id, category_id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'Kategorija nagrade ne obstaja'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    const [rewardResult] = await connection.execute(`
+      INSERT INTO rewards (
+        household_id, title, description, cost_points, quantity, category_id,
+        created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      proposal.household_id, proposal.title, proposal.description, costPoints, quantity, category_id,
+      req.user.userId
+    ]);
+    const rewardId = rewardResult.insertId;
+
+    const [approved] = await connection.execute(`
+      UPDATE reward_proposals
+      SET status = 'approved', reward_id = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+      WHERE proposal_id = ? AND status = 'pending'
+    `, [rewardId, req.user.userId, proposal.proposal_id]);
+
+    if (approved.affectedRows === 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_PENDING',
+          message: 'Predlog nagrade ne čaka več na odobritev'
+        }
+      });
+    }
+
+    await commitTransaction(connection);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        proposal_id: proposal.proposal_id,
+        reward: {
+          reward_id: rewardId,
+          household_id: proposal.household_id,
+          title: proposal.title,
+          description: proposal.description,
+          cost_points: costPoints,
+          quantity,
+          category_id
+        },
+        message: `Predlog "${proposal.title}" (${proposal.proposed_by_first_name} ${proposal.proposed_by_last_name}) je postal nagrada`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
+    console.error('Approve reward proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'APPROVE_REWARD_PROPOSAL_ERROR',
+        message: 'Napaka pri potrjevanju predloga nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /rewards/proposals/:proposalId/reject - Reject Proposal
+// =============================================================================
+
+router.post('/proposals/:proposalId/reject', validate(rewardSchemas.rejectProposal), async (req, res) => {
+  try {
+    const proposal = await getProposal(parseInt(req.params.proposalId));
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_FOUND',
+          message: 'Predlog nagrade ni najden'
+        }
+      });
+    }
+
+    const membership = await getRewardMembership(proposal.household_id, req.user.userId);
+
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Predloge nagrad lahko zavrnejo le lastniki in skrbniki doma'
+        }
+      });
+    }
+
+    const result = await query(`
+      UPDATE reward_proposals
+      SET status = 'rejected', rejection_reason = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+      WHERE proposal_id = ? AND status = 'pending'
+    `, [req.body.reason, req.user.userId, proposal.proposal_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_PENDING',
+          message: 'Predlog nagrade ne čaka več na odobritev'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        proposal_id: proposal.proposal_id,
+        message: `Predlog "${proposal.title}" je bil zavrnjen`
+      }
+    });
+
+  } catch (error) {
+    console.error('Reject reward proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REJECT_REWARD_PROPOSAL_ERROR',
+        message: 'Napaka pri zavrnitvi predloga nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /rewards/proposals/:proposalId - Withdraw Own Pending Proposal
+// =============================================================================
+
+router.delete('/proposals/:proposalId', async (req, res) => {
+  try {
+    const proposal = await getProposal(parseInt(req.params.proposalId));
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_FOUND',
+          message: 'Predlog nagrade ni najden'
+        }
+      });
+    }
+
+    if (proposal.proposed_by_user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PERMISSION_DENIED',
+          message: 'Umaknete lahko le svoje predloge'
+        }
+      });
+    }
+
+    const result = await query(`
+      UPDATE reward_proposals
+      SET status = 'withdrawn'
+      WHERE proposal_id = ? AND status = 'pending'
+    `, [proposal.proposal_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PROPOSAL_NOT_PENDING',
+          message: 'Predlog nagrade ne čaka več na odobritev'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        proposal_id: proposal.proposal_id,
+        message: 'Predlog nagrade je bil umaknjen'
+      }
+    });
+
+  } catch (error) {
+    console.error('Withdraw reward proposal error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WITHDRAW_REWARD_PROPOSAL_ERROR',
+        message: 'Napaka pri umiku predloga nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /rewards/:id - Get Single Reward
+// =============================================================================
+
+router.get('/:id', async (req, res) => {
+  try {
+    const rewardId = req.params.id;
+
+    const reward = await queryOne(`
+      SELECT 
+        r.reward_id,
+        r.household_id,
+        r.title,
+        r.description,
+        r.cost_points,
+        r.quantity,
+        r.reward_type,
+        r.member_limit_count,
+        r.member_limit_days,
+        r.member_cooldown_hours,
+        r.household_cooldown_hours,
+        r.restock_mode,
+        r.restock_frequency,
+        r.restock_day,
+        r.restock_amount,
+        r.restock_max,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays,
+        r.category_id,
+        r.image_filename,
+        r.is_active,
+        r.created_at,
+        r.updated_at,
+        r.created_by,
+        -- Household info
+        h.name as household_name,
+        -- Category info
+        rcat.name as category_name,
+        rcat.icon as category_icon,
+        rcat.color as category_color,
+        -- Creator info
+        creator.first_name as created_by_first_name,
+        creator.last_name as created_by_last_name,
+        -- User's household membership
+        hm.role as user_role
+      FROM rewards r
+      JOIN households h ON r.household_id = h.household_id
+      JOIN users creator ON r.created_by = creator.user_id
+      LEFT JOIN reward_categories rcat ON r.category_id = rcat.category_id
+      JOIN household_members hm ON r.household_id = hm.household_id
+      WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND r.is_active = 1
+    `, [rewardId, req.user.userId]);
+
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    // Get recent claims for this reward
+    const recentClaims = await query(`
+      SELECT 
+        rc.claim_id,
+        rc.claimed_by,
+        rc.claimed_at,
+        rc.status,
+        rc.fulfilled_at,
+        rc.points_spent,
+        -- Claimed by user info
+        u.first_name as claimed_by_first_name,
+        u.last_name as claimed_by_last_name,
+        u.profile_image as claimed_by_profile_image
+      FROM reward_claims rc
+      JOIN users u ON rc.claimed_by = u.user_id
+      WHERE rc.reward_id = ?
+      ORDER BY rc.claimed_at DESC
+      LIMIT 10
+    `, [rewardId]);
+
+    // Contributions funding the next unlock of a group reward
+    const contributions = reward.reward_type === 'group' ? await query(`
+      SELECT 
+        ctb.contribution_id,
+        ctb.user_id,
+        ctb.points,
+        ctb.created_at,
+        u.first_name,
+        u.last_name
+      FROM reward_contributions ctb
+      JOIN users u ON ctb.user_id = u.user_id
+      WHERE ctb.reward_id = ? AND ctb.status = 'active'
+      ORDER BY ctb.created_at ASC
+    `, [rewardId]) : [];
+
+    // Get user's available points for this household
+    const userPoints = await calculateUserPoints(req.user.userId, reward.household_id);
+    const block = (await getClaimBlocks([reward], req.user.userId))[reward.reward_id];
+    const clock = await loadHouseholdClock(reward.household_id);
+    Object.assign(reward, getRewardWindow(reward, clock.today));
+    reward.image_url = reward.image_filename ? `/api/images/${reward.image_filename}` : null;
+
+    res.json({
+      success: true,
+      data: {
+        reward,
+        recent_claims: recentClaims,
+        contributions,
+        user_available_points: userPoints.available_points,
+        user_reserved_points: userPoints.reserved_points,
+        can_afford: userPoints.available_points >= reward.cost_points,
+        can_claim: userPoints.available_points >= reward.cost_points && reward.quantity > 0 &&
+          reward.is_in_window && !block,
+        claim_block: block ? block.code : null,
+        next_eligible_at: block ? block.next_eligible_at : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_REWARD_ERROR',
+        message: 'Napaka pri pridobivanju nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /rewards/:id/history - Claims and Restocks of a Reward
+// =============================================================================
+
+router.get('/:id/history', async (req, res) => {
+  try {
+    const rewardId = req.params.id;
+    const { limit = '50', offset = '0' } = req.query;
+
+    const reward = await queryOne(`
+      SELECT r.reward_id, r.title, r.quantity
+      FROM rewards r
+      JOIN household_members hm ON r.household_id = hm.household_id
+      WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [rewardId, req.user.userId]);
+
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    const events = await query(`
+      SELECT * FROM (
+        SELECT 
+          'claim' as event_type,
+          rc.claim_id as event_id,
+          rc.claimed_at as occurred_at,
+          rc.status,
+          rc.points_spent,
+          NULL as source,
+          NULL as previous_quantity,
+          NULL as new_quantity,
+          u.user_id,
+          u.first_name,
+          u.last_name
+        FROM reward_claims rc
+        JOIN users u ON rc.claimed_by = u.user_id
+        WHERE rc.reward_id = ?
+        UNION ALL
+        SELECT 
+          'restock' as event_type,
+          rr.restock_id as event_id,
+          rr.created_at as occurred_at,
+          NULL as status,
+          NULL as points_spent,
+          rr.source,
+          rr.previous_quantity,
+          rr.new_quantity,
+          u.user_id,
+          u.first_name,
+          u.last_name
+        FROM reward_restocks rr
+        LEFT JOIN users u ON rr.created_by_user_id = u.user_id
+        WHERE rr.reward_id = ?
+      ) history
+      ORDER BY occurred_at DESC, event_id DESC
+      LIMIT ? OFFSET ?
+    `, [rewardId, rewardId, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      data: {
+        reward,
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reward history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_REWARD_HISTORY_ERROR',
+        message: 'Napaka pri pridobivanju zgodovine nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /rewards - Create New Reward
+// =============================================================================
+
+router.post('/', validate(rewardSchemas.create), async (req, res) => {
+  try {
+    const {
+      household_id,
+      title,
+      description,
+      cost_points,
+      quantity = 1,
+      reward_type = 'individual',
+      member_limit_count = 0,
+      member_limit_days = 7,
+      member_cooldown_hours = 0,
+      household_cooldown_hours = 0,
+      restock_mode = 'none',
+      restock_frequency = 'weekly',
+      restock_day = 1,
+      restock_amount = 1,
+      restock_max = 0,
+      available_from = null,
+      available_until = null,
+      available_weekdays = null,
+      category_id = null
+    } = req.body;
+
+    // Verify access and permissions
+    const hasAccess = await queryOne(`
+      SELECT 
+        hm.membership_id,
+        hm.role,
+        hm.can_create_rewards
+      FROM household_members hm
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [household_id, req.user.userId]);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    // Check can_create_rewards permission
+    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za ustvarjanje nagrad'
+        }
+      });
+    }
+
+    if (category_id && !(await isRewardCategory(household_id, category_id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'Kategorija nagrade ne obstaja'
+        }
+      });
+    }
+
+    // Create reward
+    const rewardResult = await query(`
+      INSERT INTO rewards (
+        household_id, title, description, cost_points, quantity, reward_type,
+        member_limit_count, member_limit_days, member_cooldown_hours, household_cooldown_hours,
+        restock_mode, restock_frequency, restock_day, restock_amount, restock_max,
+        available_from, available_until, available_weekdays, category_id,
+        created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      household_id, title, description ?? null, cost_points, quantity, reward_type,
+      member_limit_count, member_limit_days, member_cooldown_hours, household_cooldown_hours,
+      restock_mode, restock_frequency, restock_day, restock_amount, restock_max,
+      available_from, available_until, available_weekdays ? available_weekdays.join(',') : null, category_id,
+      req.user.userId
+    ]);
+
+    const rewardId = rewardResult.insertId;
+
+    // Fetch created reward
+    const reward = await queryOne(`
+      SELECT 
+        r.reward_id,
+        r.household_id,
+        r.title,
+        r.description,
+        r.cost_points,
+        r.quantity,
+        r.reward_type,
+        r.member_limit_count,
+        r.member_limit_days,
+        r.member_cooldown_hours,
+        r.household_cooldown_hours,
+        r.restock_mode,
+        r.restock_frequency,
+        r.restock_day,
+        r.restock_amount,
+        r.restock_max,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays,
+        r.category_id,
+        r.image_filename,
+        r.created_at,
+        -- Household info
+        h.name as household_name
+      FROM rewards r
+      JOIN households h ON r.household_id = h.household_id
+      WHERE r.reward_id = ?
+    `, [rewardId]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        reward,
+        message: 'Nagrada je bila uspešno ustvarjena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_REWARD_ERROR',
+        message: 'Napaka pri ustvarjanju nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// PUT /rewards/:id - Update Reward
+// =============================================================================
+
+router.put('/:id', validate(rewardSchemas.update), async (req, res) => {
+  try {
+    const rewardId = req.params.id;
+    const {
+      title,
+      description,
+      cost_points,
+      quantity,
+      member_limit_count,
+      member_limit_days,
+      member_cooldown_hours,
+      household_cooldown_hours,
+      restock_mode,
+      restock_frequency,
+      restock_day,
+      restock_amount,
+      restock_max,
+      available_from,
+      available_until,
+      available_weekdays,
+      category_id
+    } = req.body;
+
+    // Check if reward exists and get household_id
+    const rewardInfo = await queryOne(`
+      SELECT 
+        r.reward_id,
+        r.household_id,
+        r.quantity,
+        r.reward_type,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until
+      FROM rewards r
+      WHERE r.reward_id = ? AND r.is_active = 1
+    `, [rewardId]);
+
+    if (!rewardInfo) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    // Verify access and permissions
+    const hasAccess = await queryOne(`
+      SELECT 
+        hm.membership_id,
+        hm.role,
+        hm.can_create_rewards
+      FROM household_members hm
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [rewardInfo.household_id, req.user.userId]);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    // Check can_create_rewards permission
+    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje nagrad'
+        }
+      });
+    }
+
+    if (category_id && !(await isRewardCategory(rewardInfo.household_id, category_id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'Kategorija nagrade ne obstaja'
+        }
+      });
+    }
+
+    // The window is checked as a whole, one of its ends may be stored already
+    const windowFrom = available_from === undefined ? rewardInfo.available_from : available_from;
+    const windowUntil = available_until === undefined ? rewardInfo.available_until : available_until;
+
+    if (windowFrom && windowUntil &&
+        moment(windowUntil).format('YYYY-MM-DD') < moment(windowFrom).format('YYYY-MM-DD')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Preveri vnesene podatke',
+          details: {
+            available_until: 'Končni datum ne sme biti pred začetnim'
+          }
+        }
+      });
+    }
+
+    // A group reward's cost must stay above what members already put in,
+    // otherwise no further contribution can unlock it
+    if (cost_points !== undefined && rewardInfo.reward_type === 'group') {
+      const funding = await queryOne(`
+        SELECT COALESCE(SUM(points), 0) as funded_points
+        FROM reward_contributions
+        WHERE reward_id = ? AND status = 'active'
+      `, [rewardId]);
+      const fundedPoints = Number(funding.funded_points);
+
+      if (cost_points <= fundedPoints) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'COST_BELOW_FUNDING',
+            message: `Cena skupne nagrade mora biti višja od že zbranih ${fundedPoints} točk`
+          }
+        });
+      }
+    }
+
+    // Update reward (omitted fields keep their current value)
+    await query(`
+      UPDATE rewards 
+      SET 
+        title = COALESCE(?, title), 
+        description = COALESCE(?, description), 
+        cost_points = COALESCE(?, cost_points), 
+        quantity = COALESCE(?, quantity),
+        member_limit_count = COALESCE(?, member_limit_count),
+        member_limit_days = COALESCE(?, member_limit_days),
+        member_cooldown_hours = COALESCE(?, member_cooldown_hours),
+        household_cooldown_hours = COALESCE(?, household_cooldown_hours),
+        restock_mode = COALESCE(?, restock_mode),
+        restock_frequency = COALESCE(?, restock_frequency),
+        restock_day = COALESCE(?, restock_day),
+        restock_amount = COALESCE(?, restock_amount),
+        restock_max = COALESCE(?, restock_max),
+        updated_at = NOW()
+      WHERE reward_id = ?
+    `, [
+      title ?? null,
+      description ?? null,
+      cost_points ?? null,
+      quantity ?? null,
+      member_limit_count ?? null,
+      member_limit_days ?? null,
+      member_cooldown_hours ?? null,
+      household_cooldown_hours ?? null,
+      restock_mode ?? null,
+      restock_frequency ?? null,
+      restock_day ?? null,
+      restock_amount ?? null,
+      restock_max ?? null,
+      rewardId
+    ]);
+
+    // Window and category fields are cleared with null
+    const nullableFields = [];
+    const nullableParams = [];
+    if (available_from !== undefined) { nullableFields.push('available_from = ?'); nullableParams.push(available_from); }
+    if (available_until !== undefined) { nullableFields.push('available_until = ?'); nullableParams.push(available_until); }
+    if (available_weekdays !== undefined) {
+      nullableFields.push('available_weekdays = ?');
+      nullableParams.push(available_weekdays ? available_weekdays.join(',') : null);
+    }
+    if (category_id !== undefined) { nullableFields.push('category_id = ?'); nullableParams.push(category_id); }
+
+    if (nullableFields.length > 0) {
+      await query(`UPDATE rewards SET ${nullableFields.join(', ')} WHERE reward_id = ?`, [...nullableParams, rewardId]);
+    }
+
+    // Manual refills show up in the reward's history next to scheduled restocks
+    if (quantity !== undefined && quantity !== rewardInfo.quantity) {
+      await query(`
+        INSERT INTO reward_restocks (
+          reward_id, source, previous_quantity, new_quantity, created_by_user_id, created_at
+        ) VALUES (?, 'manual', ?, ?, ?, NOW())
+      `, [rewardId, rewardInfo.quantity, quantity, req.user.userId]);
+    }
+
+    // Fetch updated reward
+    const reward = await queryOne(`
+      SELECT 
+        r.reward_id,
+        r.household_id,
+        r.title,
+        r.description,
+        r.cost_points,
+        r.quantity,
+        r.reward_type,
+        r.member_limit_count,
+        r.member_limit_days,
+        r.member_cooldown_hours,
+        r.household_cooldown_hours,
+        r.restock_mode,
+        r.restock_frequency,
+        r.restock_day,
+        r.restock_amount,
+        r.restock_max,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays,
+        r.category_id,
+        r.image_filename,
+        r.created_at,
+        r.updated_at,
+        -- Household info
+        h.name as household_name
+      FROM rewards r
+      JOIN households h ON r.household_id = h.household_id
+      WHERE r.reward_id = ?
+    `, [rewardId]);
+
+    res.json({
+      success: true,
+      data: {
+        reward,
+        message: 'Nagrada je bila uspešno posodobljena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Update reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_REWARD_ERROR',
+        message: 'Napaka pri posodabljanju nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /rewards/:id - Delete Reward
+// =============================================================================
+
+router.delete('/:id', async (req, res) => {
+  let connection;
+
+  try {
+    const rewardId = req.params.id;
+
+    // Check if reward exists and get household_id
+    const rewardInfo = await queryOne(`
+      SELECT 
+        r.reward_id,
+        r.title,
+        r.household_id,
+        r.reward_type
+      FROM rewards r
+      WHERE r.reward_id = ? AND r.is_active = 1
+    `, [rewardId]);
+
+    if (!rewardInfo) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    // Verify access and permissions
+    const hasAccess = await queryOne(`
+      SELECT 
+        hm.membership_id,
+        hm.role,
+        hm.can_create_rewards
+      FROM household_members hm
+      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
+    `, [rewardInfo.household_id, req.user.userId]);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    // Check can_create_rewards permission
+    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za brisanje nagrad'
+        }
+      });
+    }
+
+    // Check for pending claims
+    const pendingClaims = await queryOne(`
+      SELECT COUNT(*) as pending_count
+      FROM reward_claims 
+      WHERE reward_id = ? AND status = 'pending'
+    `, [rewardId]);
+
+    if (pendingClaims.pending_count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'REWARD_HAS_PENDING_CLAIMS',
+          message: 'Nagrade z neizvršenimi zahtevki ni mogoče izbrisati'
+        }
+      });
+    }
+
+    connection = await beginTransaction();
+
+    // Soft delete reward
+    await connection.execute(`
+      UPDATE rewards 
+      SET 
+        is_active = 0,
+        updated_at = NOW()
+      WHERE reward_id = ?
+    `, [rewardId]);
+
+    // Release points locked toward the reward
+    await connection.execute(`
+      UPDATE savings_goals
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE reward_id = ? AND status = 'active'
+    `, [rewardId]);
+
+    // Give back contributions toward a group reward that was not unlocked
+    const refundedPoints = rewardInfo.reward_type === 'group'
+      ? await refundContributions(connection, rewardInfo, null, req.user.userId)
+      : 0;
+
+    await commitTransaction(connection);
+
+    res.json({
+      success: true,
+      data: {
+        refunded_points: refundedPoints,
+        message: `Nagrada "${rewardInfo.title}" je bila uspešno izbrisana`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
+    console.error('Delete reward error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_REWARD_ERROR',
+        message: 'Napaka pri brisanju nagrade'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// POST /rewards/:id/image - Upload Reward Image
+// =============================================================================
+
+router.post('/:id/image', uploadSingle('image'), async (req, res) => {
+  try {
+    const rewardId = parseInt(req.params.id);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'IMAGE_REQUIRED',
+          message: 'Slika je obvezna'
+        }
+      });
+    }
+
+    const reward = await queryOne(`
+      SELECT reward_id, household_id, image_filename
+      FROM rewards
+      WHERE reward_id = ? AND is_active = 1
+    `, [rewardId]);
+
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    const membership = await getRewardMembership(reward.household_id, req.user.userId);
+
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin' && !membership.can_create_rewards)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje nagrad'
+        }
+      });
+    }
+
+    const image = await processAndSaveImage(req.file, 'reward', rewardId);
+
+    await query(`
+      UPDATE rewards 
+      SET image_filename = ?, updated_at = NOW()
+      WHERE reward_id = ?
+    `, [image.filename, rewardId]);
+
+    // The replaced image is no longer referenced
+    if (reward.image_filename) {
+      await deleteImageFiles(reward.image_filename);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        image_filename: image.filename,
+        image_url: `/api/images/${image.filename}`,
+        message: 'Slika nagrade je bila uspešno naložena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload reward image error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPLOAD_IMAGE_ERROR',
+        message: 'Napaka pri nalaganju slike'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /rewards/:id/image - Remove Reward Image
+// =============================================================================
+
+router.delete('/:id/image', async (req, res) => {
+  try {
+    const rewardId = parseInt(req.params.id);
+
+    const reward = await queryOne(`
+      SELECT reward_id, household_id, image_filename
+      FROM rewards
+      WHERE reward_id = ? AND is_active = 1
+    `, [rewardId]);
+
+    if (!reward || !reward.image_filename) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'IMAGE_NOT_FOUND',
+          message: 'Slika ni najdena'
+        }
+      });
+    }
+
+    const membership = await getRewardMembership(reward.household_id, req.user.userId);
+
+    if (!membership || (membership.role !== 'owner' && membership.role !== 'admin' && !membership.can_create_rewards)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za urejanje nagrad'
+        }
+      });
+    }
+
+    await query(`
+      UPDATE rewards 
+      SET image_filename = NULL, updated_at = NOW()
+      WHERE reward_id = ?
+    `, [rewardId]);
+    await deleteImageFiles(reward.image_filename);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Slika nagrade je bila odstranjena'
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete reward image error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_IMAGE_ERROR',
+        message: 'Napaka pri brisanju slike'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// PUT /rewards/:id/goal - Set Savings Goal
+// =============================================================================
+
+router.put('/:id/goal', validate(rewardSchemas.savingsGoal), async (req, res) => {
+  let connection;
+
+  try {
+    const rewardId = req.params.id;
+
+    connection = await beginTransaction();
+
+    const [[reward]] = await connection.execute(`
+      SELECT r.reward_id, r.household_id, r.title, r.cost_points, r.reward_type
+      FROM rewards r
+      JOIN household_members hm ON r.household_id = hm.household_id
+      WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND r.is_active = 1
+    `, [rewardId, req.user.userId]);
+
+    if (!reward) {
+      await rollbackTransaction(connection);
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REWARD_NOT_FOUND',
+          message: 'Nagrada ni najdena'
+        }
+      });
+    }
+
+    if (reward.reward_type === 'group') {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'GROUP_REWARD',
+          message: 'Za skupno nagrado točke prispevate neposredno'
+        }
+      });
+    }
+
+    const userPoints = await calculateUserPoints(req.user.userId, reward.household_id, connection);
+
+    const [[existingGoal]] = await connection.execute(`
+      SELECT goal_id, locked_points
+      FROM savings_goals
+      WHERE reward_id = ? AND user_id = ? AND status = 'active'
+      FOR UPDATE
+    `, [rewardId, req.user.userId]);
+
+    // Omitted locked_points keeps the current lock
+    const currentLock = existingGoal ? existingGoal.locked_points : 0;
+    const lockedPoints = req.body.locked_points === undefined ? currentLock : parseInt(req.body.locked_points);
+
+    if (lockedPoints > reward.cost_points) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'LOCK_EXCEEDS_COST',
+          message: `Za to nagrado lahko zaklenete največ ${reward.cost_points} točk`
         }
       });
     }
 
-    // Check can_create_rewards permission
-    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
-      return res.status(403).json({
+    if (lockedPoints - currentLock > userPoints.available_points) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Nimate dovoljenj za urejanje nagrad'
+          code: 'INSUFFICIENT_POINTS',
+          message: `Na voljo imate le ${userPoints.available_points} točk`
         }
       });
     }
 
-    // Update reward
-    await query(`
-      UPDATE rewards 
-      SET 
-        title = ?, 
-        description = ?, 
-        cost_points = ?, 
-        quantity = ?,
-        updated_at = NOW()
-      WHERE reward_id = ?
-    `, [title, description, cost_points, quantity, rewardId]);
+    let goalId;
+    if (existingGoal) {
+      goalId = existingGoal.goal_id;
+      await connection.execute(`
+        UPDATE savings_goals
+        SET locked_points = ?, updated_at = NOW()
+        WHERE goal_id = ?
+      `, [lockedPoints, goalId]);
+    } else {
+      const [goalResult] = await connection.execute(`
+        INSERT INTO savings_goals (
+          household_id, user_id, reward_id, locked_points, created_at
+        ) VALUES (?, ?, ?, ?, NOW())
+      `, [reward.household_id, req.user.userId, rewardId, lockedPoints]);
+      goalId = goalResult.insertId;
+    }
 
-    // Fetch updated reward
-    const reward = await queryOne(`
-      SELECT 
-        r.reward_id,
-        r.household_id,
-        r.title,
-        r.description,
-        r.cost_points,
-        r.quantity,
-        r.created_at,
-        r.updated_at,
-        -- Household info
-        h.name as household_name
-      FROM rewards r
-      JOIN households h ON r.household_id = h.household_id
-      WHERE r.reward_id = ?
-    `, [rewardId]);
+    await commitTransaction(connection);
+
+    const availablePoints = userPoints.available_points - (lockedPoints - currentLock);
+
+    res.status(existingGoal ? 200 : 201).json({
+      success: true,
+      data: {
+        goal: {
+          goal_id: goalId,
+          reward_id: reward.reward_id,
+          reward_title: reward.title,
+          cost_points: reward.cost_points,
+          ...getGoalProgress(reward.cost_points, lockedPoints, availablePoints)
+        },
+        available_points: availablePoints,
+        message: `Varčujete za nagrado "${reward.title}"`
+      }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
+    console.error('Set savings goal error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SET_SAVINGS_GOAL_ERROR',
+        message: 'Napaka pri nastavljanju varčevalnega cilja'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// DELETE /rewards/:id/goal - Cancel Savings Goal
+// =============================================================================
+
+router.delete('/:id/goal', async (req, res) => {
+  try {
+    const rewardId = req.params.id;
+
+    const result = await query(`
+      UPDATE savings_goals
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE reward_id = ? AND user_id = ? AND status = 'active'
+    `, [rewardId, req.user.userId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GOAL_NOT_FOUND',
+          message: 'Varčevalni cilj ni najden'
+        }
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        reward,
-        message: 'Nagrada je bila uspešno posodobljena'
+        message: 'Varčevalni cilj je bil preklican, zaklenjene točke so spet na voljo'
       }
     });
 
   } catch (error) {
-    console.error('Update reward error:', error);
+    console.error('Cancel savings goal error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'UPDATE_REWARD_ERROR',
-        message: 'Napaka pri posodabljanju nagrade'
+        code: 'CANCEL_SAVINGS_GOAL_ERROR',
+        message: 'Napaka pri preklicu varčevalnega cilja'
       }
     });
   }
 });
 
 // =============================================================================
-// DELETE /rewards/:id - Delete Reward
+// POST /rewards/:id/contribute - Contribute Points to a Group Reward
 // =============================================================================
 
-router.delete('/:id', async (req, res) => {
+router.post('/:id/contribute', validate(rewardSchemas.contribute), async (req, res) => {
+  let connection;
+
   try {
     const rewardId = req.params.id;
+    const points = parseInt(req.body.points);
 
-    // Check if reward exists and get household_id
-    const rewardInfo = await queryOne(`
+    connection = await beginTransaction();
+
+    // Lock the reward so concurrent contributions see each other
+    const [[reward]] = await connection.execute(`
       SELECT 
         r.reward_id,
+        r.household_id,
         r.title,
-        r.household_id
+        r.cost_points,
+        r.quantity,
+        r.reward_type,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays
       FROM rewards r
-      WHERE r.reward_id = ? AND r.is_active = 1
-    `, [rewardId]);
+      JOIN household_members hm ON r.household_id = hm.household_id
+      WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND r.is_active = 1
+      FOR UPDATE
+    `, [rewardId, req.user.userId]);
 
-    if (!rewardInfo) {
+    if (!reward) {
+      await rollbackTransaction(connection);
       return res.status(404).json({
         success: false,
         error: {
@@ -473,77 +2303,155 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Verify access and permissions
-    const hasAccess = await queryOne(`
-      SELECT 
-        hm.membership_id,
-        hm.role,
-        hm.can_create_rewards
-      FROM household_members hm
-      WHERE hm.household_id = ? AND hm.user_id = ? AND hm.is_active = 1
-    `, [rewardInfo.household_id, req.user.userId]);
+    if (reward.reward_type !== 'group') {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NOT_GROUP_REWARD',
+          message: 'Prispevati je mogoče le za skupne nagrade'
+        }
+      });
+    }
 
-    if (!hasAccess) {
-      return res.status(403).json({
+    // Only claimable within the reward's window
+    const clock = await loadHouseholdClock(reward.household_id);
+    const rewardWindow = getRewardWindow(reward, clock.today);
+
+    if (!rewardWindow.is_in_window) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'HOUSEHOLD_ACCESS_DENIED',
-          message: 'Nimate dostopa do tega doma'
+          code: 'REWARD_OUTSIDE_WINDOW',
+          message: rewardWindow.next_available_date
+            ? `Nagrada bo na voljo od ${rewardWindow.next_available_date}`
+            : 'Nagrada ni več na voljo',
+          next_available_date: rewardWindow.next_available_date
         }
       });
     }
 
-    // Check can_create_rewards permission
-    if (hasAccess.role !== 'owner' && hasAccess.role !== 'admin' && !hasAccess.can_create_rewards) {
-      return res.status(403).json({
+    if (reward.quantity <= 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Nimate dovoljenj za brisanje nagrad'
+          code: 'REWARD_NOT_AVAILABLE',
+          message: 'Nagrada ni več na voljo'
         }
       });
     }
 
-    // Check for pending claims
-    const pendingClaims = await queryOne(`
-      SELECT COUNT(*) as pending_count
-      FROM reward_claims 
-      WHERE reward_id = ? AND status = 'pending'
+    const [[funding]] = await connection.execute(`
+      SELECT COALESCE(SUM(points), 0) as funded_points
+      FROM reward_contributions
+      WHERE reward_id = ? AND status = 'active'
     `, [rewardId]);
+    const fundedPoints = Number(funding.funded_points);
+    const remainingPoints = Math.max(0, reward.cost_points - fundedPoints);
 
-    if (pendingClaims.pending_count > 0) {
+    if (points > remainingPoints) {
+      await rollbackTransaction(connection);
       return res.status(400).json({
         success: false,
         error: {
-          code: 'REWARD_HAS_PENDING_CLAIMS',
-          message: 'Nagrade z neizvršenimi zahtevki ni mogoče izbrisati'
+          code: 'CONTRIBUTION_EXCEEDS_REMAINING',
+          message: `Do cilja manjka le še ${remainingPoints} točk`
         }
       });
     }
 
-    // Soft delete reward
-    await query(`
-      UPDATE rewards 
-      SET 
-        is_active = 0,
-        updated_at = NOW()
-      WHERE reward_id = ?
-    `, [rewardId]);
+    const userPoints = await calculateUserPoints(req.user.userId, reward.household_id, connection);
 
-    res.json({
+    if (userPoints.available_points < points) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_POINTS',
+          message: `Na voljo imate le ${userPoints.available_points} točk`
+        }
+      });
+    }
+
+    // A refund gives the oldest points back with their age
+    const pointsDatedAt = await getOldestUnspentPointDate(req.user.userId, reward.household_id, connection);
+
+    const [contributionResult] = await connection.execute(`
+      INSERT INTO reward_contributions (
+        reward_id, household_id, user_id, points, created_at
+      ) VALUES (?, ?, ?, ?, NOW())
+    `, [rewardId, reward.household_id, req.user.userId, points]);
+    const contributionId = contributionResult.insertId;
+
+    await addLedgerEntry({
+      household_id: reward.household_id,
+      user_id: req.user.userId,
+      entry_type: 'spent',
+      points: -points,
+      contribution_id: contributionId,
+      description: `Prispevek za nagrado "${reward.title}"`,
+      created_by_user_id: req.user.userId,
+      points_dated_at: pointsDatedAt
+    }, connection);
+
+    // Reaching the target unlocks the reward as a pending claim
+    let claimId = null;
+    if (fundedPoints + points >= reward.cost_points) {
+      const [claimResult] = await connection.execute(`
+        INSERT INTO reward_claims (
+          reward_id, claimed_by, claimed_at, points_spent
+        ) VALUES (?, ?, NOW(), ?)
+      `, [rewardId, req.user.userId, reward.cost_points]);
+      claimId = claimResult.insertId;
+
+      await connection.execute(`
+        UPDATE rewards 
+        SET 
+          quantity = quantity - 1,
+          updated_at = NOW()
+        WHERE reward_id = ?
+      `, [rewardId]);
+
+      await connection.execute(`
+        UPDATE reward_contributions
+        SET status = 'claimed', claim_id = ?
+        WHERE reward_id = ? AND status = 'active'
+      `, [claimId, rewardId]);
+    }
+
+    await commitTransaction(connection);
+
+    res.status(201).json({
       success: true,
       data: {
-        message: `Nagrada "${rewardInfo.title}" je bila uspešno izbrisana`
+        contribution: {
+          contribution_id: contributionId,
+          reward_id: reward.reward_id,
+          points
+        },
+        funded_points: claimId ? reward.cost_points : fundedPoints + points,
+        remaining_points: remainingPoints - points,
+        unlocked: Boolean(claimId),
+        claim_id: claimId,
+        message: claimId
+          ? `Skupna nagrada "${reward.title}" je odklenjena in čaka na izvedbo`
+          : `Prispevali ste ${points} točk za nagrado "${reward.title}"`
       }
     });
 
   } catch (error) {
-    console.error('Delete reward error:', error);
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
+    console.error('Contribute to reward error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'DELETE_REWARD_ERROR',
-        message: 'Napaka pri brisanju nagrade'
+        code: 'CONTRIBUTE_REWARD_ERROR',
+        message: 'Napaka pri prispevanju točk za nagrado'
       }
     });
   }
@@ -562,18 +2470,27 @@ router.post('/:id/claim', validate(rewardSchemas.claim), async (req, res) => {
     // Begin transaction
     connection = await beginTransaction();
 
-    // Get reward details
-    const reward = await queryOne(`
+    // Get reward details, locking the row so concurrent claims see the quantity
+    const [[reward]] = await connection.execute(`
       SELECT 
         r.reward_id,
         r.household_id,
         r.title,
         r.cost_points,
         r.quantity,
+        r.reward_type,
+        r.member_limit_count,
+        r.member_limit_days,
+        r.member_cooldown_hours,
+        r.household_cooldown_hours,
+        DATE_FORMAT(r.available_from, '%Y-%m-%d') as available_from,
+        DATE_FORMAT(r.available_until, '%Y-%m-%d') as available_until,
+        r.available_weekdays,
         r.is_active
       FROM rewards r
       JOIN household_members hm ON r.household_id = hm.household_id
       WHERE r.reward_id = ? AND hm.user_id = ? AND hm.is_active = 1 AND r.is_active = 1
+      FOR UPDATE
     `, [rewardId, req.user.userId]);
 
     if (!reward) {
@@ -587,6 +2504,36 @@ router.post('/:id/claim', validate(rewardSchemas.claim), async (req, res) => {
       });
     }
 
+    // Group rewards are claimed automatically once fully funded
+    if (reward.reward_type === 'group') {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'GROUP_REWARD',
+          message: 'Skupno nagrado odklenete s prispevki točk'
+        }
+      });
+    }
+
+    // Only claimable within the reward's window
+    const clock = await loadHouseholdClock(reward.household_id);
+    const rewardWindow = getRewardWindow(reward, clock.today);
+
+    if (!rewardWindow.is_in_window) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'REWARD_OUTSIDE_WINDOW',
+          message: rewardWindow.next_available_date
+            ? `Nagrada bo na voljo od ${rewardWindow.next_available_date}`
+            : 'Nagrada ni več na voljo',
+          next_available_date: rewardWindow.next_available_date
+        }
+      });
+    }
+
     // Check if reward is available
     if (reward.quantity <= 0) {
       await rollbackTransaction(connection);
@@ -599,29 +2546,43 @@ router.post('/:id/claim', validate(rewardSchemas.claim), async (req, res) => {
       });
     }
 
-    // Check user's available points
-    const userPoints = await queryOne(`
-      SELECT 
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as available_points
-      FROM task_completions tc
-      LEFT JOIN reward_claims rc ON rc.claimed_by = tc.completed_by AND rc.status = 'fulfilled'
-      JOIN task_assignments ta ON tc.assignment_id = ta.assignment_id
-      JOIN tasks t ON ta.task_id = t.task_id
-      WHERE tc.completed_by = ? AND t.household_id = ?
-    `, [req.user.userId, reward.household_id]);
-
-    if (userPoints.available_points < reward.cost_points) {
+    // Check the reward's claim limits and cooldowns and the daily spending cap;
+    // the member's balance is locked first so their claims are counted in turn
+    await lockMemberPoints(connection, req.user.userId, reward.household_id);
+    const block = (await getClaimBlocks([reward], req.user.userId, connection))[reward.reward_id];
+
+    if (block) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: block
+      });
+    }
+
+    // Check user's available points; points of pending claims are already held
+    // and points locked toward a goal for this reward may be spent on it
+    const userPoints = await calculateUserPoints(req.user.userId, reward.household_id, connection);
+
+    const [[goal]] = await connection.execute(`
+      SELECT goal_id, locked_points
+      FROM savings_goals
+      WHERE reward_id = ? AND user_id = ? AND status = 'active'
+      FOR UPDATE
+    `, [rewardId, req.user.userId]);
+    const spendablePoints = userPoints.available_points + (goal ? goal.locked_points : 0);
+
+    if (spendablePoints < reward.cost_points) {
       await rollbackTransaction(connection);
       return res.status(400).json({
         success: false,
         error: {
           code: 'INSUFFICIENT_POINTS',
-          message: `Potrebujete ${reward.cost_points} točk, imate pa ${userPoints.available_points} točk`
+          message: `Potrebujete ${reward.cost_points} točk, na voljo pa imate ${spendablePoints} točk`
         }
       });
     }
 
-    // Create reward claim
+    // Create reward claim; its points are held until it is fulfilled or released
     const claimResult = await connection.execute(`
       INSERT INTO reward_claims (
         reward_id, claimed_by, claimed_at, points_spent
@@ -639,6 +2600,15 @@ router.post('/:id/claim', validate(rewardSchemas.claim), async (req, res) => {
       WHERE reward_id = ?
     `, [rewardId]);
 
+    // The goal is reached; its locked points are now held by the claim
+    if (goal) {
+      await connection.execute(`
+        UPDATE savings_goals
+        SET status = 'completed', claim_id = ?, completed_at = NOW(), updated_at = NOW()
+        WHERE goal_id = ?
+      `, [claimId, goal.goal_id]);
+    }
+
     // Commit transaction
     await commitTransaction(connection);
 
@@ -662,7 +2632,8 @@ router.post('/:id/claim', validate(rewardSchemas.claim), async (req, res) => {
       success: true,
       data: {
         claim,
-        remaining_points: userPoints.available_points - reward.cost_points,
+        remaining_points: spendablePoints - reward.cost_points,
+        reserved_points: userPoints.reserved_points + reward.cost_points,
         message: `Uspešno ste uveljavljali nagradno "${reward.title}" za ${reward.cost_points} točk`
       }
     });
@@ -793,6 +2764,8 @@ router.get('/claims/my', async (req, res) => {
 // =============================================================================
 
 router.post('/claims/:id/fulfill', async (req, res) => {
+  let connection;
+
   try {
     const claimId = req.params.id;
 
@@ -803,8 +2776,10 @@ router.post('/claims/:id/fulfill', async (req, res) => {
         rc.reward_id,
         rc.claimed_by,
         rc.status,
+        rc.points_spent,
         r.title as reward_title,
         r.household_id,
+        r.reward_type,
         -- Claimed by user info
         u.first_name as claimed_by_first_name,
         u.last_name as claimed_by_last_name
@@ -865,16 +2840,54 @@ router.post('/claims/:id/fulfill', async (req, res) => {
       });
     }
 
-    // Fulfill the claim
-    await query(`
+    if (claimInfo.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Zahtevek ni več v stanju pending'
+        }
+      });
+    }
+
+    // Fulfill the claim and turn its held points into spent points
+    connection = await beginTransaction();
+
+    const [fulfillResult] = await connection.execute(`
       UPDATE reward_claims 
       SET 
         status = 'fulfilled',
         fulfilled_at = NOW(),
         fulfilled_by_user_id = ?
-      WHERE claim_id = ?
+      WHERE claim_id = ? AND status = 'pending'
     `, [req.user.userId, claimId]);
 
+    if (fulfillResult.affectedRows === 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Zahtevek ni več v stanju pending'
+        }
+      });
+    }
+
+    // Contributions to a group reward were already spent when made
+    if (claimInfo.reward_type !== 'group') {
+      await addLedgerEntry({
+        household_id: claimInfo.household_id,
+        user_id: claimInfo.claimed_by,
+        entry_type: 'spent',
+        points: -claimInfo.points_spent,
+        claim_id: claimInfo.claim_id,
+        description: claimInfo.reward_title,
+        created_by_user_id: req.user.userId
+      }, connection);
+    }
+
+    await commitTransaction(connection);
+
     res.json({
       success: true,
       data: {
@@ -883,6 +2896,10 @@ router.post('/claims/:id/fulfill', async (req, res) => {
     });
 
   } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
+
     console.error('Fulfill reward claim error:', error);
     res.status(500).json({
       success: false,
@@ -966,11 +2983,13 @@ router.get('/claims/:id', async (req, res) => {
 // =============================================================================
 
 router.post('/claims/:id/reject', async (req, res) => {
+  let connection;
+
   try {
     const claimId = req.params.id;
     const { admin_notes='' } = req.body;
 
-    const claim = await queryOne(`SELECT rc.*, r.household_id, r.title as reward_title FROM reward_claims rc JOIN rewards r ON rc.reward_id = r.reward_id WHERE rc.claim_id = ?`, [claimId]);
+    const claim = await queryOne(`SELECT rc.*, r.household_id, r.title as reward_title, r.reward_type FROM reward_claims rc JOIN rewards r ON rc.reward_id = r.reward_id WHERE rc.claim_id = ?`, [claimId]);
     if (!claim) return res.status(404).json({ success:false, error:{ code:'CLAIM_NOT_FOUND', message:'Zahtevek ni najden' } });
 
     const member = await queryOne(`SELECT role FROM household_members WHERE household_id=? AND user_id=? AND is_active=1`, [claim.household_id, req.user.userId]);
@@ -982,11 +3001,32 @@ router.post('/claims/:id/reject', async (req, res) => {
       return res.status(400).json({ success:false, error:{ code:'INVALID_STATUS', message:'Zahtevek ni več v stanju pending' } });
     }
 
-    await query(`UPDATE reward_claims SET status='cancelled', admin_notes=? , fulfilled_by_user_id=? , fulfilled_at=NOW() WHERE claim_id=?`, [admin_notes, req.user.userId, claimId]);
+    // Release the held points and restock the reward
+    connection = await beginTransaction();
+
+    const [released] = await connection.execute(`UPDATE reward_claims SET status='cancelled', admin_notes=? , fulfilled_by_user_id=? , fulfilled_at=NOW() WHERE claim_id=? AND status='pending'`, [admin_notes, req.user.userId, claimId]);
+
+    if (released.affectedRows === 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({ success:false, error:{ code:'INVALID_STATUS', message:'Zahtevek ni več v stanju pending' } });
+    }
+
+    await restockReward(connection, claim.reward_id);
+    await reopenSavingsGoal(connection, claim.claim_id);
+
+    // A rejected group reward gives its contributors their points back
+    if (claim.reward_type === 'group') {
+      await refundContributions(connection, { reward_id: claim.reward_id, household_id: claim.household_id, title: claim.reward_title }, claim.claim_id, req.user.userId);
+    }
+
+    await commitTransaction(connection);
 
-    res.json({ success:true, data:{ message:`Zahtevek za nagrado "${claim.reward_title}" zavrnjen.` } });
+    res.json({ success:true, data:{ message:`Zahtevek za nagrado "${claim.reward_title}" zavrnjen.`, released_points: claim.points_spent } });
 
   } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
     console.error('Reject claim error:', error);
     res.status(500).json({ success:false, error:{ code:'REJECT_CLAIM_ERROR', message:'Napaka pri zavrnitvi zahtevka' } });
   }
@@ -997,23 +3037,46 @@ router.post('/claims/:id/reject', async (req, res) => {
 // =============================================================================
 
 router.delete('/claims/:id', async (req,res)=>{
+  let connection;
+
   try {
     const claimId = req.params.id;
-    const claim = await queryOne('SELECT * FROM reward_claims WHERE claim_id=?', [claimId]);
+    const claim = await queryOne('SELECT rc.*, r.reward_type FROM reward_claims rc JOIN rewards r ON rc.reward_id = r.reward_id WHERE rc.claim_id=?', [claimId]);
     if (!claim) return res.status(404).json({ success:false, error:{ code:'CLAIM_NOT_FOUND', message:'Zahtevek ni najden' } });
 
     if (claim.claimed_by !== req.user.userId) {
       return res.status(403).json({ success:false, error:{ code:'PERMISSION_DENIED', message:'Lahko prekličete le svoje zahteve' } });
     }
 
+    // Group claims belong to all contributors; only a parent can reject them
+    if (claim.reward_type === 'group') {
+      return res.status(400).json({ success:false, error:{ code:'GROUP_REWARD', message:'Skupne nagrade ni mogoče preklicati' } });
+    }
+
     if (claim.status !== 'pending') {
       return res.status(400).json({ success:false, error:{ code:'INVALID_STATUS', message:'Zahtevek ni več v stanju pending' } });
     }
 
-    await query('DELETE FROM reward_claims WHERE claim_id = ?', [claimId]);
-    res.json({ success:true, data:{ message:'Zahtevek preklican' } });
+    // Release the held points and restock the reward
+    connection = await beginTransaction();
+
+    const [released] = await connection.execute(`UPDATE reward_claims SET status='cancelled' WHERE claim_id=? AND status='pending'`, [claimId]);
+
+    if (released.affectedRows === 0) {
+      await rollbackTransaction(connection);
+      return res.status(400).json({ success:false, error:{ code:'INVALID_STATUS', message:'Zahtevek ni več v stanju pending' } });
+    }
+
+    await restockReward(connection, claim.reward_id);
+    await reopenSavingsGoal(connection, claim.claim_id);
+    await commitTransaction(connection);
+
+    res.json({ success:true, data:{ message:'Zahtevek preklican', released_points: claim.points_spent } });
 
   } catch (error) {
+    if (connection) {
+      await rollbackTransaction(connection);
+    }
     console.error('Delete claim error:', error);
     res.status(500).json({ success:false, error:{ code:'DELETE_CLAIM_ERROR', message:'Napaka pri preklicu zahtevka' } });
   }
@@ -0,0 +1,251 @@
+// Routes run against an in-memory stand-in for the database pool: each
+// statement is answered by the first handler whose pattern matches it
+const mockDb = {};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({
+    execute: async (sql, params) => mockDb.execute(sql, params),
+    getConnection: async () => mockDb.connect()
+  })
+}));
+
+const express = require('express');
+const rewardRoutes = require('./rewards');
+
+let state;
+let server;
+let baseUrl;
+
+function resetState() {
+  state = {
+    household: { household_id: 1, timezone: 'Europe/Ljubljana', week_start: 1, claim_daily_points_cap: 0 },
+    members: [
+      { user_id: 1, first_name: 'Maja', last_name: 'Novak', role: 'owner' },
+      { user_id: 2, first_name: 'Luka', last_name: 'Novak', role: 'member' },
+      { user_id: 3, first_name: 'Ana', last_name: 'Novak', role: 'member' }
+    ],
+    rewards: [
+      { reward_id: 1, title: 'Kino', cost_points: 60, quantity: 2 },
+      { reward_id: 2, title: 'Sladoled', cost_points: 60, quantity: 2 }
+    ].map(reward => ({
+      household_id: 1,
+      description: null,
+      reward_type: 'individual',
+      member_limit_count: 0,
+      member_limit_days: 0,
+      member_cooldown_hours: 0,
+      household_cooldown_hours: 0,
+      available_from: null,
+      available_until: null,
+      available_weekdays: null,
+      is_active: 1,
+      ...reward
+    })),
+    claims: [],
+    ledger: [],
+    log: []
+  };
+}
+
+function earn(userId, points) {
+  state.ledger.push({ entry_id: state.ledger.length + 1, household_id: 1, user_id: userId, entry_type: 'earned', points });
+}
+
+const member = userId => state.members.find(m => m.user_id === Number(userId));
+const reward = rewardId => state.rewards.find(r => r.reward_id === Number(rewardId));
+const entriesOf = userId => state.ledger.filter(entry => entry.user_id === userId);
+const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+const HANDLERS = [
+  [/FROM rewards r\s+JOIN household_members hm[\s\S]*FOR UPDATE/, ([rewardId, userId]) => {
+    state.log.push('reward');
+    return member(userId) && reward(rewardId) ? [{ ...reward(rewardId) }] : [];
+  }],
+  [/SELECT membership_id\s+FROM household_members[\s\S]*FOR UPDATE/, ([, userId]) => {
+    state.log.push('member');
+    return [{ membership_id: userId }];
+  }],
+  [/as current_points/, ([userId]) => {
+    state.log.push('balance');
+    const entries = entriesOf(userId);
+    const held = state.claims.filter(c => c.claimed_by === userId && c.status === 'pending');
+    return [{
+      total_earned: sum(entries.filter(e => e.entry_type === 'earned'), e => e.points),
+      total_spent: -sum(entries.filter(e => e.entry_type === 'spent'), e => e.points),
+      current_points: sum(entries, e => e.points),
+      reserved_points: sum(held, c => c.points_spent),
+      locked_points: 0
+    }];
+  }],
+  [/SELECT timezone, week_start FROM households/, () => [state.household]],
+  [/SELECT claim_daily_points_cap/, () => [state.household]],
+  [/MAX\(claimed_at\) as last_claimed_at/, () => []],
+  [/FROM savings_goals/, () => []],
+  [/INSERT INTO reward_claims/, ([rewardId, userId, points]) => {
+    const claim = { claim_id: state.claims.length + 1, reward_id: Number(rewardId), claimed_by: userId, points_spent: points, status: 'pending' };
+    state.claims.push(claim);
+    return { insertId: claim.claim_id, affectedRows: 1 };
+  }],
+  [/UPDATE rewards\s+SET\s+quantity = quantity ([+-]) 1/, ([rewardId], sql) => {
+    reward(rewardId).quantity += sql.includes('quantity + 1') ? 1 : -1;
+    return { affectedRows: 1 };
+  }],
+  [/FROM reward_claims\b[\s\S]*WHERE (rc\.)?claim_id ?= ?\?/, ([claimId]) => {
+    const claim = state.claims.find(c => c.claim_id === Number(claimId));
+    if (!claim) return [];
+    const { household_id, title, description, reward_type } = reward(claim.reward_id);
+    const claimant = member(claim.claimed_by);
+    return [{
+      ...claim,
+      household_id,
+      reward_type,
+      reward_title: title,
+      reward_description: description,
+      claimed_by_first_name: claimant.first_name,
+      claimed_by_last_name: claimant.last_name
+    }];
+  }],
+  [/FROM household_members hm\s+WHERE hm\.household_id = \? AND hm\.user_id = \?/, ([, userId]) => [{ ...member(userId), can_create_rewards: 0 }]],
+  [/SELECT role FROM household_members/, ([, userId]) => [member(userId)]],
+  [/UPDATE reward_claims/, (params, sql) => {
+    const claim = state.claims.find(c => c.claim_id === Number(params[params.length - 1]) && c.status === 'pending');
+    if (claim) claim.status = /status\s*=\s*'fulfilled'/.test(sql) ? 'fulfilled' : 'cancelled';
+    return { affectedRows: claim ? 1 : 0 };
+  }],
+  [/INSERT INTO points_ledger/, (params, sql) => {
+    const columns = sql.match(/INSERT INTO points_ledger \(([^)]*)\)/)[1]
+      .split(',').map(column => column.trim()).filter(column => column !== 'created_at');
+    const entry = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+    entry.entry_id = state.ledger.length + 1;
+    state.ledger.push(entry);
+    return { insertId: entry.entry_id, affectedRows: 1 };
+  }]
+];
+
+function execute(sql, params = []) {
+  const handler = HANDLERS.find(([pattern]) => pattern.test(sql));
+  if (!handler) {
+    throw new Error(`Unexpected statement: ${sql}`);
+  }
+  return [handler[1](params, sql)];
+}
+
+mockDb.execute = execute;
+
+// A transaction works on the shared state and restores it on rollback
+mockDb.connect = () => {
+  let snapshot;
+  return {
+    execute: async (sql, params) => execute(sql, params),
+    beginTransaction: async () => { snapshot = structuredClone(state); },
+    commit: async () => {},
+    rollback: async () => { state = { ...snapshot, log: state.log }; },
+    release: () => {}
+  };
+};
+
+async function request(method, path, userId, body) {
+  const res = await fetch(`${baseUrl}/rewards${path}`, {
+    method,
+    headers: { 'content-type': 'application/json', 'x-user-id': String(userId) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+beforeAll(done => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const user = member(req.headers['x-user-id']);
+    req.user = { ...user, userId: user.user_id };
+    req.userId = user.user_id;
+    next();
+  });
+  app.use('/rewards', rewardRoutes);
+
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  resetState();
+});
+
+describe('reward claims', () => {
+  test('holds the points of a pending claim for claims of other rewards', async () => {
+    earn(2, 100);
+
+    const first = await request('POST', '/1/claim', 2, {});
+    expect(first.status).toBe(201);
+    expect(first.body.data.remaining_points).toBe(40);
+    expect(first.body.data.reserved_points).toBe(60);
+    expect(entriesOf(2)).toHaveLength(1);
+
+    const second = await request('POST', '/2/claim', 2, {});
+    expect(second.status).toBe(400);
+    expect(second.body.error.code).toBe('INSUFFICIENT_POINTS');
+    expect(reward(2).quantity).toBe(2);
+  });
+
+  test('locks the reward and the member before reading the balance', async () => {
+    earn(2, 100);
+
+    await request('POST', '/1/claim', 2, {});
+
+    expect(state.log[0]).toBe('reward');
+    expect(state.log.indexOf('member')).toBeGreaterThan(0);
+    expect(state.log.indexOf('member')).toBeLessThan(state.log.indexOf('balance'));
+  });
+
+  test('spends the held points once fulfilled', async () => {
+    earn(2, 100);
+    await request('POST', '/1/claim', 2, {});
+
+    expect((await request('POST', '/claims/1/fulfill', 2)).status).toBe(403);
+    expect((await request('POST', '/claims/1/fulfill', 1)).status).toBe(200);
+
+    expect(entriesOf(2).map(e => [e.entry_type, e.points, e.claim_id])).toEqual([
+      ['earned', 100, undefined],
+      ['spent', -60, 1]
+    ]);
+    expect(reward(1).quantity).toBe(1);
+
+    const again = await request('POST', '/claims/1/reject', 1, {});
+    expect(again.status).toBe(400);
+    expect(again.body.error.code).toBe('INVALID_STATUS');
+  });
+
+  test('releases the points and restocks the reward when rejected', async () => {
+    earn(2, 100);
+    await request('POST', '/1/claim', 2, {});
+
+    expect((await request('POST', '/claims/1/reject', 1, { admin_notes: 'Ne danes' })).status).toBe(200);
+
+    expect(state.claims[0].status).toBe('cancelled');
+    expect(reward(1).quantity).toBe(2);
+    expect(entriesOf(2)).toHaveLength(1);
+    expect((await request('POST', '/2/claim', 2, {})).status).toBe(201);
+  });
+
+  test('lets only the claimant cancel a pending claim', async () => {
+    earn(2, 100);
+    await request('POST', '/1/claim', 2, {});
+
+    expect((await request('DELETE', '/claims/1', 3)).status).toBe(403);
+    expect((await request('DELETE', '/claims/1', 2)).status).toBe(200);
+
+    expect(state.claims[0].status).toBe('cancelled');
+    expect(reward(1).quantity).toBe(2);
+
+    const again = await request('DELETE', '/claims/1', 2);
+    expect(again.status).toBe(400);
+    expect(again.body.error.code).toBe('INVALID_STATUS');
+  });
+});
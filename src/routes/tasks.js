@@ -3,9 +3,19 @@
 // =============================================================================
 
 const express = require('express');
-const { query, queryOne } = require('../models/database');
+const moment = require('moment');
+const { query, queryOne, getNextCycleUser, loadHouseholdClock, previewScheduledAssignments } = require('../models/database');
 const { requireHouseholdAccess, requirePermission } = require('../middleware/auth');
 const { validate, taskSchemas } = require('../middleware/validation');
+const { normalizeRecurrence, parseRecurrence, getTaskOccurrences } = require('../utils/recurrence');
+
+// How many upcoming occurrences GET /tasks/:id returns by default and at most
+const DEFAULT_OCCURRENCES = 5;
+const MAX_OCCURRENCES = 50;
+
+// Days covered by GET /tasks/schedule-preview by default and at most
+const DEFAULT_PREVIEW_DAYS = 14;
+const MAX_PREVIEW_DAYS = 31;
 
 const router = express.Router();
 
@@ -115,6 +125,10 @@ router.get('/', async (req, res) => {
         t.category_id,
         t.difficulty_minutes,
         t.frequency,
+        t.specific_date,
+        t.recurrence_rule,
+        t.point_value,
+        t.point_multiplier,
         t.requires_photo,
         t.auto_assign,
         t.created_at,
@@ -177,6 +191,137 @@ router.get('/', async (req, res) => {
   }
 });
 
+// =============================================================================
+// GET /tasks/schedule-preview - Dry Run of Upcoming Generated Assignments
+// =============================================================================
+
+router.get('/schedule-preview', async (req, res) => {
+  try {
+    const { household_id, auto_assign_task_ids } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || DEFAULT_PREVIEW_DAYS, 1), MAX_PREVIEW_DAYS);
+
+    if (!household_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ID_REQUIRED',
+          message: 'ID gospodinjstva je obvezen'
+        }
+      });
+    }
+
+    // Verify user has access to this household
+    const hasAccess = await queryOne(`
+      SELECT membership_id FROM household_members 
+      WHERE household_id = ? AND user_id = ? AND is_active = 1
+    `, [household_id, req.user.userId]);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    // Tasks to preview as if auto_assign were already turned on
+    const autoAssignTaskIds = String(auto_assign_task_ids || '')
+      .split(',')
+      .map(id => parseInt(id))
+      .filter(id => !isNaN(id));
+
+    const preview = await previewScheduledAssignments(parseInt(household_id), days, autoAssignTaskIds);
+
+    // Assignments that already exist in the window
+    const existing = await query(`
+      SELECT 
+        ta.assignment_id,
+        ta.task_id,
+        ta.assigned_to_user_id as user_id,
+        DATE_FORMAT(ta.due_date, '%Y-%m-%d') as due_date,
+        ta.status
+      FROM task_assignments ta
+      JOIN tasks t ON ta.task_id = t.task_id
+      WHERE t.household_id = ? 
+        AND t.is_active = 1
+        AND ta.is_active = 1
+        AND DATE(ta.due_date) BETWEEN ? AND ?
+    `, [household_id, preview.from, preview.to]);
+
+    const tasks = await query(`
+      SELECT task_id, title, difficulty_minutes, frequency, recurrence_rule, auto_assign
+      FROM tasks
+      WHERE household_id = ? AND is_active = 1
+    `, [household_id]);
+
+    const members = await query(`
+      SELECT hm.user_id, u.first_name, u.last_name, u.profile_image
+      FROM household_members hm
+      JOIN users u ON hm.user_id = u.user_id
+      WHERE hm.household_id = ? AND hm.is_active = 1
+    `, [household_id]);
+
+    const tasksById = {};
+    tasks.forEach(task => { tasksById[task.task_id] = task; });
+
+    const entries = [
+      ...existing.map(entry => ({ ...entry, source: 'existing' })),
+      ...preview.assignments.map(entry => ({ ...entry, assignment_id: null, status: 'projected', source: 'projected' }))
+    ]
+      .filter(entry => tasksById[entry.task_id])
+      .map(entry => ({
+        ...entry,
+        task_title: tasksById[entry.task_id].title,
+        difficulty_minutes: tasksById[entry.task_id].difficulty_minutes
+      }))
+      .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.task_id - b.task_id);
+
+    // Group per day (including empty days) and per member
+    const byDay = [];
+    for (let date = moment(preview.from); !date.isAfter(preview.to, 'day'); date.add(1, 'day')) {
+      const day = date.format('YYYY-MM-DD');
+      byDay.push({
+        date: day,
+        assignments: entries.filter(entry => entry.due_date === day)
+      });
+    }
+
+    const byMember = members.map(member => {
+      const assignments = entries.filter(entry => entry.user_id === member.user_id);
+      return {
+        ...member,
+        assignment_count: assignments.length,
+        projected_count: assignments.filter(entry => entry.source === 'projected').length,
+        total_minutes: assignments.reduce((sum, entry) => sum + (entry.difficulty_minutes || 0), 0),
+        assignments
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: preview.from,
+        to: preview.to,
+        auto_assign_task_ids: autoAssignTaskIds,
+        days: byDay,
+        members: byMember
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_PREVIEW_ERROR',
+        message: 'Napaka pri pripravi predogleda razporeda'
+      }
+    });
+  }
+});
+
 // =============================================================================
 // GET /tasks/:id - Get Single Task
 // =============================================================================
@@ -194,8 +339,13 @@ router.get('/:id', async (req, res) => {
         t.category_id,
         t.difficulty_minutes,
         t.frequency,
+        t.specific_date,
+        t.recurrence_rule,
+        t.point_value,
+        t.point_multiplier,
         t.requires_photo,
         t.auto_assign,
+        t.cycle_position,
         t.created_at,
         t.updated_at,
         t.created_by_user_id,
@@ -268,10 +418,47 @@ router.get('/:id', async (req, res) => {
       LIMIT 10
     `, [taskId]);
 
+    // Get rotation order and the user the next generated assignment goes to
+    const cycleUsers = await query(`
+      SELECT 
+        tcu.user_id,
+        tcu.position,
+        u.first_name,
+        u.last_name,
+        u.profile_image,
+        COALESCE(hm.is_active, 0) as is_active_member
+      FROM task_cycle_users tcu
+      JOIN users u ON tcu.user_id = u.user_id
+      LEFT JOIN household_members hm ON hm.user_id = tcu.user_id AND hm.household_id = ?
+      WHERE tcu.task_id = ?
+      ORDER BY tcu.position ASC
+    `, [task.household_id, taskId]);
+
+    const nextCycleUser = await getNextCycleUser(task);
+
+    // Upcoming occurrences of a custom recurrence, from today in the household's timezone
+    let recurrence = null;
+    if (task.recurrence_rule) {
+      const limit = Math.min(parseInt(req.query.occurrences) || DEFAULT_OCCURRENCES, MAX_OCCURRENCES);
+      const clock = await loadHouseholdClock(task.household_id);
+
+      recurrence = {
+        rule: task.recurrence_rule,
+        parsed: parseRecurrence(task.recurrence_rule),
+        next_occurrences: getTaskOccurrences(task, clock.today, limit)
+      };
+    }
+
     res.json({
       success: true,
       data: {
         task,
+        cycle: {
+          users: cycleUsers,
+          current_position: task.cycle_position,
+          next_user_id: nextCycleUser ? nextCycleUser.user_id : null
+        },
+        recurrence,
         recent_assignments: recentAssignments,
         recent_completions: recentCompletions
       }
@@ -302,8 +489,12 @@ router.post('/', validate(taskSchemas.create), async (req, res) => {
       category_id,
       difficulty_minutes,
       frequency,
+      specific_date = null,
       requires_photo = false,
-      auto_assign = false
+      auto_assign = false,
+      recurrence = null,
+      point_value = null,
+      point_multiplier = null
     } = req.body;
 
     // Verify access and permissions
@@ -357,12 +548,15 @@ router.post('/', validate(taskSchemas.create), async (req, res) => {
     const taskResult = await query(`
       INSERT INTO tasks (
         household_id, title, description, category_id, 
-        difficulty_minutes, frequency, requires_photo, auto_assign, 
-        created_by_user_id, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+        difficulty_minutes, frequency, specific_date, recurrence_rule, requires_photo, auto_assign, 
+        point_value, point_multiplier, created_by_user_id, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
     `, [
       household_id, title, description, category_id,
-      difficulty_minutes, frequency, requires_photo, auto_assign,
+      difficulty_minutes, frequency, specific_date,
+      recurrence ? normalizeRecurrence(recurrence) : null,
+      requires_photo, auto_assign,
+      point_value, point_multiplier,
       req.user.userId
     ]);
 
@@ -378,6 +572,10 @@ router.post('/', validate(taskSchemas.create), async (req, res) => {
         t.category_id,
         t.difficulty_minutes,
         t.frequency,
+        t.specific_date,
+        t.recurrence_rule,
+        t.point_value,
+        t.point_multiplier,
         t.requires_photo,
         t.auto_assign,
         t.created_at,
@@ -396,16 +594,6 @@ router.post('/', validate(taskSchemas.create), async (req, res) => {
     // Handle cycle_users list if provided and auto_assign is true
     const { cycle_users } = req.body;
     if (auto_assign && Array.isArray(cycle_users) && cycle_users.length) {
-      // Ensure helper table exists
-      await query(`CREATE TABLE IF NOT EXISTS task_cycle_users (
-        task_id INT NOT NULL,
-        user_id INT NOT NULL,
-        position INT DEFAULT 0,
-        PRIMARY KEY (task_id, user_id),
-        FOREIGN KEY (task_id) REFERENCES tasks(task_id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
-
       // Remove previous (should be none for new task) and insert
       await query('DELETE FROM task_cycle_users WHERE task_id = ?', [taskId]);
       for (let i = 0; i < cycle_users.length; i++) {
@@ -447,8 +635,12 @@ router.put('/:id', validate(taskSchemas.update), async (req, res) => {
       category_id,
       difficulty_minutes,
       frequency,
+      specific_date,
+      recurrence,
       requires_photo,
-      auto_assign
+      auto_assign,
+      point_value,
+      point_multiplier
     } = req.body;
 
     // Check if task exists and get household_id
@@ -534,8 +726,15 @@ router.put('/:id', validate(taskSchemas.update), async (req, res) => {
     if(nCat!==null) { fields.push('category_id = ?'); params.push(nCat); }
     if(nDiff!==null) { fields.push('difficulty_minutes = ?'); params.push(nDiff); }
     if(nFreq!==null) { fields.push('frequency = ?'); params.push(nFreq); }
+    // specific_date may be explicitly cleared with null
+    if(specific_date!==undefined) { fields.push('specific_date = ?'); params.push(specific_date); }
+    // recurrence null switches back to plain frequency
+    if(recurrence!==undefined) { fields.push('recurrence_rule = ?'); params.push(recurrence ? normalizeRecurrence(recurrence) : null); }
     if(nReq!==null) { fields.push('requires_photo = ?'); params.push(nReq); }
     if(nAuto!==null) { fields.push('auto_assign = ?'); params.push(nAuto); }
+    // point overrides null fall back to the household formula
+    if(point_value!==undefined) { fields.push('point_value = ?'); params.push(point_value); }
+    if(point_multiplier!==undefined) { fields.push('point_multiplier = ?'); params.push(point_multiplier); }
 
     if(fields.length){
       const sql=`UPDATE tasks SET ${fields.join(', ')}, updated_at = NOW() WHERE task_id = ?`;
@@ -553,6 +752,10 @@ router.put('/:id', validate(taskSchemas.update), async (req, res) => {
         t.category_id,
         t.difficulty_minutes,
         t.frequency,
+        t.specific_date,
+        t.recurrence_rule,
+        t.point_value,
+        t.point_multiplier,
         t.requires_photo,
         t.auto_assign,
         t.created_at,
@@ -571,16 +774,9 @@ router.put('/:id', validate(taskSchemas.update), async (req, res) => {
 
     // If cycle_users provided, sync table
     if (req.body.cycle_users) {
-      await query(`CREATE TABLE IF NOT EXISTS task_cycle_users (
-        task_id INT NOT NULL,
-        user_id INT NOT NULL,
-        position INT DEFAULT 0,
-        PRIMARY KEY (task_id, user_id),
-        FOREIGN KEY (task_id) REFERENCES tasks(task_id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`);
-
       await query('DELETE FROM task_cycle_users WHERE task_id = ?', [taskId]);
+      // A new order restarts the rotation from the first user
+      await query('UPDATE tasks SET cycle_position = NULL WHERE task_id = ?', [taskId]);
       if (Array.isArray(req.body.cycle_users) && req.body.cycle_users.length) {
         for (let i = 0; i < req.body.cycle_users.length; i++) {
           const uid = req.body.cycle_users[i];
@@ -4,19 +4,50 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { query, queryOne } = require('../models/database');
+const { query, queryOne, getUserHouseholdBalances, calculateUserPoints } = require('../models/database');
 const { authenticate } = require('../middleware/auth');
 const { validate, userSchemas } = require('../middleware/validation');
 const { uploadSingle } = require('../utils/upload');
 
 const router = express.Router();
 
+/**
+ * Resolve the household a request is scoped to: the requested household if
+ * the user is an active member of it, otherwise the most recently joined one.
+ * Returns null when the user has no access to the requested household.
+ */
+async function resolveUserHousehold(userId, householdId) {
+  return queryOne(`
+    SELECT h.household_id, h.name as household_name, hm.role
+    FROM household_members hm
+    JOIN households h ON hm.household_id = h.household_id
+    WHERE hm.user_id = ? AND hm.is_active = 1 AND h.is_active = 1
+      ${householdId ? 'AND hm.household_id = ?' : ''}
+    ORDER BY hm.joined_at DESC
+    LIMIT 1
+  `, householdId ? [userId, parseInt(householdId)] : [userId]);
+}
+
 // =============================================================================
 // GET /users/profile - Get User Profile
 // =============================================================================
 
 router.get('/profile', async (req, res) => {
   try {
+    const { household_id } = req.query;
+
+    const household = await resolveUserHousehold(req.user.userId, household_id);
+
+    if (!household && household_id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
     const user = await queryOne(`
       SELECT 
         u.user_id,
@@ -30,18 +61,21 @@ router.get('/profile', async (req, res) => {
         h.household_id,
         h.name as household_name,
         hm.role as household_role,
-        -- Point totals
-        COALESCE(SUM(tc.points_earned), 0) as total_points_earned,
-        COALESCE(SUM(rc.points_spent), 0) as total_points_spent,
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as current_points
+        -- Point totals in the current household
+        (SELECT COALESCE(SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = h.household_id
+           AND pl.entry_type = 'earned') as total_points_earned,
+        (SELECT COALESCE(-SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = h.household_id
+           AND pl.entry_type = 'spent') as total_points_spent,
+        (SELECT COALESCE(SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = h.household_id) as current_points
       FROM users u
       LEFT JOIN household_members hm ON u.user_id = hm.user_id AND hm.is_active = 1
-      LEFT JOIN households h ON hm.household_id = h.household_id AND h.is_active = 1
-      LEFT JOIN task_completions tc ON u.user_id = tc.completed_by
-      LEFT JOIN reward_claims rc ON u.user_id = rc.claimed_by AND rc.status = 'fulfilled'
+        AND hm.household_id = ?
+      LEFT JOIN households h ON hm.household_id = h.household_id
       WHERE u.user_id = ? AND u.is_active = 1
-      GROUP BY u.user_id, h.household_id
-    `, [req.user.userId]);
+    `, [household ? household.household_id : null, req.user.userId]);
 
     if (!user) {
       return res.status(404).json({
@@ -53,10 +87,13 @@ router.get('/profile', async (req, res) => {
       });
     }
 
+    const pointsByHousehold = await getUserHouseholdBalances(req.user.userId);
+
     res.json({
       success: true,
       data: {
-        user
+        user,
+        points_by_household: pointsByHousehold
       }
     });
 
@@ -292,7 +329,34 @@ router.get('/households', async (req, res) => {
 
 router.get('/stats', async (req, res) => {
   try {
-    const { period = '30' } = req.query; // days
+    const { period = '30', household_id } = req.query; // days
+
+    const household = await resolveUserHousehold(req.user.userId, household_id);
+
+    if (!household) {
+      if (household_id) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'HOUSEHOLD_ACCESS_DENIED',
+            message: 'Nimate dostopa do tega doma'
+          }
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          household: null,
+          basic_stats: { current_balance: 0 },
+          category_performance: [],
+          weekly_trend: [],
+          period_days: parseInt(period)
+        }
+      });
+    }
+
+    const householdId = household.household_id;
 
     // Basic stats
     const basicStats = await queryOne(`
@@ -303,15 +367,23 @@ router.get('/stats', async (req, res) => {
         COALESCE(SUM(tc.points_earned), 0) as total_points_earned,
         COALESCE(SUM(CASE WHEN tc.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN tc.points_earned ELSE 0 END), 0) as recent_points_earned,
         -- Reward stats
-        COUNT(DISTINCT rc.claim_id) as total_rewards_claimed,
-        COALESCE(SUM(rc.points_spent), 0) as total_points_spent,
+        (SELECT COUNT(*) FROM reward_claims rc
+         JOIN rewards r ON rc.reward_id = r.reward_id
+         WHERE rc.claimed_by = u.user_id AND rc.status = 'fulfilled'
+           AND r.household_id = ?) as total_rewards_claimed,
+        (SELECT COALESCE(-SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = ?
+           AND pl.entry_type = 'spent') as total_points_spent,
         -- Current balance
-        COALESCE(SUM(tc.points_earned), 0) - COALESCE(SUM(rc.points_spent), 0) as current_balance
+        (SELECT COALESCE(SUM(pl.points), 0) FROM points_ledger pl
+         WHERE pl.user_id = u.user_id AND pl.household_id = ?) as current_balance
       FROM users u
-      LEFT JOIN task_completions tc ON u.user_id = tc.completed_by
-              LEFT JOIN reward_claims rc ON u.user_id = rc.claimed_by AND rc.status = 'fulfilled'
+      LEFT JOIN task_completions tc ON u.user_id = tc.completed_by AND tc.task_id IN (
+        SELECT task_id FROM tasks WHERE household_id = ?
+      )
       WHERE u.user_id = ?
-    `, [period, period, req.user.userId]);
+      GROUP BY u.user_id
+    `, [period, period, householdId, householdId, householdId, householdId, req.user.userId]);
 
     // Category performance
     const categoryStats = await query(`
@@ -326,10 +398,11 @@ router.get('/stats', async (req, res) => {
       JOIN tasks t ON ta.task_id = t.task_id
       JOIN task_categories cat ON t.category_id = cat.category_id
       WHERE tc.completed_by = ? 
+        AND t.household_id = ?
         AND tc.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
       GROUP BY cat.category_id, cat.name, cat.icon
       ORDER BY points_earned DESC
-    `, [req.user.userId, period]);
+    `, [req.user.userId, householdId, period]);
 
     // Weekly completion trend
     const weeklyTrend = await query(`
@@ -338,15 +411,18 @@ router.get('/stats', async (req, res) => {
         COUNT(tc.completion_id) as completions,
         SUM(tc.points_earned) as points_earned
       FROM task_completions tc
+      JOIN tasks t ON tc.task_id = t.task_id
       WHERE tc.completed_by = ? 
+        AND t.household_id = ?
         AND tc.completed_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
       GROUP BY DATE(tc.completed_at)
       ORDER BY completion_date
-    `, [req.user.userId]);
+    `, [req.user.userId, householdId]);
 
     res.json({
       success: true,
       data: {
+        household,
         basic_stats: basicStats,
         category_performance: categoryStats,
         weekly_trend: weeklyTrend,
@@ -366,6 +442,164 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// =============================================================================
+// GET /users/points - Get Point Balances by Household
+// =============================================================================
+
+router.get('/points', async (req, res) => {
+  try {
+    const balances = await getUserHouseholdBalances(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: req.user.userId,
+        balances
+      }
+    });
+
+  } catch (error) {
+    console.error('Get point balances error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_POINT_BALANCES_ERROR',
+        message: 'Napaka pri pridobivanju stanja točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /users/points/history - Get Points History for a Household
+// =============================================================================
+
+router.get('/points/history', async (req, res) => {
+  try {
+    const { household_id, limit = '50', offset = '0' } = req.query;
+
+    if (!household_id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ID_REQUIRED',
+          message: 'ID doma je obvezen'
+        }
+      });
+    }
+
+    const household = await resolveUserHousehold(req.user.userId, household_id);
+
+    if (!household) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'HOUSEHOLD_ACCESS_DENIED',
+          message: 'Nimate dostopa do tega doma'
+        }
+      });
+    }
+
+    const entries = await query(`
+      SELECT 
+        pl.entry_id,
+        pl.entry_type,
+        pl.points,
+        pl.completion_id,
+        pl.claim_id,
+        pl.transfer_id,
+        pl.payout_id,
+        pl.contribution_id,
+        pl.description,
+        pl.reverts_entry_id,
+        CASE WHEN revert.entry_id IS NULL THEN 0 ELSE 1 END as is_reverted,
+        pl.created_at,
+        creator.first_name as created_by_first_name,
+        creator.last_name as created_by_last_name
+      FROM points_ledger pl
+      LEFT JOIN users creator ON pl.created_by_user_id = creator.user_id
+      LEFT JOIN points_ledger revert ON revert.reverts_entry_id = pl.entry_id
+      WHERE pl.user_id = ? AND pl.household_id = ?
+      ORDER BY pl.created_at DESC, pl.entry_id DESC
+      LIMIT ? OFFSET ?
+    `, [req.user.userId, household.household_id, parseInt(limit), parseInt(offset)]);
+
+    const balance = await calculateUserPoints(req.user.userId, household.household_id);
+
+    res.json({
+      success: true,
+      data: {
+        household,
+        current_points: balance.current_points,
+        reserved_points: balance.reserved_points,
+        available_points: balance.available_points,
+        entries
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_POINTS_HISTORY_ERROR',
+        message: 'Napaka pri pridobivanju zgodovine točk'
+      }
+    });
+  }
+});
+
+// =============================================================================
+// GET /users/:userId/points - Get Member's Point Balances by Household
+// =============================================================================
+
+router.get('/:userId/points', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    // Only households where the requester manages the member are visible
+    const managedHouseholds = await query(`
+      SELECT hm.household_id
+      FROM household_members hm
+      JOIN household_members target ON target.household_id = hm.household_id
+        AND target.user_id = ? AND target.is_active = 1
+      WHERE hm.user_id = ? AND hm.is_active = 1 AND hm.role IN ('owner', 'admin')
+    `, [userId, req.user.userId]);
+
+    if (userId !== req.user.userId && managedHouseholds.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Nimate dovoljenj za to dejanje'
+        }
+      });
+    }
+
+    const visibleIds = managedHouseholds.map(h => h.household_id);
+    const balances = (await getUserHouseholdBalances(userId))
+      .filter(balance => userId === req.user.userId || visibleIds.includes(balance.household_id));
+
+    res.json({
+      success: true,
+      data: {
+        user_id: userId,
+        balances
+      }
+    });
+
+  } catch (error) {
+    console.error('Get member point balances error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GET_POINT_BALANCES_ERROR',
+        message: 'Napaka pri pridobivanju stanja točk'
+      }
+    });
+  }
+});
+
 // =============================================================================
 // DELETE /users/account - Deactivate Account
 // =============================================================================
@@ -0,0 +1,150 @@
+// =============================================================================
+// Household Date Utility
+// =============================================================================
+
+const moment = require('moment');
+
+// Used for households without a timezone and requests without a household
+const DEFAULT_TIMEZONE = process.env.TZ || 'UTC';
+
+// ISO weekday the week starts on (1 = Monday ... 7 = Sunday)
+const DEFAULT_WEEK_START = 1;
+
+// =============================================================================
+// TIMEZONE HELPERS
+// =============================================================================
+
+/**
+ * Check if a string is a valid IANA timezone name
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get local calendar parts of an instant in a timezone
+ */
+function getLocalParts(instant, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') {
+      values[part.type] = parseInt(part.value, 10);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Get the UTC offset of a timezone at an instant, in minutes
+ */
+function getTimezoneOffset(instant, timezone) {
+  const local = getLocalParts(instant, timezone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  const instantSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+
+  return Math.round((localAsUtc - instantSeconds) / 60000);
+}
+
+/**
+ * Get the instant a local calendar date (YYYY-MM-DD) starts in a timezone
+ */
+function startOfLocalDay(date, timezone) {
+  const midnightUtc = Date.parse(`${date}T00:00:00Z`);
+  const offset = getTimezoneOffset(new Date(midnightUtc), timezone);
+  const instant = midnightUtc - offset * 60000;
+
+  // Re-check in case a DST switch happens between UTC and local midnight
+  const actualOffset = getTimezoneOffset(new Date(instant), timezone);
+  const start = new Date(midnightUtc - actualOffset * 60000);
+
+  // Where DST skips midnight the day starts at the first hour after the switch
+  return getLocalDate(timezone, start) === date ? start : new Date(instant);
+}
+
+// =============================================================================
+// CALENDAR HELPERS
+// =============================================================================
+
+/**
+ * Get the local calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function getLocalDate(timezone, instant = new Date()) {
+  const local = getLocalParts(instant, timezone);
+  return moment({ year: local.year, month: local.month - 1, day: local.day }).format('YYYY-MM-DD');
+}
+
+/**
+ * Get the first day of the week containing a date
+ */
+function startOfWeek(date, weekStart = DEFAULT_WEEK_START) {
+  const day = moment(date, 'YYYY-MM-DD');
+  const offset = (day.isoWeekday() - weekStart + 7) % 7;
+
+  return day.subtract(offset, 'days').format('YYYY-MM-DD');
+}
+
+/**
+ * Build the date boundaries of "now" for a household's timezone and week start.
+ * Dates are YYYY-MM-DD strings in local time, *_at values are Date instants
+ * suitable for comparing against DATETIME columns.
+ */
+function getHouseholdClock(settings = {}, instant = new Date()) {
+  const timezone = settings.timezone && isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+  const weekStart = settings.week_start || DEFAULT_WEEK_START;
+
+  const local = getLocalParts(instant, timezone);
+  const today = getLocalDate(timezone, instant);
+  const week = startOfWeek(today, weekStart);
+  const month = moment(today, 'YYYY-MM-DD').startOf('month').format('YYYY-MM-DD');
+  const year = moment(today, 'YYYY-MM-DD').startOf('year').format('YYYY-MM-DD');
+
+  return {
+    timezone,
+    week_start: weekStart,
+    hour: local.hour,
+    today,
+    week_start_date: week,
+    month_start_date: month,
+    year_start_date: year,
+    today_at: startOfLocalDay(today, timezone),
+    week_at: startOfLocalDay(week, timezone),
+    month_at: startOfLocalDay(month, timezone),
+    year_at: startOfLocalDay(year, timezone),
+    daysAgoAt: (days) => startOfLocalDay(
+      moment(today, 'YYYY-MM-DD').subtract(days, 'days').format('YYYY-MM-DD'),
+      timezone
+    )
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_WEEK_START,
+  isValidTimezone,
+  getTimezoneOffset,
+  startOfLocalDay,
+  getLocalDate,
+  startOfWeek,
+  getHouseholdClock
+};
@@ -0,0 +1,119 @@
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezoneOffset,
+  startOfLocalDay,
+  getLocalDate,
+  startOfWeek,
+  getHouseholdClock
+} = require('./dates');
+
+// Europe/Ljubljana switches to summer time on 2024-03-31 and back on 2024-10-27
+const LJUBLJANA = 'Europe/Ljubljana';
+
+describe('timezone helpers', () => {
+  test('validates IANA timezone names', () => {
+    expect(isValidTimezone(LJUBLJANA)).toBe(true);
+    expect(isValidTimezone('Europe/Nowhere')).toBe(false);
+  });
+
+  test('reports the offset in effect at an instant', () => {
+    expect(getTimezoneOffset(new Date('2024-01-15T12:00:00Z'), LJUBLJANA)).toBe(60);
+    expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), LJUBLJANA)).toBe(120);
+    expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+  });
+
+  test('gets the local date of an instant', () => {
+    expect(getLocalDate(LJUBLJANA, new Date('2024-03-31T22:30:00Z'))).toBe('2024-04-01');
+    expect(getLocalDate('America/New_York', new Date('2024-01-01T03:00:00Z'))).toBe('2023-12-31');
+  });
+});
+
+describe('startOfLocalDay', () => {
+  test('starts days at local midnight on both sides of a DST switch', () => {
+    expect(startOfLocalDay('2024-03-30', LJUBLJANA).toISOString()).toBe('2024-03-29T23:00:00.000Z');
+    expect(startOfLocalDay('2024-03-31', LJUBLJANA).toISOString()).toBe('2024-03-30T23:00:00.000Z');
+    expect(startOfLocalDay('2024-04-01', LJUBLJANA).toISOString()).toBe('2024-03-31T22:00:00.000Z');
+    expect(startOfLocalDay('2024-10-27', LJUBLJANA).toISOString()).toBe('2024-10-26T22:00:00.000Z');
+    expect(startOfLocalDay('2024-10-28', LJUBLJANA).toISOString()).toBe('2024-10-27T23:00:00.000Z');
+  });
+
+  test('starts a day at its first hour when DST skips midnight', () => {
+    // Sao Paulo skipped from 00:00 to 01:00 on 2018-11-04
+    expect(startOfLocalDay('2018-11-04', 'America/Sao_Paulo').toISOString()).toBe('2018-11-04T03:00:00.000Z');
+    expect(startOfLocalDay('2018-11-05', 'America/Sao_Paulo').toISOString()).toBe('2018-11-05T02:00:00.000Z');
+  });
+});
+
+describe('startOfWeek', () => {
+  // 2024-03-31 is a Sunday
+  test.each([
+    [1, '2024-03-25'],
+    [3, '2024-03-27'],
+    [6, '2024-03-30'],
+    [7, '2024-03-31']
+  ])('starts weeks on ISO weekday %i', (weekStart, expected) => {
+    expect(startOfWeek('2024-03-31', weekStart)).toBe(expected);
+  });
+
+  test('defaults to Monday', () => {
+    expect(startOfWeek('2024-04-03')).toBe('2024-04-01');
+  });
+});
+
+describe('getHouseholdClock', () => {
+  test('builds local boundaries on the day summer time starts', () => {
+    const clock = getHouseholdClock({ timezone: LJUBLJANA, week_start: 1 }, new Date('2024-03-31T00:30:00Z'));
+
+    expect(clock.hour).toBe(1);
+    expect(clock.today).toBe('2024-03-31');
+    expect(clock.week_start_date).toBe('2024-03-25');
+    expect(clock.month_start_date).toBe('2024-03-01');
+    expect(clock.today_at.toISOString()).toBe('2024-03-30T23:00:00.000Z');
+    expect(clock.week_at.toISOString()).toBe('2024-03-24T23:00:00.000Z');
+    expect(clock.month_at.toISOString()).toBe('2024-02-29T23:00:00.000Z');
+  });
+
+  test('rolls over to the local day before UTC does', () => {
+    const clock = getHouseholdClock({ timezone: LJUBLJANA }, new Date('2024-03-31T22:30:00Z'));
+
+    expect(clock.today).toBe('2024-04-01');
+    expect(clock.month_start_date).toBe('2024-04-01');
+    expect(clock.today_at.toISOString()).toBe('2024-03-31T22:00:00.000Z');
+    expect(clock.month_at.toISOString()).toBe('2024-03-31T22:00:00.000Z');
+    expect(clock.daysAgoAt(1).toISOString()).toBe('2024-03-30T23:00:00.000Z');
+  });
+
+  test('uses a Sunday week start', () => {
+    const clock = getHouseholdClock({ timezone: LJUBLJANA, week_start: 7 }, new Date('2024-10-27T10:00:00Z'));
+
+    expect(clock.week_start).toBe(7);
+    expect(clock.today).toBe('2024-10-27');
+    expect(clock.week_start_date).toBe('2024-10-27');
+    expect(clock.week_at.toISOString()).toBe('2024-10-26T22:00:00.000Z');
+    expect(clock.daysAgoAt(0).toISOString()).toBe('2024-10-26T22:00:00.000Z');
+  });
+
+  test('uses a Saturday week start across a DST switch', () => {
+    const clock = getHouseholdClock({ timezone: LJUBLJANA, week_start: 6 }, new Date('2024-10-28T10:00:00Z'));
+
+    expect(clock.week_start_date).toBe('2024-10-26');
+    expect(clock.week_at.toISOString()).toBe('2024-10-25T22:00:00.000Z');
+    expect(clock.today_at.toISOString()).toBe('2024-10-27T23:00:00.000Z');
+  });
+
+  test('places the year start in the local year', () => {
+    const clock = getHouseholdClock({ timezone: 'America/New_York' }, new Date('2024-01-01T03:00:00Z'));
+
+    expect(clock.today).toBe('2023-12-31');
+    expect(clock.year_start_date).toBe('2023-01-01');
+    expect(clock.year_at.toISOString()).toBe('2023-01-01T05:00:00.000Z');
+  });
+
+  test('falls back to defaults for missing or invalid settings', () => {
+    const clock = getHouseholdClock({ timezone: 'Europe/Nowhere' });
+
+    expect(clock.timezone).toBe(DEFAULT_TIMEZONE);
+    expect(clock.week_start).toBe(1);
+  });
+});
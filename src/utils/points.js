@@ -0,0 +1,143 @@
+// =============================================================================
+// Completion Points Utility
+// =============================================================================
+
+const moment = require('moment');
+
+// Formula used for households that have not configured their own
+const DEFAULT_POINTS_FORMULA = {
+  points_multiplier: 1,
+  points_early_bonus: 0,
+  points_on_time_bonus: 0,
+  points_late_penalty_per_day: 0,
+  points_photo_bonus: 0,
+  points_weekend_multiplier: 1
+};
+
+// ISO weekdays counted as weekend (6 = Saturday, 7 = Sunday)
+const WEEKEND_DAYS = [6, 7];
+
+/**
+ * Build a points formula from a household row, falling back to defaults
+ */
+function getPointsFormula(household = {}) {
+  const formula = {};
+
+  Object.keys(DEFAULT_POINTS_FORMULA).forEach(key => {
+    const value = household[key];
+    formula[key] = value === null || value === undefined ? DEFAULT_POINTS_FORMULA[key] : Number(value);
+  });
+
+  return formula;
+}
+
+/**
+ * Calculate the points a completion earns, with the breakdown of how they
+ * were composed. Dates are YYYY-MM-DD strings in the household's timezone.
+ *
+ * The base is the task's explicit point value, otherwise its difficulty
+ * minutes times the task's (or household's) multiplier. Completing before
+ * the due day earns the early bonus, on the due day the on-time bonus, and
+ * every day after it costs the late penalty, which never exceeds the base.
+ * The weekend multiplier applies to the whole sum.
+ */
+function calculateCompletionPoints(task, formula = DEFAULT_POINTS_FORMULA, options = {}) {
+  const { dueDate = null, completedDate, hasPhoto = false } = options;
+
+  const hasPointValue = task.point_value !== null && task.point_value !== undefined;
+  const multiplier = task.point_multiplier !== null && task.point_multiplier !== undefined
+    ? Number(task.point_multiplier)
+    : formula.points_multiplier;
+  const basePoints = hasPointValue
+    ? Number(task.point_value)
+    : Math.round(task.difficulty_minutes * multiplier);
+
+  let timing = null;
+  let daysLate = 0;
+  let timingBonus = 0;
+  let latePenalty = 0;
+
+  if (dueDate) {
+    daysLate = moment(completedDate, 'YYYY-MM-DD').diff(moment(dueDate, 'YYYY-MM-DD'), 'days');
+
+    if (daysLate < 0) {
+      timing = 'early';
+      timingBonus = formula.points_early_bonus;
+    } else if (daysLate === 0) {
+      timing = 'on_time';
+      timingBonus = formula.points_on_time_bonus;
+    } else {
+      timing = 'late';
+      latePenalty = Math.min(daysLate * formula.points_late_penalty_per_day, basePoints);
+    }
+  }
+
+  const photoBonus = hasPhoto ? formula.points_photo_bonus : 0;
+  const isWeekend = WEEKEND_DAYS.includes(moment(completedDate, 'YYYY-MM-DD').isoWeekday());
+  const weekendMultiplier = isWeekend ? formula.points_weekend_multiplier : 1;
+
+  const subtotal = basePoints + timingBonus - latePenalty + photoBonus;
+  const total = Math.max(0, Math.round(subtotal * weekendMultiplier));
+
+  return {
+    base_source: hasPointValue ? 'point_value' : 'difficulty_minutes',
+    difficulty_minutes: task.difficulty_minutes,
+    multiplier: hasPointValue ? null : multiplier,
+    base_points: basePoints,
+    due_date: dueDate,
+    completed_date: completedDate,
+    timing,
+    days_late: Math.max(0, daysLate),
+    timing_bonus: timingBonus,
+    late_penalty: latePenalty,
+    photo_bonus: photoBonus,
+    is_weekend: isWeekend,
+    weekend_multiplier: weekendMultiplier,
+    total
+  };
+}
+
+/**
+ * Date the oldest unspent points were earned. Spending consumes the oldest
+ * points first, so the credits ({ points, dated_at }, oldest first) are used
+ * up in order by the consumed points. Returns null when nothing is left.
+ */
+function getOldestUnspentDate(credits, consumedPoints) {
+  let remaining = consumedPoints;
+
+  for (const credit of credits) {
+    if (credit.points > remaining) {
+      return credit.dated_at;
+    }
+    remaining -= credit.points;
+  }
+
+  return null;
+}
+
+/**
+ * Progress of a savings goal toward a reward. Locked points always count,
+ * free available points count until the goal is reached.
+ */
+function getGoalProgress(costPoints, lockedPoints, availablePoints) {
+  const progressPoints = Math.min(costPoints, lockedPoints + Math.max(0, availablePoints));
+
+  return {
+    locked_points: lockedPoints,
+    progress_points: progressPoints,
+    remaining_points: costPoints - progressPoints,
+    progress_percent: costPoints > 0 ? Math.floor(progressPoints / costPoints * 100) : 100
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DEFAULT_POINTS_FORMULA,
+  getPointsFormula,
+  calculateCompletionPoints,
+  getOldestUnspentDate,
+  getGoalProgress
+};
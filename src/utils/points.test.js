@@ -0,0 +1,192 @@
+const {
+  DEFAULT_POINTS_FORMULA,
+  getPointsFormula,
+  calculateCompletionPoints,
+  getOldestUnspentDate,
+  getGoalProgress
+} = require('./points');
+
+// 2024-03-13 is a Wednesday, 2024-03-16 a Saturday
+const task = { point_value: null, point_multiplier: null, difficulty_minutes: 10 };
+
+const formula = (overrides = {}) => ({ ...DEFAULT_POINTS_FORMULA, ...overrides });
+
+describe('getPointsFormula', () => {
+  test('falls back to defaults for missing settings', () => {
+    expect(getPointsFormula()).toEqual(DEFAULT_POINTS_FORMULA);
+    expect(getPointsFormula({ points_multiplier: null })).toEqual(DEFAULT_POINTS_FORMULA);
+  });
+
+  test('converts stored decimals to numbers', () => {
+    const result = getPointsFormula({ points_multiplier: '1.50', points_late_penalty_per_day: '2' });
+
+    expect(result.points_multiplier).toBe(1.5);
+    expect(result.points_late_penalty_per_day).toBe(2);
+    expect(result.points_early_bonus).toBe(0);
+  });
+});
+
+describe('calculateCompletionPoints', () => {
+  test('uses difficulty minutes times the household multiplier', () => {
+    const result = calculateCompletionPoints(task, formula({ points_multiplier: 1.5 }), {
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.base_source).toBe('difficulty_minutes');
+    expect(result.multiplier).toBe(1.5);
+    expect(result.base_points).toBe(15);
+    expect(result.timing).toBeNull();
+    expect(result.total).toBe(15);
+  });
+
+  test('prefers the task multiplier over the household one', () => {
+    const result = calculateCompletionPoints({ ...task, point_multiplier: '2' }, formula({ points_multiplier: 3 }), {
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.multiplier).toBe(2);
+    expect(result.total).toBe(20);
+  });
+
+  test('prefers an explicit point value over difficulty', () => {
+    const result = calculateCompletionPoints({ ...task, point_value: 25 }, formula({ points_multiplier: 3 }), {
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.base_source).toBe('point_value');
+    expect(result.multiplier).toBeNull();
+    expect(result.total).toBe(25);
+  });
+
+  test('adds the early bonus before the due day', () => {
+    const result = calculateCompletionPoints(task, formula({ points_early_bonus: 3, points_on_time_bonus: 1 }), {
+      dueDate: '2024-03-14',
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.timing).toBe('early');
+    expect(result.days_late).toBe(0);
+    expect(result.timing_bonus).toBe(3);
+    expect(result.total).toBe(13);
+  });
+
+  test('adds the on-time bonus on the due day', () => {
+    const result = calculateCompletionPoints(task, formula({ points_early_bonus: 3, points_on_time_bonus: 1 }), {
+      dueDate: '2024-03-13',
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.timing).toBe('on_time');
+    expect(result.timing_bonus).toBe(1);
+    expect(result.total).toBe(11);
+  });
+
+  test('subtracts the late penalty for every day after the due day', () => {
+    const result = calculateCompletionPoints(task, formula({ points_late_penalty_per_day: 2, points_on_time_bonus: 1 }), {
+      dueDate: '2024-03-11',
+      completedDate: '2024-03-14'
+    });
+
+    expect(result.timing).toBe('late');
+    expect(result.days_late).toBe(3);
+    expect(result.timing_bonus).toBe(0);
+    expect(result.late_penalty).toBe(6);
+    expect(result.total).toBe(4);
+  });
+
+  test('caps the late penalty at the base points', () => {
+    const result = calculateCompletionPoints(task, formula({ points_late_penalty_per_day: 5, points_photo_bonus: 2 }), {
+      dueDate: '2024-03-01',
+      completedDate: '2024-03-14',
+      hasPhoto: true
+    });
+
+    expect(result.late_penalty).toBe(10);
+    expect(result.total).toBe(2);
+  });
+
+  test('adds the photo bonus only with a photo', () => {
+    const options = { completedDate: '2024-03-13' };
+
+    expect(calculateCompletionPoints(task, formula({ points_photo_bonus: 4 }), options).total).toBe(10);
+    expect(calculateCompletionPoints(task, formula({ points_photo_bonus: 4 }), { ...options, hasPhoto: true }).total).toBe(14);
+  });
+
+  test('applies the weekend multiplier to the whole sum on weekends', () => {
+    const settings = formula({ points_weekend_multiplier: 1.5, points_on_time_bonus: 1 });
+
+    const weekend = calculateCompletionPoints(task, settings, { dueDate: '2024-03-16', completedDate: '2024-03-16' });
+    expect(weekend.is_weekend).toBe(true);
+    expect(weekend.weekend_multiplier).toBe(1.5);
+    expect(weekend.total).toBe(17);
+
+    const weekday = calculateCompletionPoints(task, settings, { dueDate: '2024-03-13', completedDate: '2024-03-13' });
+    expect(weekday.is_weekend).toBe(false);
+    expect(weekday.weekend_multiplier).toBe(1);
+    expect(weekday.total).toBe(11);
+  });
+
+  test('never returns a negative total', () => {
+    const result = calculateCompletionPoints(task, formula({ points_on_time_bonus: -15 }), {
+      dueDate: '2024-03-13',
+      completedDate: '2024-03-13'
+    });
+
+    expect(result.total).toBe(0);
+  });
+});
+
+describe('getOldestUnspentDate', () => {
+  const credits = [
+    { points: 10, dated_at: '2024-01-05' },
+    { points: 20, dated_at: '2024-02-05' },
+    { points: 5, dated_at: '2024-03-05' }
+  ];
+
+  test('spends the oldest points first', () => {
+    expect(getOldestUnspentDate(credits, 0)).toBe('2024-01-05');
+    expect(getOldestUnspentDate(credits, 9)).toBe('2024-01-05');
+    expect(getOldestUnspentDate(credits, 10)).toBe('2024-02-05');
+    expect(getOldestUnspentDate(credits, 31)).toBe('2024-03-05');
+  });
+
+  test('returns null once everything is spent', () => {
+    expect(getOldestUnspentDate(credits, 35)).toBeNull();
+    expect(getOldestUnspentDate([], 0)).toBeNull();
+  });
+
+  test('keeps the age of points passed back and forth between members', () => {
+    // A sends 10 January points to B, B sends them back a month later
+    const fromA = getOldestUnspentDate(credits, 0);
+    const bCredits = [{ points: 10, dated_at: fromA }];
+    const fromB = getOldestUnspentDate(bCredits, 0);
+    const aCredits = [...credits, { points: 10, dated_at: fromB }]
+      .sort((a, b) => a.dated_at.localeCompare(b.dated_at));
+
+    // A has spent the 10 points sent away, the returned ones are still January's
+    expect(getOldestUnspentDate(aCredits, 10)).toBe('2024-01-05');
+  });
+});
+
+describe('getGoalProgress', () => {
+  test('counts locked and available points toward the cost', () => {
+    expect(getGoalProgress(100, 30, 20)).toEqual({
+      locked_points: 30,
+      progress_points: 50,
+      remaining_points: 50,
+      progress_percent: 50
+    });
+  });
+
+  test('caps progress at the cost', () => {
+    expect(getGoalProgress(40, 30, 20)).toMatchObject({ progress_points: 40, remaining_points: 0, progress_percent: 100 });
+  });
+
+  test('ignores a negative available balance', () => {
+    expect(getGoalProgress(100, 30, -10)).toMatchObject({ progress_points: 30, remaining_points: 70 });
+  });
+
+  test('treats a free reward as reached', () => {
+    expect(getGoalProgress(0, 0, 0).progress_percent).toBe(100);
+  });
+});
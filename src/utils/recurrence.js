@@ -0,0 +1,368 @@
+// =============================================================================
+// Task Recurrence Utility (iCalendar RRULE subset)
+// =============================================================================
+
+const moment = require('moment');
+
+// Supported RRULE parts: FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH,
+// COUNT, UNTIL and WKST
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Occurrences are searched at most this many days ahead
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse a BYDAY entry such as "TU", "1SA" or "-1FR"
+ */
+function parseWeekday(value) {
+  const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(String(value).trim().toUpperCase());
+  if (!match) {
+    throw new Error(`Neveljaven dan v tednu: ${value}`);
+  }
+
+  const ordinal = match[1] ? parseInt(match[1], 10) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw new Error(`Neveljaven zaporedni dan v tednu: ${value}`);
+  }
+
+  return { weekday: WEEKDAYS.indexOf(match[2]) + 1, ordinal };
+}
+
+/**
+ * Parse a list of integers within a range (both signs allowed when negative is true)
+ */
+function parseIntegerList(values, min, max, name, negative = false) {
+  return values.map(value => {
+    const number = parseInt(value, 10);
+    const absolute = Math.abs(number);
+
+    if (isNaN(number) || String(number) !== String(value).trim().replace(/^\+/, '') ||
+        absolute < min || absolute > max || (!negative && number < 0)) {
+      throw new Error(`Neveljavna vrednost ${name}: ${value}`);
+    }
+
+    return number;
+  });
+}
+
+/**
+ * Parse a recurrence given as an RRULE string ("FREQ=WEEKLY;BYDAY=TU,FR")
+ * or a structured object ({ freq: 'weekly', by_day: ['TU', 'FR'] }).
+ * Returns a normalized rule or throws an Error with a user-facing message.
+ */
+function parseRecurrence(input) {
+  let parts = {};
+
+  if (typeof input === 'string') {
+    const rule = input.trim().replace(/^RRULE:/i, '');
+
+    rule.split(';').filter(Boolean).forEach(part => {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined || value === '') {
+        throw new Error(`Neveljaven del pravila: ${part}`);
+      }
+      parts[key.trim().toUpperCase()] = value.trim();
+    });
+
+  } else if (input && typeof input === 'object') {
+    const list = (value) => Array.isArray(value) ? value.join(',') : value;
+
+    parts = {
+      FREQ: input.freq,
+      INTERVAL: input.interval,
+      BYDAY: list(input.by_day),
+      BYMONTHDAY: list(input.by_month_day),
+      BYMONTH: list(input.by_month),
+      COUNT: input.count,
+      UNTIL: input.until,
+      WKST: input.week_start
+    };
+    Object.keys(parts).forEach(key => (parts[key] === undefined || parts[key] === null) && delete parts[key]);
+
+  } else {
+    throw new Error('Ponavljanje mora biti RRULE niz ali objekt');
+  }
+
+  const unknown = Object.keys(parts).filter(key =>
+    !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'COUNT', 'UNTIL', 'WKST'].includes(key)
+  );
+  if (unknown.length) {
+    throw new Error(`Nepodprti deli pravila: ${unknown.join(', ')}`);
+  }
+
+  const freq = String(parts.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error('FREQ mora biti DAILY, WEEKLY, MONTHLY ali YEARLY');
+  }
+
+  const rule = {
+    freq,
+    interval: 1,
+    by_day: [],
+    by_month_day: [],
+    by_month: [],
+    count: null,
+    until: null,
+    week_start: 'MO'
+  };
+
+  if (parts.INTERVAL !== undefined) {
+    [rule.interval] = parseIntegerList([parts.INTERVAL], 1, 365, 'INTERVAL');
+  }
+
+  if (parts.BYDAY) {
+    rule.by_day = String(parts.BYDAY).split(',').map(parseWeekday);
+
+    if (rule.by_day.some(day => day.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(freq)) {
+      throw new Error('Zaporedni dnevi (npr. 1SA) so dovoljeni le pri MONTHLY in YEARLY');
+    }
+  }
+
+  if (parts.BYMONTHDAY) {
+    rule.by_month_day = parseIntegerList(String(parts.BYMONTHDAY).split(','), 1, 31, 'BYMONTHDAY', true);
+  }
+
+  if (parts.BYMONTH) {
+    rule.by_month = parseIntegerList(String(parts.BYMONTH).split(','), 1, 12, 'BYMONTH');
+  }
+
+  if (parts.COUNT !== undefined) {
+    [rule.count] = parseIntegerList([parts.COUNT], 1, 1000, 'COUNT');
+  }
+
+  if (parts.UNTIL !== undefined) {
+    // Only the date of a date-time UNTIL (20240131T235959Z) is used
+    const until = moment(String(parts.UNTIL).split('T')[0], ['YYYYMMDD', 'YYYY-MM-DD'], true);
+    if (!until.isValid()) {
+      throw new Error(`Neveljaven datum UNTIL: ${parts.UNTIL}`);
+    }
+    rule.until = until.format('YYYY-MM-DD');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('COUNT in UNTIL ne smeta biti podana hkrati');
+  }
+
+  if (parts.WKST !== undefined) {
+    rule.week_start = String(parts.WKST).toUpperCase();
+    if (!WEEKDAYS.includes(rule.week_start)) {
+      throw new Error(`Neveljaven WKST: ${parts.WKST}`);
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Format a normalized rule as an RRULE string
+ */
+function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.by_day.length) {
+    parts.push(`BYDAY=${rule.by_day.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday - 1]}`).join(',')}`);
+  }
+  if (rule.by_month_day.length) parts.push(`BYMONTHDAY=${rule.by_month_day.join(',')}`);
+  if (rule.by_month.length) parts.push(`BYMONTH=${rule.by_month.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.week_start !== 'MO') parts.push(`WKST=${rule.week_start}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Normalize a recurrence (string or object) to an RRULE string
+ */
+function normalizeRecurrence(input) {
+  return formatRecurrence(parseRecurrence(input));
+}
+
+/**
+ * Check if a recurrence (string or object) is valid
+ */
+function isValidRecurrence(input) {
+  try {
+    parseRecurrence(input);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// =============================================================================
+// EXPANSION
+// =============================================================================
+
+/**
+ * Convert a YYYY-MM-DD string (or Date) to a UTC day number
+ */
+function toDayNumber(date) {
+  const value = typeof date === 'string' ? date : moment(date).format('YYYY-MM-DD');
+  return Math.floor(Date.parse(`${value.slice(0, 10)}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Convert a UTC day number back to a YYYY-MM-DD string
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Check if a weekday entry matches a day within its month
+ */
+function matchesMonthlyWeekday(entry, date, weekday) {
+  if (entry.weekday !== weekday) {
+    return false;
+  }
+  if (entry.ordinal === null) {
+    return true;
+  }
+
+  const day = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  return entry.ordinal > 0
+    ? Math.ceil(day / 7) === entry.ordinal
+    : Math.ceil((daysInMonth - day + 1) / 7) === -entry.ordinal;
+}
+
+/**
+ * Check if a month day entry (negative counts from the end) matches a day
+ */
+function matchesMonthDay(monthDay, date) {
+  const day = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  return monthDay > 0 ? day === monthDay : daysInMonth + monthDay + 1 === day;
+}
+
+/**
+ * Check if a day matches a rule, ignoring COUNT and UNTIL
+ */
+function matchesRule(rule, start, dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  const startDate = new Date(start * DAY_MS);
+  const weekday = ((date.getUTCDay() + 6) % 7) + 1;
+  const month = date.getUTCMonth() + 1;
+
+  if (rule.by_month.length && !rule.by_month.includes(month)) {
+    return false;
+  }
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if ((dayNumber - start) % rule.interval !== 0) return false;
+      if (rule.by_day.length && !rule.by_day.some(day => day.weekday === weekday)) return false;
+      if (rule.by_month_day.length && !rule.by_month_day.some(day => matchesMonthDay(day, date))) return false;
+      return true;
+
+    case 'WEEKLY': {
+      const weekStart = WEEKDAYS.indexOf(rule.week_start) + 1;
+      const startWeekday = ((startDate.getUTCDay() + 6) % 7) + 1;
+      const firstWeek = start - ((startWeekday - weekStart + 7) % 7);
+      const week = Math.floor((dayNumber - firstWeek) / 7);
+
+      if (week % rule.interval !== 0) return false;
+      if (rule.by_day.length) return rule.by_day.some(day => day.weekday === weekday);
+      return weekday === startWeekday;
+    }
+
+    case 'MONTHLY':
+    case 'YEARLY': {
+      if (rule.freq === 'MONTHLY') {
+        const months = (date.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+          date.getUTCMonth() - startDate.getUTCMonth();
+        if (months % rule.interval !== 0) return false;
+      } else {
+        if ((date.getUTCFullYear() - startDate.getUTCFullYear()) % rule.interval !== 0) return false;
+        // Without BYMONTH a yearly rule repeats in the month of dtstart
+        if (!rule.by_month.length && month !== startDate.getUTCMonth() + 1) return false;
+      }
+
+      if (rule.by_day.length || rule.by_month_day.length) {
+        if (rule.by_day.length && !rule.by_day.some(day => matchesMonthlyWeekday(day, date, weekday))) return false;
+        if (rule.by_month_day.length && !rule.by_month_day.some(day => matchesMonthDay(day, date))) return false;
+        return true;
+      }
+
+      return date.getUTCDate() === startDate.getUTCDate();
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get occurrence dates (YYYY-MM-DD) of a rule starting at dtstart,
+ * beginning with the first occurrence on or after `from`
+ */
+function getOccurrences(input, dtstart, options = {}) {
+  const rule = parseRecurrence(input);
+  const { from = dtstart, limit = 10, to = null } = options;
+
+  const start = toDayNumber(dtstart);
+  const first = Math.max(start, toDayNumber(from));
+  const last = Math.min(
+    rule.until ? toDayNumber(rule.until) : Infinity,
+    to ? toDayNumber(to) : Infinity,
+    first + MAX_SEARCH_DAYS
+  );
+
+  const occurrences = [];
+  // COUNT limits occurrences since dtstart, so counting starts there
+  let seen = 0;
+  let day = rule.count ? start : first;
+
+  for (; day <= last && occurrences.length < limit; day++) {
+    if (!matchesRule(rule, start, day)) {
+      continue;
+    }
+
+    seen++;
+    if (rule.count && seen > rule.count) {
+      break;
+    }
+    if (day >= first) {
+      occurrences.push(fromDayNumber(day));
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get occurrence dates of a task's recurrence_rule, anchored at its
+ * specific_date (or creation date)
+ */
+function getTaskOccurrences(task, from, limit = 10) {
+  if (!task.recurrence_rule) {
+    return [];
+  }
+
+  const dtstart = moment(task.specific_date || task.created_at).format('YYYY-MM-DD');
+  return getOccurrences(task.recurrence_rule, dtstart, { from, limit });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  parseRecurrence,
+  formatRecurrence,
+  normalizeRecurrence,
+  isValidRecurrence,
+  getOccurrences,
+  getTaskOccurrences
+};
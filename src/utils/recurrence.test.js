@@ -0,0 +1,171 @@
+const {
+  parseRecurrence,
+  normalizeRecurrence,
+  isValidRecurrence,
+  getOccurrences,
+  getTaskOccurrences
+} = require('./recurrence');
+
+// 2024-01-01 is a Monday
+describe('parseRecurrence', () => {
+  test('parses an RRULE string', () => {
+    expect(parseRecurrence('RRULE:freq=weekly;INTERVAL=2;BYDAY=TU,FR')).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      by_day: [{ weekday: 2, ordinal: null }, { weekday: 5, ordinal: null }],
+      by_month_day: [],
+      by_month: [],
+      count: null,
+      until: null,
+      week_start: 'MO'
+    });
+  });
+
+  test('parses ordinal weekdays', () => {
+    expect(parseRecurrence('FREQ=MONTHLY;BYDAY=1SA,-1FR').by_day).toEqual([
+      { weekday: 6, ordinal: 1 },
+      { weekday: 5, ordinal: -1 }
+    ]);
+  });
+
+  test('parses a structured rule', () => {
+    const rule = parseRecurrence({ freq: 'monthly', by_month_day: [1, -1], count: 6, until: null });
+
+    expect(rule.freq).toBe('MONTHLY');
+    expect(rule.by_month_day).toEqual([1, -1]);
+    expect(rule.count).toBe(6);
+  });
+
+  test('accepts UNTIL as a basic or extended date', () => {
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20240131').until).toBe('2024-01-31');
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=2024-01-31').until).toBe('2024-01-31');
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20240131T235959Z').until).toBe('2024-01-31');
+  });
+
+  test.each([
+    ['a missing FREQ', 'INTERVAL=2'],
+    ['an unknown FREQ', 'FREQ=HOURLY'],
+    ['an unsupported part', 'FREQ=DAILY;BYHOUR=8'],
+    ['an empty value', 'FREQ=DAILY;INTERVAL='],
+    ['a zero INTERVAL', 'FREQ=DAILY;INTERVAL=0'],
+    ['a fractional INTERVAL', 'FREQ=DAILY;INTERVAL=1.5'],
+    ['an unknown weekday', 'FREQ=WEEKLY;BYDAY=XX'],
+    ['a zero ordinal', 'FREQ=MONTHLY;BYDAY=0SA'],
+    ['an ordinal past the fifth week', 'FREQ=MONTHLY;BYDAY=6SA'],
+    ['an ordinal on a weekly rule', 'FREQ=WEEKLY;BYDAY=1SA'],
+    ['a month day out of range', 'FREQ=MONTHLY;BYMONTHDAY=32'],
+    ['a negative month', 'FREQ=YEARLY;BYMONTH=-1'],
+    ['an invalid UNTIL', 'FREQ=DAILY;UNTIL=20240231'],
+    ['both COUNT and UNTIL', 'FREQ=DAILY;COUNT=3;UNTIL=20240131'],
+    ['an unknown WKST', 'FREQ=WEEKLY;WKST=XY']
+  ])('rejects %s', (name, rule) => {
+    expect(() => parseRecurrence(rule)).toThrow();
+    expect(isValidRecurrence(rule)).toBe(false);
+  });
+
+  test('rejects input that is neither a string nor an object', () => {
+    expect(() => parseRecurrence(null)).toThrow();
+    expect(() => parseRecurrence(7)).toThrow();
+  });
+});
+
+describe('normalizeRecurrence', () => {
+  test('formats rules canonically and drops defaults', () => {
+    expect(normalizeRecurrence('byday=tu,fr;freq=weekly;interval=1;wkst=MO')).toBe('FREQ=WEEKLY;BYDAY=TU,FR');
+    expect(normalizeRecurrence('FREQ=MONTHLY;BYDAY=1SA;UNTIL=2024-12-31')).toBe('FREQ=MONTHLY;BYDAY=1SA;UNTIL=20241231');
+  });
+
+  test('formats structured rules', () => {
+    expect(normalizeRecurrence({ freq: 'weekly', interval: 2, by_day: ['TU'], week_start: 'SU' }))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;WKST=SU');
+  });
+});
+
+describe('getOccurrences', () => {
+  test('repeats daily every INTERVAL days', () => {
+    expect(getOccurrences('FREQ=DAILY;INTERVAL=2', '2024-01-01', { limit: 3 }))
+      .toEqual(['2024-01-01', '2024-01-03', '2024-01-05']);
+  });
+
+  test('repeats on the listed weekdays every INTERVAL weeks', () => {
+    expect(getOccurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,FR', '2024-01-01', { limit: 4 }))
+      .toEqual(['2024-01-02', '2024-01-05', '2024-01-16', '2024-01-19']);
+  });
+
+  test('repeats weekly on the start weekday without BYDAY', () => {
+    expect(getOccurrences('FREQ=WEEKLY', '2024-01-03', { limit: 2 })).toEqual(['2024-01-03', '2024-01-10']);
+  });
+
+  test('counts weeks from WKST', () => {
+    // With weeks starting on Sunday, Sunday 2024-01-07 opens the second week
+    expect(getOccurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU;WKST=SU', '2024-01-01', { limit: 3 }))
+      .toEqual(['2024-01-06', '2024-01-14', '2024-01-20']);
+  });
+
+  test('picks the first Saturday of the month', () => {
+    expect(getOccurrences('FREQ=MONTHLY;BYDAY=1SA', '2024-01-01', { limit: 3 }))
+      .toEqual(['2024-01-06', '2024-02-03', '2024-03-02']);
+  });
+
+  test('picks the last Friday of the month', () => {
+    expect(getOccurrences('FREQ=MONTHLY;BYDAY=-1FR', '2024-01-01', { limit: 3 }))
+      .toEqual(['2024-01-26', '2024-02-23', '2024-03-29']);
+  });
+
+  test('skips months too short for the start day', () => {
+    expect(getOccurrences('FREQ=MONTHLY', '2024-01-31', { limit: 3 }))
+      .toEqual(['2024-01-31', '2024-03-31', '2024-05-31']);
+  });
+
+  test('uses the last day of every month with BYMONTHDAY=-1', () => {
+    expect(getOccurrences('FREQ=MONTHLY;BYMONTHDAY=-1', '2023-12-15', { limit: 4 }))
+      .toEqual(['2023-12-31', '2024-01-31', '2024-02-29', '2024-03-31']);
+  });
+
+  test('repeats yearly in the start month, skipping missing leap days', () => {
+    expect(getOccurrences('FREQ=YEARLY', '2024-02-29', { limit: 2 })).toEqual(['2024-02-29', '2028-02-29']);
+  });
+
+  test('repeats yearly in the listed months', () => {
+    expect(getOccurrences('FREQ=YEARLY;BYMONTH=6,12;BYMONTHDAY=1', '2024-01-01', { limit: 3 }))
+      .toEqual(['2024-06-01', '2024-12-01', '2025-06-01']);
+  });
+
+  test('stops after UNTIL', () => {
+    expect(getOccurrences('FREQ=DAILY;UNTIL=20240103', '2024-01-01', { limit: 10 }))
+      .toEqual(['2024-01-01', '2024-01-02', '2024-01-03']);
+  });
+
+  test('counts COUNT from the start, not from the requested day', () => {
+    expect(getOccurrences('FREQ=DAILY;COUNT=3', '2024-01-01', { from: '2024-01-02', limit: 10 }))
+      .toEqual(['2024-01-02', '2024-01-03']);
+  });
+
+  test('starts at the later of dtstart and from', () => {
+    expect(getOccurrences('FREQ=DAILY', '2024-01-05', { from: '2024-01-01', limit: 1 })).toEqual(['2024-01-05']);
+    expect(getOccurrences('FREQ=DAILY;INTERVAL=3', '2024-01-01', { from: '2024-01-05', limit: 1 })).toEqual(['2024-01-07']);
+  });
+
+  test('stops at to', () => {
+    expect(getOccurrences('FREQ=WEEKLY', '2024-01-01', { to: '2024-01-20', limit: 10 }))
+      .toEqual(['2024-01-01', '2024-01-08', '2024-01-15']);
+  });
+});
+
+describe('getTaskOccurrences', () => {
+  test('returns nothing without a rule', () => {
+    expect(getTaskOccurrences({ recurrence_rule: null }, '2024-01-01')).toEqual([]);
+  });
+
+  test('anchors at the specific date', () => {
+    const task = { recurrence_rule: 'FREQ=WEEKLY;INTERVAL=2', specific_date: '2024-01-03', created_at: '2023-06-01' };
+
+    expect(getTaskOccurrences(task, '2024-01-04', 2)).toEqual(['2024-01-17', '2024-01-31']);
+  });
+
+  test('falls back to the creation date', () => {
+    const task = { recurrence_rule: 'FREQ=MONTHLY', specific_date: null, created_at: new Date(2024, 0, 15, 12) };
+
+    expect(getTaskOccurrences(task, '2024-01-16', 2)).toEqual(['2024-02-15', '2024-03-15']);
+  });
+});